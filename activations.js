@@ -0,0 +1,202 @@
+/**
+ * アクティベーションの追跡
+ * activatorとreferenceの組み合わせごとに最新のスポットを保持し、QSY・再スポットの判定と通知のクールダウンを行う
+ */
+
+const { parseFrequencyKhz, getBandForFrequency } = require('./bands');
+
+/**
+ * 周波数の変化をQSYとみなさない許容幅（kHz）
+ * spotterごとの周波数の読み取りの違いでQSYと判定しないようにする
+ */
+const QSY_TOLERANCE_KHZ = 1;
+
+/**
+ * QSY・再スポットの通知設定
+ * @typedef {Object} ActivationTracking
+ * @property {'qsy'|'alert'|'none'} qsyAction - QSY時の動作（QSYとして通知 / 通常のアラートとして通知 / 通知しない）
+ * @property {'alert'|'none'} respotAction - 同じ周波数・モードでの再スポット（コメントの更新を含む）時の動作
+ */
+
+/**
+ * 同じアクティベーションの通知を抑制するクールダウンの設定
+ * @typedef {Object} AlertCooldown
+ * @property {number} minutes - 抑制する時間（分、0の場合は無効）
+ * @property {boolean} alertOnChange - 抑制中でもバンドまたはモードが変わった場合は通知する
+ */
+
+/**
+ * 最後に通知したときの状態
+ * @typedef {Object} LastAlert
+ * @property {number} time - 通知した時刻（ミリ秒）
+ * @property {string|null} band - バンド
+ * @property {string} mode - モード
+ */
+
+/**
+ * 追跡中のアクティベーションの状態
+ * @typedef {Object} ActivationState
+ * @property {*} spotId - 最後に処理したスポットのID
+ * @property {string} frequency - 周波数（kHz）
+ * @property {string} mode - モード
+ * @property {string} comments - コメント
+ * @property {number} updatedAt - 最後に処理した時刻（ミリ秒、保存期間の判定に使用）
+ */
+
+/**
+ * スポットの変化の種類
+ * - new: 新しいアクティベーション
+ * - qsy: 周波数またはモードの変更
+ * - comment: 同じ周波数・モードでのコメントの更新
+ * - respot: 同じ周波数・モード・コメントでの再スポット
+ * - unchanged: 処理済みのスポット（または処理済みより古いスポット）
+ * @typedef {'new'|'qsy'|'comment'|'respot'|'unchanged'} SpotChange
+ */
+
+/**
+ * 比較用に値を正規化
+ */
+function normalizeValue(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+/**
+ * アクティベーションのキー（activator + reference）を取得
+ * @param {Object} spot - スポットデータ
+ * @returns {string}
+ */
+function getActivationKey(spot) {
+  return `${normalizeValue(spot.activator)}|${normalizeValue(spot.reference)}`;
+}
+
+/**
+ * スポットからアクティベーションの状態を作成
+ * @param {Object} spot - スポットデータ
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {ActivationState}
+ */
+function createActivationState(spot, now = Date.now()) {
+  return {
+    spotId: spot.spotId,
+    frequency: spot.frequency,
+    mode: spot.mode,
+    comments: spot.comments || '',
+    updatedAt: now
+  };
+}
+
+/**
+ * 周波数が変化したかどうか（数値として比較できる場合は許容幅を考慮）
+ */
+function frequencyChanged(previousFrequency, frequency) {
+  const previousKhz = parseFrequencyKhz(previousFrequency);
+  const currentKhz = parseFrequencyKhz(frequency);
+  if (previousKhz === null || currentKhz === null) {
+    return normalizeValue(previousFrequency) !== normalizeValue(frequency);
+  }
+  return Math.abs(previousKhz - currentKhz) > QSY_TOLERANCE_KHZ;
+}
+
+/**
+ * 前回の状態と比較してスポットの変化の種類を判定
+ * @param {ActivationState|null} previous - 前回の状態（未追跡の場合はnull）
+ * @param {Object} spot - スポットデータ
+ * @returns {SpotChange}
+ */
+function classifySpotChange(previous, spot) {
+  if (!previous) {
+    return 'new';
+  }
+  // 処理済みのスポットより古いスポットは無視
+  if (typeof previous.spotId === 'number' && typeof spot.spotId === 'number' && spot.spotId < previous.spotId) {
+    return 'unchanged';
+  }
+  if (frequencyChanged(previous.frequency, spot.frequency) || normalizeValue(previous.mode) !== normalizeValue(spot.mode)) {
+    return 'qsy';
+  }
+  if (String(previous.comments || '').trim() !== String(spot.comments || '').trim()) {
+    return 'comment';
+  }
+  if (previous.spotId !== spot.spotId) {
+    return 'respot';
+  }
+  return 'unchanged';
+}
+
+/**
+ * スポットの変化の種類から通知の動作を取得
+ * @param {SpotChange} change - スポットの変化の種類
+ * @param {ActivationTracking} [activationTracking] - QSY・再スポットの通知設定
+ * @returns {'alert'|'qsy'|'none'} 通常のアラート / QSYとして通知 / 通知しない
+ */
+function getSpotChangeAction(change, activationTracking = {}) {
+  if (change === 'new') {
+    return 'alert';
+  }
+  if (change === 'qsy') {
+    return activationTracking.qsyAction || 'qsy';
+  }
+  if (change === 'comment' || change === 'respot') {
+    return activationTracking.respotAction || 'none';
+  }
+  return 'none';
+}
+
+/**
+ * スポットから最後に通知したときの状態を作成
+ * @param {Object} spot - スポットデータ
+ * @param {number} region - IARUリージョン
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {LastAlert}
+ */
+function createLastAlert(spot, region, now) {
+  return {
+    time: now,
+    band: getBandForFrequency(spot.frequency, region),
+    mode: normalizeValue(spot.mode)
+  };
+}
+
+/**
+ * クールダウン中のため通知を抑制するかどうか判定
+ * @param {LastAlert|null} lastAlert - 同じアクティベーションを最後に通知したときの状態
+ * @param {Object} spot - スポットデータ
+ * @param {AlertCooldown} [alertCooldown] - クールダウンの設定
+ * @param {number} region - IARUリージョン
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {boolean}
+ */
+function isInCooldown(lastAlert, spot, alertCooldown, region, now) {
+  const minutes = alertCooldown?.minutes || 0;
+  if (!lastAlert || minutes <= 0 || now - lastAlert.time >= minutes * 60 * 1000) {
+    return false;
+  }
+  if (alertCooldown.alertOnChange) {
+    const current = createLastAlert(spot, region, now);
+    if (current.band !== lastAlert.band || current.mode !== lastAlert.mode) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * QSYの通知文を作成（例: "QSY to 7.032 CW"）
+ * @param {Object} spot - スポットデータ
+ * @returns {string}
+ */
+function formatQsyText(spot) {
+  const khz = parseFrequencyKhz(spot.frequency);
+  const frequency = khz === null ? (spot.frequency || '') : (khz / 1000).toFixed(3);
+  return `QSY to ${frequency} ${spot.mode || ''}`.trim();
+}
+
+module.exports = {
+  getActivationKey,
+  createActivationState,
+  classifySpotChange,
+  getSpotChangeAction,
+  createLastAlert,
+  isInCooldown,
+  formatQsyText
+};
@@ -0,0 +1,247 @@
+/**
+ * フィルタのバックテスト
+ * 記録したスポットの履歴や保存したスポット一覧（JSON）を保存前のフィルタ設定で再生し、
+ * 通知・ポップアップ・読み上げの件数を1時間ごとに集計する
+ */
+
+const { findMatchingAlertRules } = require('./filter');
+const {
+  getActivationKey,
+  createActivationState,
+  classifySpotChange,
+  getSpotChangeAction,
+  createLastAlert,
+  isInCooldown
+} = require('./activations');
+const { SPOT_SOURCES, normalizePotaSpot } = require('./spotsources');
+const { getSpotAgeMs } = require('./seenspots');
+
+/**
+ * 1時間（ミリ秒）
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 結果に含める一致したスポットの最大数（新しいものから）
+ */
+const MAX_MATCHED_SPOTS = 500;
+
+/**
+ * 再生するスポットのまとまり（1回の取得で処理されるスポット）
+ * @typedef {Object} ReplayBatch
+ * @property {number|null} time - 処理する時刻（ミリ秒、わからない場合はnull）
+ * @property {Object[]} spots - スポットデータの配列
+ */
+
+/**
+ * 1時間ごとの集計
+ * @typedef {Object} BacktestHour
+ * @property {number} hour - 集計する時間の開始時刻（ミリ秒）
+ * @property {number} notifications - デスクトップ通知の件数
+ * @property {number} popups - ポップアップ通知の件数
+ * @property {number} voicevox - 読み上げの件数
+ */
+
+/**
+ * バックテストの結果
+ * @typedef {Object} BacktestResult
+ * @property {number} spotCount - 再生したスポットの数
+ * @property {number|null} from - 最初のスポットの時刻（ミリ秒）
+ * @property {number|null} to - 最後のスポットの時刻（ミリ秒）
+ * @property {number} hourCount - 集計した期間の時間数（1以上）
+ * @property {{notifications: number, popups: number, voicevox: number, suppressed: number}} totals - 合計（suppressedはクールダウンで抑制した件数）
+ * @property {BacktestHour[]} hours - 通知のあった時間ごとの集計（古い順）
+ * @property {Array<{time: number|null, spot: Object, change: string, rules: string[], channels: string[]}>} matches - ルールに一致したスポット（新しい順、最大500件）
+ * @property {number} matchCount - ルールに一致したスポットの数
+ */
+
+/**
+ * スポットの時刻を取得（受信した時刻、なければ投稿時刻）
+ * @param {Object} spot - スポットデータまたは履歴のエントリ
+ * @returns {number|null} 時刻（ミリ秒、わからない場合はnull）
+ */
+function getReplayTime(spot) {
+  if (typeof spot.receivedAt === 'number') {
+    return spot.receivedAt;
+  }
+  const now = Date.now();
+  const ageMs = getSpotAgeMs(spot, now);
+  return ageMs === null ? null : now - ageMs;
+}
+
+/**
+ * スポットを再生するまとまりに分ける
+ * 同じ時刻のスポットを1回の取得として扱い、時刻の古い順に並べる（時刻がわからないスポットは最後にまとめる）
+ * @param {Object[]} spots - スポットデータまたは履歴のエントリ
+ * @returns {ReplayBatch[]}
+ */
+function createReplayBatches(spots) {
+  const batches = new Map();
+  for (const spot of spots) {
+    const time = getReplayTime(spot);
+    if (!batches.has(time)) {
+      batches.set(time, []);
+    }
+    batches.get(time).push(spot);
+  }
+  return Array.from(batches, ([time, batchSpots]) => ({ time, spots: batchSpots }))
+    .sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity));
+}
+
+/**
+ * 読み込んだスポット一覧（JSON）をスポットデータの配列に変換
+ * 次の形式に対応する:
+ * - スポットの配列（/v1/spotsのレスポンスなど）
+ * - スポットの配列の配列（取得ごとに保存したもの。受信時刻がない場合は配列ごとに最も新しい投稿時刻に取得したものとして扱う）
+ * - spotsプロパティにスポットの配列を持つオブジェクト
+ * - スポットの履歴（1行に1件のJSON Lines）
+ * @param {string} text - ファイルの内容
+ * @returns {Object[]} スポットデータの配列
+ * @throws {Error} スポットが読み取れない場合
+ */
+function parseSpotDump(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // JSON Lines（スポットの履歴）として読み込む
+    data = String(text).split('\n').filter(line => line.trim()).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        return null;
+      }
+    });
+  }
+  if (data && !Array.isArray(data) && Array.isArray(data.spots)) {
+    data = data.spots;
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('スポットの配列が見つかりませんでした');
+  }
+
+  const spots = [];
+  for (const item of data) {
+    const items = (Array.isArray(item) ? item : [item])
+      .filter(spot => spot && typeof spot === 'object' && spot.activator)
+      // POTAのsource（Web・RBNなどの投稿元）は取得元に変換
+      .map(spot => (SPOT_SOURCES.includes(spot.source) ? spot : normalizePotaSpot(spot)));
+    // 配列ごとに保存したスポットは最も新しい投稿時刻を受信時刻の代わりにする
+    const fetchTimes = Array.isArray(item)
+      ? items.map(getReplayTime).filter(time => time !== null)
+      : [];
+    const fetchTime = fetchTimes.length > 0 ? fetchTimes.reduce((max, time) => Math.max(max, time)) : null;
+    for (const spot of items) {
+      spots.push(fetchTime !== null && typeof spot.receivedAt !== 'number' ? { ...spot, receivedAt: fetchTime } : spot);
+    }
+  }
+  if (spots.length === 0) {
+    throw new Error('スポットが見つかりませんでした');
+  }
+  return spots;
+}
+
+/**
+ * スポットを保存前のフィルタ設定で再生し、通知の件数を集計
+ * QSY・再スポットの判定、クールダウン、ルールごとの通知方法、通知数制限（1回の取得ごと）を
+ * 実際の通知と同じ順序で適用する（起動時の通知の設定は適用しない）
+ * @param {Object[]} spots - スポットデータまたは履歴のエントリ
+ * @param {import('./filter').FilterConfig} filterConfig - フィルタ設定
+ * @param {Object} [options]
+ * @param {import('./hunterlog').WorkedParks|null} [options.workedParks] - 交信済みパーク
+ * @param {function(Object, Object): Object} [options.annotate] - ルールを適用する前にスポットに情報を付加する関数（スポット, フィルタ設定）
+ * @returns {BacktestResult}
+ */
+function runBacktest(spots, filterConfig, options = {}) {
+  const annotate = options.annotate || (spot => spot);
+  const region = filterConfig?.iaruRegion;
+  const knownActivations = new Map();
+  const lastAlerts = new Map();
+  const hours = new Map();
+  const totals = { notifications: 0, popups: 0, voicevox: 0, suppressed: 0 };
+  const matches = [];
+  const times = [];
+
+  for (const batch of createReplayBatches(spots)) {
+    const now = batch.time ?? Date.now();
+    if (batch.time !== null) {
+      times.push(batch.time);
+    }
+    const matchedSpots = [];
+
+    for (const spot of batch.spots) {
+      const activationKey = getActivationKey(spot);
+      const change = classifySpotChange(knownActivations.get(activationKey) || null, spot);
+      if (change === 'unchanged') {
+        continue;
+      }
+      knownActivations.set(activationKey, createActivationState(spot, now));
+      if (getSpotChangeAction(change, filterConfig?.activationTracking) === 'none') {
+        continue;
+      }
+
+      const locatedSpot = annotate(spot, filterConfig);
+      const rules = findMatchingAlertRules(locatedSpot, filterConfig, options.workedParks || null);
+      if (rules.length === 0) {
+        continue;
+      }
+      if (isInCooldown(lastAlerts.get(activationKey), spot, filterConfig?.alertCooldown, region, now)) {
+        totals.suppressed++;
+        continue;
+      }
+      lastAlerts.set(activationKey, createLastAlert(spot, region, now));
+      matchedSpots.push({ spot: locatedSpot, change, rules });
+    }
+
+    // 通知数制限は1回の取得ごとに適用
+    const countForChannel = (channel, maxCount) => {
+      const count = matchedSpots.filter(({ rules }) => rules.some(rule => rule.channels?.[channel])).length;
+      return maxCount > 0 ? Math.min(count, maxCount) : count;
+    };
+    const notifications = countForChannel('notification', filterConfig?.maxNotificationCount || 0);
+    const popups = countForChannel('popup', filterConfig?.maxPopupCount || 0);
+    const voicevox = countForChannel('voicevox', 0);
+    totals.notifications += notifications;
+    totals.popups += popups;
+    totals.voicevox += voicevox;
+
+    if (notifications + popups + voicevox > 0) {
+      const hour = Math.floor(now / HOUR_MS) * HOUR_MS;
+      const counts = hours.get(hour) || { hour, notifications: 0, popups: 0, voicevox: 0 };
+      counts.notifications += notifications;
+      counts.popups += popups;
+      counts.voicevox += voicevox;
+      hours.set(hour, counts);
+    }
+
+    for (const { spot, change, rules } of matchedSpots) {
+      matches.push({
+        time: batch.time,
+        spot,
+        change,
+        rules: rules.map(rule => rule.name),
+        channels: ['notification', 'popup', 'sound', 'voicevox', 'webhook', 'discord', 'slack'].filter(channel => rules.some(rule => rule.channels?.[channel]))
+      });
+    }
+  }
+
+  // 長い履歴でも引数の展開で呼び出しスタックを超えないよう、1件ずつ比較する
+  const from = times.length > 0 ? times.reduce((min, time) => Math.min(min, time)) : null;
+  const to = times.length > 0 ? times.reduce((max, time) => Math.max(max, time)) : null;
+  return {
+    spotCount: spots.length,
+    from,
+    to,
+    hourCount: from === null ? 1 : Math.max(1, Math.ceil((to - from) / HOUR_MS)),
+    totals,
+    hours: Array.from(hours.values()).sort((a, b) => a.hour - b.hour),
+    matches: matches.slice(-MAX_MATCHED_SPOTS).reverse(),
+    matchCount: matches.length
+  };
+}
+
+module.exports = {
+  createReplayBatches,
+  parseSpotDump,
+  runBacktest
+};
@@ -0,0 +1,105 @@
+/**
+ * アマチュア無線バンドの定義
+ * IARUリージョンごとのバンド範囲（kHz）と周波数からのバンド判定
+ */
+
+/**
+ * デフォルトのIARUリージョン（日本はリージョン3）
+ */
+const DEFAULT_IARU_REGION = 3;
+
+/**
+ * バンド定義
+ * @typedef {Object} BandDefinition
+ * @property {string} name - バンド名（例: '20m'）
+ * @property {Object<number, {min: number, max: number}>} regions - リージョンごとの範囲（kHz）。該当リージョンで使用できない場合はキーなし
+ */
+
+/**
+ * バンド一覧（周波数の低い順）
+ * @type {BandDefinition[]}
+ */
+const BAND_PLANS = [
+  { name: '160m', regions: { 1: { min: 1810, max: 2000 }, 2: { min: 1800, max: 2000 }, 3: { min: 1800, max: 2000 } } },
+  { name: '80m', regions: { 1: { min: 3500, max: 3800 }, 2: { min: 3500, max: 4000 }, 3: { min: 3500, max: 3900 } } },
+  { name: '60m', regions: { 1: { min: 5351.5, max: 5366.5 }, 2: { min: 5330, max: 5410 }, 3: { min: 5351.5, max: 5366.5 } } },
+  { name: '40m', regions: { 1: { min: 7000, max: 7200 }, 2: { min: 7000, max: 7300 }, 3: { min: 7000, max: 7200 } } },
+  { name: '30m', regions: { 1: { min: 10100, max: 10150 }, 2: { min: 10100, max: 10150 }, 3: { min: 10100, max: 10150 } } },
+  { name: '20m', regions: { 1: { min: 14000, max: 14350 }, 2: { min: 14000, max: 14350 }, 3: { min: 14000, max: 14350 } } },
+  { name: '17m', regions: { 1: { min: 18068, max: 18168 }, 2: { min: 18068, max: 18168 }, 3: { min: 18068, max: 18168 } } },
+  { name: '15m', regions: { 1: { min: 21000, max: 21450 }, 2: { min: 21000, max: 21450 }, 3: { min: 21000, max: 21450 } } },
+  { name: '12m', regions: { 1: { min: 24890, max: 24990 }, 2: { min: 24890, max: 24990 }, 3: { min: 24890, max: 24990 } } },
+  { name: '10m', regions: { 1: { min: 28000, max: 29700 }, 2: { min: 28000, max: 29700 }, 3: { min: 28000, max: 29700 } } },
+  { name: '6m', regions: { 1: { min: 50000, max: 52000 }, 2: { min: 50000, max: 54000 }, 3: { min: 50000, max: 54000 } } },
+  { name: '4m', regions: { 1: { min: 70000, max: 70500 } } },
+  { name: '2m', regions: { 1: { min: 144000, max: 146000 }, 2: { min: 144000, max: 148000 }, 3: { min: 144000, max: 148000 } } },
+  { name: '1.25m', regions: { 2: { min: 222000, max: 225000 } } },
+  { name: '70cm', regions: { 1: { min: 430000, max: 440000 }, 2: { min: 420000, max: 450000 }, 3: { min: 430000, max: 440000 } } }
+];
+
+/**
+ * 周波数文字列をkHzの数値に変換
+ * @param {string|number} frequency - 周波数（kHz）
+ * @returns {number|null} 数値に変換できない場合はnull
+ */
+function parseFrequencyKhz(frequency) {
+  if (frequency === null || frequency === undefined || frequency === '') {
+    return null;
+  }
+  const value = parseFloat(String(frequency).replace(/,/g, ''));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * 指定リージョンのバンド範囲を取得
+ * @param {string} bandName - バンド名
+ * @param {number} [region] - IARUリージョン（1〜3）
+ * @returns {{min: number, max: number}|null} 該当リージョンに存在しない場合はnull
+ */
+function getBandRange(bandName, region = DEFAULT_IARU_REGION) {
+  const band = BAND_PLANS.find(b => b.name === bandName);
+  if (!band) {
+    return null;
+  }
+  return band.regions[region] || null;
+}
+
+/**
+ * 周波数からバンド名を判定
+ * @param {string|number} frequency - 周波数（kHz）
+ * @param {number} [region] - IARUリージョン（1〜3）
+ * @returns {string|null} バンド名（どのバンドにも該当しない場合はnull）
+ */
+function getBandForFrequency(frequency, region = DEFAULT_IARU_REGION) {
+  const freqKhz = parseFrequencyKhz(frequency);
+  if (freqKhz === null) {
+    return null;
+  }
+  for (const band of BAND_PLANS) {
+    const range = band.regions[region];
+    if (range && freqKhz >= range.min && freqKhz <= range.max) {
+      return band.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * 指定リージョンで使用できるバンド一覧を取得
+ * @param {number} [region] - IARUリージョン（1〜3）
+ * @returns {Array<{name: string, min: number, max: number}>}
+ */
+function getBandsForRegion(region = DEFAULT_IARU_REGION) {
+  return BAND_PLANS
+    .filter(band => band.regions[region])
+    .map(band => ({ name: band.name, ...band.regions[region] }));
+}
+
+module.exports = {
+  DEFAULT_IARU_REGION,
+  BAND_PLANS,
+  parseFrequencyKhz,
+  getBandRange,
+  getBandForFrequency,
+  getBandsForRegion
+};
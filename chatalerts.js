@@ -0,0 +1,376 @@
+/**
+ * Discord・Slackへの通知
+ * アラートルールに一致したスポットをDiscordの埋め込み・SlackのBlock Kitのメッセージに整形し、Incoming Webhookに送信する
+ * 1回の取得で一致したスポットは送信先ごとに1つのメッセージ（上限を超える場合は複数）にまとめて送信する
+ */
+
+const { isValidHttpUrl } = require('./httpclient');
+const { getSpotAgeMs } = require('./seenspots');
+const { deliverWebhook } = require('./webhook');
+
+/**
+ * 通知に対応するチャットサービス
+ */
+const CHAT_SERVICES = ['discord', 'slack'];
+
+/**
+ * チャットサービスの表示名
+ */
+const CHAT_SERVICE_LABELS = {
+  discord: 'Discord',
+  slack: 'Slack'
+};
+
+/**
+ * Discordの1つのメッセージに含める埋め込みの最大数（Discordの上限）
+ */
+const MAX_DISCORD_EMBEDS = 10;
+
+/**
+ * Discordの1つのメッセージに含める埋め込みの合計文字数（タイトル・説明・フィールド・フッター）の最大数（Discordの上限）
+ */
+const MAX_DISCORD_EMBED_LENGTH = 6000;
+
+/**
+ * Discordの埋め込みの説明の最大文字数（Discordの上限）
+ */
+const MAX_DISCORD_DESCRIPTION_LENGTH = 4096;
+
+/**
+ * Slackの1つのメッセージに含めるスポットの最大数（1スポットに2ブロック使用し、Slackの上限50ブロックに収める）
+ */
+const MAX_SLACK_SPOTS = 20;
+
+/**
+ * 取得元ごとの埋め込みの色
+ */
+const SOURCE_COLORS = {
+  POTA: 0x2e7d32,
+  SOTA: 0xc62828,
+  WWFF: 0x1565c0,
+  DXC: 0x616161
+};
+
+/**
+ * サービスごとの送信先の設定
+ * @typedef {Object} ChatServiceSettings
+ * @property {boolean} enabled - このサービスに送信する
+ * @property {string} url - 共通の送信先（Incoming WebhookのURL、ルールで送信先を指定しない場合に使用）
+ */
+
+/**
+ * Discord・Slackへの通知の設定
+ * @typedef {Object} ChatAlertSettings
+ * @property {ChatServiceSettings} discord - Discordの設定
+ * @property {ChatServiceSettings} slack - Slackの設定
+ * @property {number} timeoutSeconds - 1回の送信のタイムアウト（秒）
+ * @property {number} maxRetries - 送信に失敗した場合の再試行回数
+ */
+
+/**
+ * 送信先ごとにまとめたスポット
+ * @typedef {Object} ChatDestination
+ * @property {'discord'|'slack'} service - チャットサービス
+ * @property {string} url - 送信先のURL
+ * @property {Array<{spot: Object, ruleNames: string[]}>} spots - 送信するスポットと一致したルール名
+ */
+
+/**
+ * デフォルトのDiscord・Slackへの通知の設定を作成（無効）
+ * @returns {ChatAlertSettings}
+ */
+function createDefaultChatAlertSettings() {
+  return {
+    discord: { enabled: false, url: '' },
+    slack: { enabled: false, url: '' },
+    timeoutSeconds: 10,
+    maxRetries: 2
+  };
+}
+
+/**
+ * Discord・Slackへの通知の設定を検証
+ * @param {ChatAlertSettings} chatAlerts - Discord・Slackへの通知の設定
+ * @param {import('./filter').AlertRule[]} [alertRules] - アラートルール（ルールごとの送信先を検証する）
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateChatAlertSettings(chatAlerts, alertRules = []) {
+  if (!chatAlerts) {
+    return null;
+  }
+  for (const service of CHAT_SERVICES) {
+    const settings = chatAlerts[service] || {};
+    const label = CHAT_SERVICE_LABELS[service];
+    if (settings.url && !isValidHttpUrl(settings.url)) {
+      return `${label}のWebhook URLが不正です: ${settings.url}`;
+    }
+    for (const rule of alertRules || []) {
+      const ruleUrl = rule.channels?.[`${service}Url`];
+      if (ruleUrl && !isValidHttpUrl(ruleUrl)) {
+        return `ルール「${rule.name}」の${label}のWebhook URLが不正です: ${ruleUrl}`;
+      }
+    }
+    const hasRuleUrl = (alertRules || []).some(rule => rule.channels?.[service] && rule.channels?.[`${service}Url`]);
+    if (settings.enabled && !settings.url && !hasRuleUrl) {
+      return `${label}のWebhook URLを指定してください`;
+    }
+  }
+  if (typeof chatAlerts.timeoutSeconds !== 'number' || isNaN(chatAlerts.timeoutSeconds) || chatAlerts.timeoutSeconds <= 0) {
+    return 'Discord・Slackのタイムアウトには0より大きい数値（秒）を指定してください';
+  }
+  if (!Number.isInteger(chatAlerts.maxRetries) || chatAlerts.maxRetries < 0) {
+    return 'Discord・Slackの再試行回数には0以上の整数を指定してください';
+  }
+  return null;
+}
+
+/**
+ * スポットのリファレンス（パーク・サミット）のページのURLを取得
+ * @param {Object} spot - スポットデータ
+ * @returns {string|null} URL（リファレンスがない・ページがない取得元の場合はnull）
+ */
+function getReferenceUrl(spot) {
+  const reference = String(spot?.reference || '').trim();
+  if (!reference) {
+    return null;
+  }
+  switch (spot.source || 'POTA') {
+    case 'POTA':
+      return `https://pota.app/#/park/${encodeURIComponent(reference)}`;
+    case 'SOTA':
+      return `https://summits.sota.org.uk/summit/${reference.split('/').map(encodeURIComponent).join('/')}`;
+    case 'WWFF':
+      return `https://wwff.co/directory/?showRef=${encodeURIComponent(reference)}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 一致したスポットを送信先ごとにまとめる
+ * ルールで送信先を指定していない場合は共通の送信先に送信し、同じスポットは同じ送信先に1回だけ送信する
+ * @param {Array<{spot: Object, rules: import('./filter').AlertRule[]}>} matchedSpots - ルールに一致したスポット
+ * @param {ChatAlertSettings} chatAlerts - Discord・Slackへの通知の設定
+ * @returns {ChatDestination[]}
+ */
+function groupChatDestinations(matchedSpots, chatAlerts) {
+  const destinations = new Map();
+  for (const service of CHAT_SERVICES) {
+    const settings = chatAlerts?.[service];
+    if (!settings?.enabled) {
+      continue;
+    }
+    for (const { spot, rules } of matchedSpots) {
+      const ruleNames = rules.map(rule => rule.name);
+      const urls = new Set(rules
+        .filter(rule => rule.channels?.[service])
+        .map(rule => rule.channels[`${service}Url`] || settings.url)
+        .filter(Boolean));
+      for (const url of urls) {
+        const key = `${service}|${url}`;
+        if (!destinations.has(key)) {
+          destinations.set(key, { service, url, spots: [] });
+        }
+        destinations.get(key).spots.push({ spot, ruleNames });
+      }
+    }
+  }
+  return Array.from(destinations.values());
+}
+
+/**
+ * 文字列を最大文字数に切り詰める
+ */
+function truncate(text, maxLength) {
+  const value = String(text ?? '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * 周波数を表示用の文字列に変換
+ */
+function formatFrequency(spot) {
+  return spot.frequency ? `${spot.frequency} kHz` : '-';
+}
+
+/**
+ * パーク名と所在地を表示用の文字列に変換
+ */
+function formatPark(spot) {
+  const name = spot.name || spot.parkName || '';
+  return [name, spot.locationDesc ? `(${spot.locationDesc})` : ''].filter(Boolean).join(' ') || '-';
+}
+
+/**
+ * スポットの投稿時刻をISO 8601の文字列に変換
+ * @param {Object} spot - スポットデータ
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {string|null} 投稿時刻がわからない場合はnull
+ */
+function getSpotTimestamp(spot, now) {
+  const ageMs = getSpotAgeMs(spot, now);
+  return ageMs === null ? null : new Date(now - ageMs).toISOString();
+}
+
+/**
+ * 配列を指定した数ずつに分ける
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Discordの埋め込みの文字数（メッセージごとの上限の対象になるタイトル・説明・フィールド・フッター）を取得
+ */
+function getDiscordEmbedLength(embed) {
+  return (embed.title || '').length +
+    (embed.description || '').length +
+    (embed.footer?.text || '').length +
+    (embed.fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+/**
+ * スポットをDiscordの埋め込みに整形
+ * 説明（コメント）は埋め込み1件でメッセージの文字数の上限を超えない長さに切り詰める
+ */
+function createDiscordEmbed({ spot, ruleNames }, now) {
+  const embed = {
+    title: truncate([spot.activator, spot.reference].filter(Boolean).join(' @ '), 256),
+    color: SOURCE_COLORS[spot.source] ?? SOURCE_COLORS.POTA,
+    fields: [
+      { name: 'リファレンス', value: truncate(spot.reference || '-', 1024), inline: true },
+      { name: '周波数', value: formatFrequency(spot), inline: true },
+      { name: 'モード', value: truncate(spot.mode || '-', 1024), inline: true },
+      { name: 'パーク', value: truncate(formatPark(spot), 1024), inline: false }
+    ],
+    footer: {
+      text: truncate([spot.source, spot.spotter ? `spotter: ${spot.spotter}` : '', ruleNames.length > 0 ? `ルール: ${ruleNames.join(', ')}` : '']
+        .filter(Boolean).join(' ・ '), 2048)
+    }
+  };
+  const url = getReferenceUrl(spot);
+  if (url) {
+    embed.url = url;
+  }
+  if (spot.comments) {
+    const maxLength = Math.min(MAX_DISCORD_DESCRIPTION_LENGTH, MAX_DISCORD_EMBED_LENGTH - getDiscordEmbedLength(embed));
+    embed.description = truncate(spot.comments, maxLength);
+  }
+  const timestamp = getSpotTimestamp(spot, now);
+  if (timestamp) {
+    embed.timestamp = timestamp;
+  }
+  return embed;
+}
+
+/**
+ * スポットをDiscordのメッセージ（埋め込み）に整形
+ * 1つのメッセージに最大10件・合計6000文字までの埋め込みを含め、超える場合は複数のメッセージに分ける
+ * @param {Array<{spot: Object, ruleNames: string[]}>} spots - 送信するスポットと一致したルール名
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {Object[]} Discordのメッセージの配列
+ */
+function formatDiscordMessages(spots, now = Date.now()) {
+  const chunks = [];
+  let embeds = [];
+  let length = 0;
+  for (const item of spots) {
+    const embed = createDiscordEmbed(item, now);
+    const embedLength = getDiscordEmbedLength(embed);
+    if (embeds.length >= MAX_DISCORD_EMBEDS || (embeds.length > 0 && length + embedLength > MAX_DISCORD_EMBED_LENGTH)) {
+      chunks.push(embeds);
+      embeds = [];
+      length = 0;
+    }
+    embeds.push(embed);
+    length += embedLength;
+  }
+  if (embeds.length > 0) {
+    chunks.push(embeds);
+  }
+  return chunks.map(items => ({
+    content: items.length > 1 ? `${items.length}件のスポット` : '',
+    embeds: items
+  }));
+}
+
+/**
+ * Slackのmrkdwnの制御文字（&・<・>）をエスケープ
+ */
+function escapeSlackText(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * スポットをSlackのメッセージ（Block Kit）に整形
+ * 1つのメッセージに最大20件のスポットを含め、超える場合は複数のメッセージに分ける
+ * @param {Array<{spot: Object, ruleNames: string[]}>} spots - 送信するスポットと一致したルール名
+ * @returns {Object[]} Slackのメッセージの配列
+ */
+function formatSlackMessages(spots) {
+  return chunk(spots, MAX_SLACK_SPOTS).map(items => ({
+    // 通知・ブロックを表示できないクライアント用の本文
+    text: truncate(items.map(({ spot }) => `${spot.activator} ${spot.reference || ''} ${formatFrequency(spot)} ${spot.mode || ''}`.replace(/\s+/g, ' ').trim()).join(' / '), 3000),
+    blocks: items.flatMap(({ spot, ruleNames }) => {
+      const url = getReferenceUrl(spot);
+      const reference = escapeSlackText(spot.reference || '-');
+      const lines = [
+        `*${escapeSlackText(spot.activator)}* @ ${url ? `<${url}|${reference}>` : reference}`,
+        `${escapeSlackText(formatFrequency(spot))}  ${escapeSlackText(spot.mode || '-')}  ${escapeSlackText(formatPark(spot))}`
+      ];
+      if (spot.comments) {
+        lines.push(`> ${escapeSlackText(spot.comments)}`);
+      }
+      const context = [spot.source, spot.spotter ? `spotter: ${spot.spotter}` : '', ruleNames.length > 0 ? `ルール: ${ruleNames.join(', ')}` : '']
+        .filter(Boolean).join(' ・ ');
+      return [
+        { type: 'section', text: { type: 'mrkdwn', text: truncate(lines.join('\n'), 3000) } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: truncate(escapeSlackText(context), 3000) }] }
+      ];
+    })
+  }));
+}
+
+/**
+ * 送信先に合わせてスポットをメッセージに整形
+ * @param {'discord'|'slack'} service - チャットサービス
+ * @param {Array<{spot: Object, ruleNames: string[]}>} spots - 送信するスポットと一致したルール名
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {Object[]} メッセージの配列
+ */
+function formatChatMessages(service, spots, now = Date.now()) {
+  return service === 'slack' ? formatSlackMessages(spots) : formatDiscordMessages(spots, now);
+}
+
+/**
+ * 1つの送信先にスポットを送信
+ * レート制限を超えないよう、複数のメッセージに分けた場合は順番に送信する
+ * @param {ChatDestination} destination - 送信先とスポット
+ * @param {ChatAlertSettings} chatAlerts - Discord・Slackへの通知の設定（タイムアウト・再試行回数）
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {Promise<import('./webhook').WebhookDeliveryResult[]>} メッセージごとの結果
+ */
+async function sendChatMessages(destination, chatAlerts, now = Date.now()) {
+  const delivery = { timeoutSeconds: chatAlerts.timeoutSeconds, maxRetries: chatAlerts.maxRetries };
+  const results = [];
+  for (const message of formatChatMessages(destination.service, destination.spots, now)) {
+    results.push(await deliverWebhook(destination.url, JSON.stringify(message), delivery));
+  }
+  return results;
+}
+
+module.exports = {
+  CHAT_SERVICES,
+  CHAT_SERVICE_LABELS,
+  createDefaultChatAlertSettings,
+  validateChatAlertSettings,
+  getReferenceUrl,
+  groupChatDestinations,
+  formatDiscordMessages,
+  formatSlackMessages,
+  sendChatMessages
+};
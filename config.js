@@ -0,0 +1,106 @@
+/**
+ * フィルタ設定（config.json）のデフォルト値と検証
+ * 新規の設定と、既存の設定にない項目の補完に同じデフォルト値を使用する
+ */
+
+const { DEFAULT_IARU_REGION } = require('./bands');
+const { createAlertRule, validateFilterConfig } = require('./filter');
+const { createDefaultModeFamilies } = require('./modes');
+const { createDefaultParkEnrichment, validateParkEnrichment } = require('./parks');
+const { createDefaultSpotClientSettings, validateSpotClientSettings } = require('./spotclient');
+const { createDefaultSpotSources, validateSpotSources } = require('./spotsources');
+const { createDefaultStartupPolicy } = require('./seenspots');
+const { createDefaultHistorySettings, validateHistorySettings } = require('./spothistory');
+const { createDefaultWebhookSettings, validateWebhookSettings } = require('./webhook');
+const { CHAT_SERVICES, createDefaultChatAlertSettings, validateChatAlertSettings } = require('./chatalerts');
+
+/**
+ * デフォルトのフィルタ設定を作成
+ * @returns {import('./filter').FilterConfig}
+ */
+function createDefaultFilterConfig() {
+  return {
+    alertRules: [createAlertRule('デフォルト')],
+    ruleMatchMode: 'first',
+    iaruRegion: DEFAULT_IARU_REGION,
+    watchlist: [],
+    spotterFilter: { allowList: [], denyList: [], allowListOnly: false, trustRbn: false },
+    homeLocation: { locator: '', latitude: null, longitude: null },
+    neededParks: { enabled: false, perBand: false, perMode: false },
+    activationTracking: { qsyAction: 'qsy', respotAction: 'none' },
+    alertCooldown: { minutes: 0, alertOnChange: true },
+    startupPolicy: createDefaultStartupPolicy(),
+    history: createDefaultHistorySettings(),
+    webhook: createDefaultWebhookSettings(),
+    chatAlerts: createDefaultChatAlertSettings(),
+    modeFamilies: createDefaultModeFamilies(),
+    parkEnrichment: createDefaultParkEnrichment(),
+    spotClient: createDefaultSpotClientSettings(),
+    spotSources: createDefaultSpotSources(),
+    showPotaWindow: true,
+    ignoreOtherSpotters: false,
+    notificationSoundPath: null,
+    maxNotificationCount: 0,
+    maxPopupCount: 0
+  };
+}
+
+/**
+ * 既存の設定にない項目をデフォルトで補完
+ * 項目単位で補完する設定（スポットの取得・取得元・起動時の通知・履歴・Webhook・Discord・Slack）は
+ * 設定済みの項目を残してない項目だけを補完する
+ * @param {import('./filter').FilterConfig} config - 読み込んだ設定（アラートルール形式に移行済み）
+ * @returns {import('./filter').FilterConfig}
+ */
+function applyFilterConfigDefaults(config) {
+  const defaults = createDefaultFilterConfig();
+  const mergeEach = (key, names = Object.keys(defaults[key])) => Object.fromEntries(names.map(name =>
+    [name, { ...defaults[key][name], ...config[key]?.[name] }]
+  ));
+  return {
+    ...defaults,
+    ...config,
+    spotClient: { ...defaults.spotClient, ...config.spotClient },
+    spotSources: mergeEach('spotSources'),
+    startupPolicy: { ...defaults.startupPolicy, ...config.startupPolicy },
+    history: { ...defaults.history, ...config.history },
+    webhook: { ...defaults.webhook, ...config.webhook },
+    chatAlerts: { ...defaults.chatAlerts, ...config.chatAlerts, ...mergeEach('chatAlerts', CHAT_SERVICES) }
+  };
+}
+
+/**
+ * 設定全体を検証
+ * フィルタ条件のエラー（filter.jsのvalidateFilterConfig）に加え、パーク情報の取得設定の場合はparkEnrichment、
+ * スポットの取得設定の場合はspotClient、取得元ごとの設定の場合はspotSources、履歴の場合はhistory、
+ * Webhookの場合はwebhook、Discord・Slackの場合はchatAlertsでエラー位置を示す
+ * @param {import('./filter').FilterConfig} config - フィルタ設定
+ * @returns {Array<{ruleIndex?: number, path?: number[], field?: string, index?: number, watchlistIndex?: number, spotterList?: string, homeLocation?: boolean, modeFamilies?: boolean, modeFamilyIndex?: number, parkEnrichment?: boolean, spotClient?: boolean, spotSources?: boolean, history?: boolean, webhook?: boolean, chatAlerts?: boolean, message: string}>} エラーの配列（問題がない場合は空配列）
+ */
+function validateConfig(config) {
+  if (!config) {
+    return [];
+  }
+
+  const errors = validateFilterConfig(config);
+  const settingErrors = [
+    ['parkEnrichment', validateParkEnrichment(config.parkEnrichment)],
+    ['spotClient', validateSpotClientSettings(config.spotClient)],
+    ['spotSources', validateSpotSources(config.spotSources)],
+    ['history', validateHistorySettings(config.history)],
+    ['webhook', validateWebhookSettings(config.webhook)],
+    ['chatAlerts', validateChatAlertSettings(config.chatAlerts, config.alertRules)]
+  ];
+  for (const [key, message] of settingErrors) {
+    if (message) {
+      errors.push({ [key]: true, message });
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  createDefaultFilterConfig,
+  applyFilterConfigDefaults,
+  validateConfig
+};
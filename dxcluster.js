@@ -0,0 +1,242 @@
+/**
+ * DXクラスターへの接続
+ * telnetでDXクラスターに接続し、「DX de」の行を共通の形式のスポットに変換する
+ */
+
+const net = require('net');
+
+/**
+ * 受信したスポットを保持する時間（ミリ秒）
+ */
+const SPOT_RETENTION_MS = 30 * 60 * 1000;
+
+/**
+ * 保持するスポットの最大数（activatorごとに最新の1件）
+ */
+const MAX_SPOTS = 200;
+
+/**
+ * 再接続の初回の待ち時間（ミリ秒、失敗するごとに2倍にする）
+ */
+const RECONNECT_BASE_DELAY_MS = 5000;
+
+/**
+ * 再接続の待ち時間の上限（ミリ秒）
+ */
+const MAX_RECONNECT_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * 接続・ログインのタイムアウト（ミリ秒）
+ */
+const CONNECT_TIMEOUT_MS = 15000;
+
+/**
+ * コメントから推定するモード
+ */
+const COMMENT_MODES = ['CW', 'SSB', 'USB', 'LSB', 'FM', 'AM', 'FT8', 'FT4', 'RTTY', 'PSK31', 'JS8', 'SSTV'];
+
+/**
+ * 「DX de」の行の形式
+ * 例: DX de JA1ABC:     7025.0  JA2XYZ       CQ POTA JA-1234          1234Z
+ */
+const SPOT_LINE_PATTERN = /^DX de\s+([A-Z0-9/#-]+):?\s+(\d+(?:\.\d+)?)\s+([A-Z0-9/]+)\s+(.*?)\s*(\d{4})Z/i;
+
+/**
+ * ログインのプロンプトの形式（例: "login: "、"Please enter your call: "）
+ */
+const LOGIN_PROMPT_PATTERN = /(login|call(sign)?)\s*:?\s*$/i;
+
+let spotSequence = 0; // スポットIDの連番
+
+/**
+ * コメントからモードを推定
+ * @param {string} comment - コメント
+ * @returns {string} モード（推定できない場合は空文字）
+ */
+function guessModeFromComment(comment) {
+  const words = String(comment || '').toUpperCase().split(/[^A-Z0-9]+/);
+  const mode = COMMENT_MODES.find(candidate => words.includes(candidate));
+  if (mode === 'USB' || mode === 'LSB') {
+    return 'SSB';
+  }
+  return mode || '';
+}
+
+/**
+ * スポットのUTCの時刻（HHMM）から日時を作成
+ * 現在時刻より後になる場合は前日の時刻とみなす
+ * @param {string} hhmm - 時刻（HHMM）
+ * @param {Date} now - 現在時刻
+ * @returns {string} 日時（YYYY-MM-DDTHH:MM:SS、UTC）
+ */
+function createSpotTime(hhmm, now) {
+  const time = new Date(Date.UTC(
+    now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(),
+    Number(hhmm.slice(0, 2)), Number(hhmm.slice(2, 4))
+  ));
+  if (time.getTime() - now.getTime() > 60 * 60 * 1000) {
+    time.setUTCDate(time.getUTCDate() - 1);
+  }
+  return time.toISOString().slice(0, 19);
+}
+
+/**
+ * DXクラスターの「DX de」の行を共通の形式のスポットに変換
+ * @param {string} line - 受信した行
+ * @param {Date} [now] - 現在時刻
+ * @returns {Object|null} スポットの行でない場合はnull
+ */
+function parseDxClusterLine(line, now = new Date()) {
+  const match = String(line || '').trim().match(SPOT_LINE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, spotter, frequency, activator, comment, hhmm] = match;
+  return {
+    spotId: `DXC-${++spotSequence}`,
+    source: 'DXC',
+    activator: activator.toUpperCase(),
+    reference: '',
+    frequency,
+    mode: guessModeFromComment(comment),
+    spotter: spotter.toUpperCase(),
+    comments: comment.trim(),
+    spotTime: createSpotTime(hhmm, now)
+  };
+}
+
+/**
+ * DXクラスターのクライアントを作成
+ * 切断された場合は指数バックオフで再接続し、受信したスポットをactivatorごとに一定時間保持する
+ * @param {import('./spotsources').DxClusterSettings} settings - DXクラスターの設定
+ * @param {Object} handlers
+ * @param {function(Object[]): void} handlers.onSpots - スポットを受信したときに保持中のスポット一覧を受け取るコールバック
+ * @param {function(string|null): void} [handlers.onStatus] - 接続状態が変わったときにエラーメッセージ（接続した場合はnull）を受け取るコールバック
+ * @returns {{connect: function(): void, close: function(): void, getSpots: function(): Object[], isConnected: function(): boolean}}
+ */
+function createDxClusterClient(settings, handlers) {
+  const spots = new Map(); // activatorごとの最新のスポット
+  let socket = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let connected = false;
+  let closed = false;
+  let buffer = '';
+  let lastError = null; // 切断の原因になった通信エラー
+
+  const getSpots = () => {
+    const cutoff = Date.now() - SPOT_RETENTION_MS;
+    for (const [activator, spot] of spots) {
+      if (spot.receivedAt < cutoff) {
+        spots.delete(activator);
+      }
+    }
+    return Array.from(spots.values()).map(({ receivedAt, ...spot }) => spot);
+  };
+
+  const scheduleReconnect = (message) => {
+    connected = false;
+    socket = null;
+    handlers.onStatus?.(message);
+    if (closed || reconnectTimer) {
+      return;
+    }
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    reconnectAttempts++;
+    console.warn(`DXクラスターから切断されました（${delay}ms後に再接続）:`, message);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const handleLine = (line) => {
+    // ログインのプロンプトにはコールサインを返し、ログイン後は接続を維持する
+    if (!connected && LOGIN_PROMPT_PATTERN.test(line)) {
+      socket.write(`${settings.callsign.trim()}\r\n`);
+      socket.setTimeout(0);
+      connected = true;
+      reconnectAttempts = 0;
+      handlers.onStatus?.(null);
+      return;
+    }
+    const spot = parseDxClusterLine(line);
+    if (!spot) {
+      return;
+    }
+    spots.delete(spot.activator);
+    spots.set(spot.activator, { ...spot, receivedAt: Date.now() });
+    if (spots.size > MAX_SPOTS) {
+      spots.delete(spots.keys().next().value);
+    }
+    handlers.onSpots(getSpots());
+  };
+
+  function connect() {
+    if (closed || socket) {
+      return;
+    }
+    buffer = '';
+    lastError = null;
+    const currentSocket = net.createConnection({ host: settings.host.trim(), port: settings.port });
+    socket = currentSocket;
+    currentSocket.setEncoding('latin1');
+    currentSocket.setTimeout(CONNECT_TIMEOUT_MS);
+
+    currentSocket.on('connect', () => {
+      console.log(`DXクラスターに接続しました: ${settings.host}:${settings.port}`);
+    });
+    currentSocket.on('data', (data) => {
+      buffer += data;
+      // ログインのプロンプトは改行で終わらないため、改行のない残りも確認する
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        handleLine(line);
+      }
+      if (!connected && LOGIN_PROMPT_PATTERN.test(buffer)) {
+        handleLine(buffer);
+        buffer = '';
+      }
+    });
+    currentSocket.on('timeout', () => {
+      currentSocket.destroy(new Error('ログインがタイムアウトしました'));
+    });
+    currentSocket.on('error', (error) => {
+      console.error('DXクラスターの通信エラー:', error.message);
+      lastError = error.message;
+    });
+    currentSocket.on('close', () => {
+      if (socket === currentSocket) {
+        scheduleReconnect(lastError || '接続が切断されました');
+      }
+    });
+  }
+
+  const close = () => {
+    closed = true;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (socket) {
+      const currentSocket = socket;
+      socket = null;
+      currentSocket.destroy();
+    }
+    connected = false;
+  };
+
+  return {
+    connect,
+    close,
+    getSpots,
+    isConnected: () => connected
+  };
+}
+
+module.exports = {
+  guessModeFromComment,
+  parseDxClusterLine,
+  createDxClusterClient
+};
@@ -3,11 +3,27 @@
  * スポットデータに対してフィルタ条件を適用
  */
 
+const { DEFAULT_IARU_REGION, parseFrequencyKhz, getBandRange, getBandForFrequency } = require('./bands');
+const { validateHomeLocation } = require('./geo');
+const { isParkNeeded } = require('./hunterlog');
+const { MODE_FAMILIES, getModeFamily, validateModeFamilies } = require('./modes');
+const { getSpotSource } = require('./spotsources');
+const {
+  normalizeProgramPrefix,
+  getProgramFromReference,
+  parseLocationDesc,
+  isValidProgramPrefix,
+  isValidSubdivisionCode
+} = require('./regions');
+
 /**
  * フィルタ条件のデータ構造
  * @typedef {Object} FilterCondition
- * @property {string} value - フィルタ値
- * @property {string} type - フィルタタイプ ('contains' | 'exact')
+ * @property {string|number|boolean} value - フィルタ値（within/beyond/lessThan/atLeastは数値、flagは真偽値）
+ * @property {string} type - フィルタタイプ ('contains' | 'exact' | 'regex' | 'range' | 'band' | 'callsign' | 'watchlist' | 'family' | 'within' | 'beyond' | 'sector' | 'lessThan' | 'atLeast' | 'flag' | 'program' | 'subdivision')
+ * @property {boolean} [caseSensitive] - 大文字小文字を区別するか（regexのみ、デフォルトfalse）
+ * @property {number|null} [min] - 下限周波数（kHz、rangeのみ、nullの場合は下限なし）、または方位の開始（度、sectorのみ）
+ * @property {number|null} [max] - 上限周波数（kHz、rangeのみ、nullの場合は上限なし）、または方位の終了（度、sectorのみ）
  * @property {boolean} exclude - 除外フラグ
  * @property {boolean} enabled - 有効フラグ（falseの場合はフィルタに適用されない）
  */
@@ -17,17 +33,165 @@
  * @typedef {Object} FieldFilter
  * @property {FilterCondition[]} conditions - フィルタ条件の配列
  * @property {string} operator - AND/OR演算子 ('and' | 'or')
+ * @property {number} [region] - バンド判定に使うIARUリージョン（frequencyのみ、デフォルト3）
+ */
+
+/**
+ * ルールツリーのグループノード
+ * @typedef {Object} RuleGroup
+ * @property {'group'} type - ノード種別
+ * @property {string} operator - 演算子 ('and' | 'or' | 'not')。notは「いずれの子にも一致しない」
+ * @property {boolean} [enabled] - 有効フラグ（falseの場合は評価しない）
+ * @property {Array<RuleGroup|RuleCondition>} children - 子ノードの配列
+ */
+
+/**
+ * ルールツリーの条件ノード
+ * @typedef {Object} RuleCondition
+ * @property {'condition'} type - ノード種別
+ * @property {string} field - 対象フィールド（RULE_FIELDSのいずれか）
+ * @property {FilterCondition} condition - フィルタ条件（excludeは使用しない。除外はnotグループで表現）
+ */
+
+/**
+ * ウォッチリストのエントリ
+ * @typedef {Object} WatchlistEntry
+ * @property {string} callsign - コールサイン（*でワイルドカード指定可、例: JA1*）
+ * @property {string} [note] - メモ（通知に表示）
+ * @property {boolean} [enabled] - 有効フラグ（falseの場合は照合しない）
+ */
+
+/**
+ * spotterリストのエントリ
+ * @typedef {Object} SpotterListEntry
+ * @property {string} callsign - コールサイン（*でワイルドカード指定可）
+ * @property {boolean} [enabled] - 有効フラグ（falseの場合は照合しない）
+ */
+
+/**
+ * spotterフィルタ設定
+ * @typedef {Object} SpotterFilter
+ * @property {SpotterListEntry[]} allowList - 信頼するspotterのリスト
+ * @property {SpotterListEntry[]} denyList - ブロックするspotterのリスト（常に除外）
+ * @property {boolean} allowListOnly - 信頼するspotter（とRBN）からのスポットのみ通知する
+ * @property {boolean} trustRbn - RBN/スキマーからのスポットを信頼するspotterとして扱う
+ */
+
+/**
+ * 未交信パークのみ通知する設定
+ * @typedef {Object} NeededParksFilter
+ * @property {boolean} enabled - インポートしたハンターログで交信済みのパークを通知しない
+ * @property {boolean} perBand - バンドごとに判定する（交信済みのパークでも未交信のバンドなら通知）
+ * @property {boolean} perMode - モードごとに判定する（交信済みのパークでも未交信のモードなら通知）
+ */
+
+/**
+ * アラートルールの通知チャネル設定
+ * @typedef {Object} AlertChannels
+ * @property {boolean} notification - デスクトップ通知を表示する
+ * @property {boolean} popup - ポップアップを表示する
+ * @property {boolean} sound - 通知音を再生する
+ * @property {string|null} soundPath - このルール用の通知音ファイル（nullの場合は共通の通知音）
+ * @property {boolean} voicevox - 読み上げる
+ * @property {boolean} [webhook] - Webhookに送信する
+ * @property {boolean} [discord] - Discordに送信する
+ * @property {string|null} [discordUrl] - このルール用のDiscordのWebhook URL（nullの場合は共通の送信先）
+ * @property {boolean} [slack] - Slackに送信する
+ * @property {string|null} [slackUrl] - このルール用のSlackのWebhook URL（nullの場合は共通の送信先）
+ */
+
+/**
+ * アラートルール（名前付きのルールツリーと通知チャネルの組み合わせ）
+ * @typedef {Object} AlertRule
+ * @property {string} id - ルールID
+ * @property {string} name - ルール名
+ * @property {boolean} enabled - 有効フラグ
+ * @property {RuleGroup} ruleTree - ルールツリー
+ * @property {AlertChannels} channels - 通知チャネル設定
  */
 
 /**
  * フィルタ設定全体
  * @typedef {Object} FilterConfig
- * @property {FieldFilter} reference - referenceフィールドのフィルタ
- * @property {FieldFilter} comments - commentsフィールドのフィルタ
- * @property {FieldFilter} mode - modeフィールドのフィルタ
- * @property {FieldFilter} frequency - frequencyフィールドのフィルタ
- * @property {boolean} ignoreOtherSpotters - 他人のspotterは通知しない
+ * @property {AlertRule[]} [alertRules] - アラートルールの配列（設定されている場合はruleTreeより優先）
+ * @property {string} [ruleMatchMode] - 'first'（最初に一致したルールのみ）| 'all'（一致した全てのルール）
+ * @property {RuleGroup} [ruleTree] - ルールツリー（設定されている場合は旧形式のフィールドより優先）
+ * @property {number} [iaruRegion] - バンド判定に使うIARUリージョン（デフォルト3）
+ * @property {WatchlistEntry[]} [watchlist] - activatorのウォッチリスト
+ * @property {import('./geo').HomeLocation} [homeLocation] - 自局の位置（距離・方位の計算に使用）
+ * @property {NeededParksFilter} [neededParks] - 未交信パークのみ通知する設定
+ * @property {import('./modes').ModeFamilySettings} [modeFamilies] - モードファミリーの対応表
+ * @property {import('./parks').ParkEnrichment} [parkEnrichment] - パーク情報の取得設定
+ * @property {import('./spotclient').SpotClientSettings} [spotClient] - スポットの取得設定
+ * @property {import('./spotsources').SpotSourceSettings} [spotSources] - 取得元（POTA・SOTA・WWFF・DXクラスター）ごとの設定
+ * @property {import('./seenspots').StartupPolicy} [startupPolicy] - 起動時の通知の設定
+ * @property {import('./spothistory').HistorySettings} [history] - スポットの履歴の保存設定
+ * @property {import('./webhook').WebhookSettings} [webhook] - Webhookの設定
+ * @property {import('./chatalerts').ChatAlertSettings} [chatAlerts] - Discord・Slackへの通知の設定
+ * @property {boolean} [showPotaWindow] - メインウィンドウにpota.appを表示する（falseの場合は取得状況を表示）
+ * @property {FieldFilter} [reference] - referenceフィールドのフィルタ（旧形式）
+ * @property {FieldFilter} [comments] - commentsフィールドのフィルタ（旧形式）
+ * @property {FieldFilter} [mode] - modeフィールドのフィルタ（旧形式）
+ * @property {FieldFilter} [frequency] - frequencyフィールドのフィルタ（旧形式）
+ * @property {SpotterFilter} [spotterFilter] - spotterの許可・ブロックリスト
+ * @property {boolean} ignoreOtherSpotters - 他人のspotterは通知しない（信頼するspotterからのスポットは通知する）
+ */
+
+/**
+ * コールサイン用の条件タイプ（callsign・watchlist）を使用できるフィールド
+ */
+const CALLSIGN_FIELDS = ['activator', 'spotter'];
+
+/**
+ * 旧形式でフィルタ可能なフィールド
+ */
+const LEGACY_FIELDS = ['reference', 'comments', 'mode', 'frequency'];
+
+/**
+ * ルールツリーで条件に使用できるスポットのフィールド
+ */
+const RULE_FIELDS = [
+  'reference', 'name', 'locationDesc', 'activator', 'spotter', 'comments', 'mode', 'frequency', 'distance', 'bearing',
+  'parkType', 'entity', 'parkActivations', 'firstActivation', 'source'
+];
+
+/**
+ * フィールドで使用できる条件タイプを取得
+ * distance（km）・bearing（度）・parkActivations（回）・firstActivation（真偽値）はメインプロセスで付加されるフィールド
+ * @param {string} field - フィールド名
+ * @returns {string[]}
  */
+function getAllowedConditionTypes(field) {
+  if (field === 'distance') {
+    return ['within', 'beyond'];
+  }
+  if (field === 'bearing') {
+    return ['sector'];
+  }
+  if (field === 'parkActivations') {
+    return ['lessThan', 'atLeast'];
+  }
+  if (field === 'firstActivation') {
+    return ['flag'];
+  }
+  const types = ['contains', 'exact', 'regex'];
+  if (field === 'frequency') {
+    types.push('range', 'band');
+  }
+  if (field === 'mode') {
+    types.push('family');
+  }
+  if (field === 'reference') {
+    types.push('program');
+  }
+  if (field === 'locationDesc') {
+    types.push('subdivision');
+  }
+  if (CALLSIGN_FIELDS.includes(field)) {
+    types.push('callsign', 'watchlist');
+  }
+  return types;
+}
 
 /**
  * 大文字小文字を区別しない文字列比較
@@ -85,14 +249,412 @@ function callsignsMatch(activator, spotter) {
   return normalizedActivator === normalizedSpotter;
 }
 
+/**
+ * 正規表現の特殊文字をエスケープ
+ * @param {string} text - 文字列
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * コールサインがパターンに一致するかチェック
+ * 両方をnormalizeCallsignで正規化してから比較し、パターンの*は任意の文字列に一致する
+ * @param {string} callsign - コールサイン
+ * @param {string} pattern - パターン（例: JA1ABC, JA1*）
+ * @returns {boolean}
+ */
+function callsignMatchesPattern(callsign, pattern) {
+  const normalizedCallsign = normalizeCallsign(callsign);
+  const normalizedPattern = normalizeCallsign(pattern);
+  if (!normalizedCallsign || !normalizedPattern) {
+    return false;
+  }
+  if (!normalizedPattern.includes('*')) {
+    return normalizedCallsign === normalizedPattern;
+  }
+  const source = normalizedPattern.split('*').map(escapeRegExp).join('.*');
+  return new RegExp(`^${source}$`).test(normalizedCallsign);
+}
+
+/**
+ * コールサインパターンが有効かチェック
+ * @param {string} pattern - パターン
+ * @returns {boolean}
+ */
+function isValidCallsignPattern(pattern) {
+  return typeof pattern === 'string' && /^[A-Z0-9*]+(\/[A-Z0-9]*)?$/i.test(pattern.trim());
+}
+
+/**
+ * ウォッチリストからコールサインに一致するエントリを検索
+ * @param {string} callsign - コールサイン
+ * @param {WatchlistEntry[]} watchlist - ウォッチリスト
+ * @returns {WatchlistEntry|null} 一致したエントリ（一致しない場合はnull）
+ */
+function findWatchlistEntry(callsign, watchlist) {
+  if (!Array.isArray(watchlist)) {
+    return null;
+  }
+  return watchlist.find(entry =>
+    entry && entry.enabled !== false && callsignMatchesPattern(callsign, entry.callsign)
+  ) || null;
+}
+
+/**
+ * ウォッチリストを検証
+ * @param {WatchlistEntry[]} watchlist - ウォッチリスト
+ * @returns {Array<{watchlistIndex: number, message: string}>} エラーの配列
+ */
+function validateWatchlist(watchlist) {
+  const errors = [];
+  (watchlist || []).forEach((entry, watchlistIndex) => {
+    if (!isValidCallsignPattern(entry?.callsign)) {
+      errors.push({ watchlistIndex, message: `コールサインが不正です: ${entry?.callsign || ''}` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * spotterリストにコールサインが含まれるかチェック
+ * @param {string} callsign - コールサイン
+ * @param {SpotterListEntry[]} list - spotterリスト
+ * @returns {boolean}
+ */
+function spotterListIncludes(callsign, list) {
+  if (!Array.isArray(list)) {
+    return false;
+  }
+  return list.some(entry =>
+    entry && entry.enabled !== false && callsignMatchesPattern(callsign, entry.callsign)
+  );
+}
+
+/**
+ * RBN/スキマーからのスポットかどうか
+ * RBNのスポットはorigin（POTAのスポットの投稿元）が'RBN'、またはspotterが「-#」で終わる（例: W3LPL-#）
+ * @param {Object} spot - スポットデータ
+ * @returns {boolean}
+ */
+function isRbnSpot(spot) {
+  if (typeof spot.origin === 'string' && spot.origin.toUpperCase() === 'RBN') {
+    return true;
+  }
+  return typeof spot.spotter === 'string' && spot.spotter.trim().endsWith('-#');
+}
+
+/**
+ * spotterリストを検証
+ * @param {SpotterFilter} spotterFilter - spotterフィルタ設定
+ * @returns {Array<{spotterList: string, index: number, message: string}>} エラーの配列
+ */
+function validateSpotterFilter(spotterFilter) {
+  const errors = [];
+  for (const spotterList of ['allowList', 'denyList']) {
+    (spotterFilter?.[spotterList] || []).forEach((entry, index) => {
+      if (!isValidCallsignPattern(entry?.callsign)) {
+        errors.push({ spotterList, index, message: `コールサインが不正です: ${entry?.callsign || ''}` });
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * 正規表現のキャッシュ（パターンとフラグの組み合わせごと）
+ * @type {Map<string, RegExp>}
+ */
+const regexCache = new Map();
+
+/**
+ * 正規表現条件のRegExpを取得
+ * @param {FilterCondition} condition - フィルタ条件
+ * @returns {RegExp} コンパイル済みの正規表現（パターンが不正な場合は例外）
+ */
+function getConditionRegex(condition) {
+  const flags = condition.caseSensitive ? '' : 'i';
+  const key = `${flags}/${condition.value}`;
+  let regex = regexCache.get(key);
+  if (!regex) {
+    regex = new RegExp(condition.value, flags);
+    // キャッシュが肥大化しないように上限を設ける
+    if (regexCache.size > 500) {
+      regexCache.clear();
+    }
+    regexCache.set(key, regex);
+  }
+  return regex;
+}
+
+/**
+ * 正規表現による一致チェック
+ * パターンが不正な場合は一致しないものとして扱う（保存時に検証済みの前提）
+ * @param {string} text - 検索対象の文字列
+ * @param {FilterCondition} condition - フィルタ条件
+ * @returns {boolean}
+ */
+function regexMatches(text, condition) {
+  if (text === null || text === undefined) {
+    return false;
+  }
+  try {
+    return getConditionRegex(condition).test(String(text));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 周波数が範囲内かチェック
+ * @param {string} frequency - 周波数（kHz）
+ * @param {number|null} min - 下限（kHz、nullの場合は下限なし）
+ * @param {number|null} max - 上限（kHz、nullの場合は上限なし）
+ * @returns {boolean}
+ */
+function frequencyInRange(frequency, min, max) {
+  const freqKhz = parseFrequencyKhz(frequency);
+  if (freqKhz === null) {
+    return false;
+  }
+  if (min !== null && min !== undefined && freqKhz < min) {
+    return false;
+  }
+  if (max !== null && max !== undefined && freqKhz > max) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 方位が範囲内かチェック（開始が終了より大きい場合は真北をまたぐ範囲として扱う）
+ * @param {number|string} bearing - 方位（度）
+ * @param {number} start - 開始（度）
+ * @param {number} end - 終了（度）
+ * @returns {boolean}
+ */
+function bearingInSector(bearing, start, end) {
+  if (bearing === '' || bearing === null || bearing === undefined) {
+    return false;
+  }
+  const value = Number(bearing);
+  if (isNaN(value)) {
+    return false;
+  }
+  if (start <= end) {
+    return value >= start && value <= end;
+  }
+  return value >= start || value <= end;
+}
+
+/**
+ * 値が指定されていない条件かどうか
+ * @param {FilterCondition} condition - フィルタ条件
+ * @returns {boolean}
+ */
+function isConditionEmpty(condition) {
+  if (!condition) {
+    return true;
+  }
+  if (condition.type === 'range' || condition.type === 'sector') {
+    return (condition.min === null || condition.min === undefined) &&
+      (condition.max === null || condition.max === undefined);
+  }
+  if (['within', 'beyond', 'lessThan', 'atLeast'].includes(condition.type)) {
+    return condition.value === null || condition.value === undefined || condition.value === '';
+  }
+  if (condition.type === 'flag') {
+    return typeof condition.value !== 'boolean';
+  }
+  if (condition.type === 'watchlist') {
+    return false;
+  }
+  return !condition.value;
+}
+
+/**
+ * 値が指定されていない条件をルールツリーから取り除く（グループは空になっても残す）
+ * @param {RuleGroup|RuleCondition} node - ノード
+ * @returns {RuleGroup|RuleCondition} 取り除いた後のノード（元のノードは変更しない）
+ */
+function pruneEmptyConditions(node) {
+  if (node?.type !== 'group') {
+    return node;
+  }
+  return {
+    ...node,
+    children: (node.children || [])
+      .filter(child => child.type === 'group' || !isConditionEmpty(child.condition))
+      .map(pruneEmptyConditions)
+  };
+}
+
+/**
+ * 単一のフィルタ条件を検証
+ * @param {FilterCondition} condition - フィルタ条件
+ * @param {Object} [context] - 検証コンテキスト
+ * @param {number} [context.region] - IARUリージョン（bandのみ）
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateCondition(condition, context = {}) {
+  if (isConditionEmpty(condition)) {
+    return null;
+  }
+
+  if (condition.type === 'regex') {
+    try {
+      getConditionRegex(condition);
+    } catch (error) {
+      return `正規表現が不正です: ${error.message}`;
+    }
+  } else if (condition.type === 'range') {
+    const { min, max } = condition;
+    if ((min !== null && min !== undefined && typeof min !== 'number') ||
+        (max !== null && max !== undefined && typeof max !== 'number')) {
+      return '周波数範囲には数値（kHz）を指定してください';
+    }
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+      return '周波数範囲の下限が上限より大きくなっています';
+    }
+  } else if (condition.type === 'band') {
+    if (!getBandRange(condition.value, context.region || DEFAULT_IARU_REGION)) {
+      return `選択したリージョンでは使用できないバンドです: ${condition.value}`;
+    }
+  } else if (condition.type === 'callsign') {
+    if (!isValidCallsignPattern(condition.value)) {
+      return `コールサインが不正です（英数字と*のみ使用できます）: ${condition.value}`;
+    }
+  } else if (condition.type === 'family') {
+    if (!MODE_FAMILIES.includes(condition.value)) {
+      return `不正なモードファミリーです: ${condition.value}`;
+    }
+  } else if (condition.type === 'program') {
+    if (!isValidProgramPrefix(condition.value)) {
+      return `プログラムのプレフィックスが不正です（例: JP, US）: ${condition.value}`;
+    }
+  } else if (condition.type === 'subdivision') {
+    if (!isValidSubdivisionCode(condition.value)) {
+      return `地域のコードが不正です（例: JP-13, US-CA）: ${condition.value}`;
+    }
+  } else if (condition.type === 'within' || condition.type === 'beyond') {
+    if (typeof condition.value !== 'number' || isNaN(condition.value) || condition.value < 0) {
+      return '距離には0以上の数値（km）を指定してください';
+    }
+  } else if (condition.type === 'lessThan' || condition.type === 'atLeast') {
+    if (!Number.isInteger(condition.value) || condition.value < 0) {
+      return '回数には0以上の整数を指定してください';
+    }
+  } else if (condition.type === 'sector') {
+    const isDegree = value => typeof value === 'number' && value >= 0 && value <= 360;
+    if (!isDegree(condition.min) || !isDegree(condition.max)) {
+      return '方位の範囲には開始・終了とも0〜360の数値（度）を指定してください';
+    }
+  }
+  return null;
+}
+
+/**
+ * ルールツリーを検証
+ * @param {RuleGroup|RuleCondition} node - ノード
+ * @param {Object} context - 検証コンテキスト
+ * @param {number[]} [path] - ルートからのインデックス列
+ * @param {Array<{path: number[], message: string}>} [errors] - エラーの蓄積先
+ * @returns {Array<{path: number[], message: string}>} エラーの配列
+ */
+function validateRuleTree(node, context, path = [], errors = []) {
+  if (!node) {
+    return errors;
+  }
+
+  if (node.type === 'group') {
+    if (!['and', 'or', 'not'].includes(node.operator)) {
+      errors.push({ path, message: `不明な演算子です: ${node.operator}` });
+    }
+    (node.children || []).forEach((child, index) => {
+      validateRuleTree(child, context, [...path, index], errors);
+    });
+    return errors;
+  }
+
+  if (!RULE_FIELDS.includes(node.field)) {
+    errors.push({ path, message: `不明なフィールドです: ${node.field}` });
+    return errors;
+  }
+  const condition = node.condition || {};
+  if (!getAllowedConditionTypes(node.field).includes(condition.type)) {
+    errors.push({ path, message: `${node.field}フィールドでは使用できない条件タイプです: ${condition.type}` });
+    return errors;
+  }
+  const message = validateCondition(condition, context);
+  if (message) {
+    errors.push({ path, message });
+  }
+  return errors;
+}
+
+/**
+ * フィルタ条件と、条件の評価に使用する設定を検証
+ * アラートルールの場合はruleIndex/path、ルールツリーの場合はpath、旧形式の場合はfield/index、
+ * ウォッチリストの場合はwatchlistIndex、spotterリストの場合はspotterList/index、自局の位置の場合はhomeLocation、
+ * モードファミリーの対応表の場合はmodeFamilies（とmodeFamilyIndex）でエラー位置を示す
+ * フィルタ以外の設定（スポットの取得・通知先など）はconfig.jsのvalidateConfigで検証する
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @returns {Array<{ruleIndex?: number, path?: number[], field?: string, index?: number, watchlistIndex?: number, spotterList?: string, homeLocation?: boolean, modeFamilies?: boolean, modeFamilyIndex?: number, message: string}>} エラーの配列（問題がない場合は空配列）
+ */
+function validateFilterConfig(filterConfig) {
+  const errors = [];
+  if (!filterConfig) {
+    return errors;
+  }
+
+  errors.push(...validateWatchlist(filterConfig.watchlist));
+  errors.push(...validateSpotterFilter(filterConfig.spotterFilter));
+  const homeLocationError = validateHomeLocation(filterConfig.homeLocation);
+  if (homeLocationError) {
+    errors.push({ homeLocation: true, message: homeLocationError });
+  }
+  errors.push(...validateModeFamilies(filterConfig.modeFamilies).map(error => ({ ...error, modeFamilies: true })));
+
+  if (filterConfig.alertRules) {
+    const context = createFilterContext(filterConfig);
+    filterConfig.alertRules.forEach((rule, ruleIndex) => {
+      validateRuleTree(rule.ruleTree, context).forEach(error => {
+        errors.push({ ruleIndex, ...error });
+      });
+    });
+    return errors;
+  }
+
+  if (filterConfig.ruleTree) {
+    errors.push(...validateRuleTree(filterConfig.ruleTree, createFilterContext(filterConfig)));
+    return errors;
+  }
+
+  for (const field of LEGACY_FIELDS) {
+    const conditions = filterConfig[field]?.conditions || [];
+    const context = { region: filterConfig[field]?.region };
+    conditions.forEach((condition, index) => {
+      const message = validateCondition(condition, context);
+      if (message) {
+        errors.push({ field, index, message });
+      }
+    });
+  }
+  return errors;
+}
+
 /**
  * 単一のフィルタ条件をチェック（除外フラグは考慮しない）
  * @param {string} fieldValue - フィールドの値
  * @param {FilterCondition} condition - フィルタ条件
+ * @param {Object} [context] - 判定コンテキスト
+ * @param {number} [context.region] - IARUリージョン（bandのみ）
+ * @param {WatchlistEntry[]} [context.watchlist] - ウォッチリスト（watchlistのみ）
  * @returns {boolean} 条件に一致するかどうか（除外フラグは考慮しない）
  */
-function checkConditionMatch(fieldValue, condition) {
-  if (!condition || !condition.value) {
+function checkConditionMatch(fieldValue, condition, context = {}) {
+  if (isConditionEmpty(condition)) {
     return false;
   }
 
@@ -100,6 +662,44 @@ function checkConditionMatch(fieldValue, condition) {
     return caseInsensitiveEquals(fieldValue, condition.value);
   } else if (condition.type === 'contains') {
     return caseInsensitiveContains(fieldValue, condition.value);
+  } else if (condition.type === 'regex') {
+    return regexMatches(fieldValue, condition);
+  } else if (condition.type === 'range') {
+    return frequencyInRange(fieldValue, condition.min, condition.max);
+  } else if (condition.type === 'band') {
+    const range = getBandRange(condition.value, context.region || DEFAULT_IARU_REGION);
+    return range ? frequencyInRange(fieldValue, range.min, range.max) : false;
+  } else if (condition.type === 'callsign') {
+    return callsignMatchesPattern(fieldValue, condition.value);
+  } else if (condition.type === 'watchlist') {
+    return findWatchlistEntry(fieldValue, context.watchlist) !== null;
+  } else if (condition.type === 'family') {
+    return getModeFamily(fieldValue, context.modeFamilies) === condition.value;
+  } else if (condition.type === 'program') {
+    const program = getProgramFromReference(fieldValue);
+    return program !== '' && program === normalizeProgramPrefix(condition.value);
+  } else if (condition.type === 'subdivision') {
+    // 複数の地域にまたがるパークはいずれかの地域に一致すればよい
+    return parseLocationDesc(fieldValue).includes(String(condition.value).trim().toUpperCase());
+  } else if (['within', 'beyond', 'lessThan', 'atLeast'].includes(condition.type)) {
+    // 距離・回数がわからないスポットはどの条件にも一致しない
+    if (fieldValue === '' || fieldValue === null || fieldValue === undefined || isNaN(Number(fieldValue))) {
+      return false;
+    }
+    const number = Number(fieldValue);
+    if (condition.type === 'within') {
+      return number <= condition.value;
+    } else if (condition.type === 'beyond') {
+      return number > condition.value;
+    } else if (condition.type === 'lessThan') {
+      return number < condition.value;
+    }
+    return number >= condition.value;
+  } else if (condition.type === 'flag') {
+    // パーク情報がわからないスポットは「はい」「いいえ」のどちらにも一致しない
+    return typeof fieldValue === 'boolean' && fieldValue === condition.value;
+  } else if (condition.type === 'sector') {
+    return bearingInSector(fieldValue, condition.min, condition.max);
   }
 
   return false;
@@ -126,44 +726,360 @@ function applyFieldFilter(fieldValue, fieldFilter) {
   }
 
   const operator = fieldFilter.operator || 'or';
+  const context = { region: fieldFilter.region };
 
   if (operator === 'and') {
     // AND条件: 全ての条件が一致する必要がある
-    return includeConditions.every(condition => checkConditionMatch(fieldValue, condition));
+    return includeConditions.every(condition => checkConditionMatch(fieldValue, condition, context));
   } else {
     // OR条件: いずれかの条件が一致すればOK
-    return includeConditions.some(condition => checkConditionMatch(fieldValue, condition));
+    return includeConditions.some(condition => checkConditionMatch(fieldValue, condition, context));
+  }
+}
+
+/**
+ * フィルタ設定からIARUリージョンを取得
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @returns {number}
+ */
+function getIaruRegion(filterConfig) {
+  return filterConfig?.iaruRegion || filterConfig?.frequency?.region || DEFAULT_IARU_REGION;
+}
+
+/**
+ * フィルタ設定から条件判定用のコンテキストを作成
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @param {FilterTraceEntry[]|null} [trace] - 判定の経過を記録する配列
+ * @returns {{region: number, watchlist: WatchlistEntry[], modeFamilies: import('./modes').ModeFamilySettings|undefined, trace: FilterTraceEntry[]|null}}
+ */
+function createFilterContext(filterConfig, trace = null) {
+  return {
+    region: getIaruRegion(filterConfig),
+    watchlist: filterConfig?.watchlist || [],
+    modeFamilies: filterConfig?.modeFamilies,
+    trace
+  };
+}
+
+/**
+ * スポットからフィールドの値を取得
+ * @param {Object} spot - スポットデータ
+ * @param {string} field - フィールド名
+ * @returns {string}
+ */
+function getSpotFieldValue(spot, field) {
+  if (field === 'name') {
+    return spot.name || spot.parkName || '';
+  }
+  const value = spot[field];
+  return value === null || value === undefined ? '' : value;
+}
+
+/**
+ * 判定の経過（explainFilterで使用）
+ * - global: 全ルール共通のフィルタの判定（passed: 通過したか）
+ * - rule: アラートルールの判定（matched: 一致したか）
+ * - node: ルールツリーのノードの判定（result: true/false、評価対象外の場合null）
+ * @typedef {Object} FilterTraceEntry
+ * @property {'global'|'rule'|'node'} kind - 種類
+ * @property {string} [message] - 判定内容（globalのみ）
+ * @property {boolean} [passed] - 通過したか（globalのみ）
+ * @property {number} [ruleIndex] - ルールのインデックス（ruleのみ）
+ * @property {string} [name] - ルール名（ruleのみ）
+ * @property {boolean} [matched] - 一致したか（ruleのみ）
+ * @property {number[]} [path] - ルートからのインデックスの配列（nodeのみ）
+ * @property {string} [operator] - グループの演算子（グループのnodeのみ）
+ * @property {string} [field] - フィールド名（条件のnodeのみ）
+ * @property {FilterCondition} [condition] - フィルタ条件（条件のnodeのみ）
+ * @property {string} [value] - スポットのフィールドの値（条件のnodeのみ）
+ * @property {boolean|null} [result] - 判定結果（nodeのみ）
+ */
+
+/**
+ * ルールツリーのノードを評価
+ * 有効な条件を含まないノードはnullを返し、親グループの判定から除外する
+ * context.traceが指定されている場合は各ノードの判定結果を記録する
+ * @param {RuleGroup|RuleCondition} node - ノード
+ * @param {Object} spot - スポットデータ
+ * @param {Object} context - 判定コンテキスト
+ * @param {number[]} [path] - ルートからのインデックスの配列
+ * @returns {boolean|null} 一致する場合true、一致しない場合false、評価対象外の場合null
+ */
+function evaluateRuleNode(node, spot, context, path = []) {
+  if (!node || node.enabled === false) {
+    return null;
+  }
+
+  if (node.type === 'group') {
+    // 子ノードより先に記録し、判定結果は評価後に設定する
+    const entry = { kind: 'node', path, operator: node.operator, result: null };
+    context.trace?.push(entry);
+    const results = (node.children || [])
+      .map((child, index) => evaluateRuleNode(child, spot, context, [...path, index]))
+      .filter(result => result !== null);
+
+    if (results.length === 0) {
+      return null;
+    }
+    if (node.operator === 'and') {
+      entry.result = results.every(Boolean);
+    } else if (node.operator === 'not') {
+      entry.result = !results.some(Boolean);
+    } else {
+      entry.result = results.some(Boolean);
+    }
+    return entry.result;
+  }
+
+  const condition = node.condition;
+  if (!condition || condition.enabled === false || isConditionEmpty(condition)) {
+    return null;
   }
+  const value = getSpotFieldValue(spot, node.field);
+  const result = checkConditionMatch(value, condition, context);
+  context.trace?.push({ kind: 'node', path, field: node.field, condition, value: String(value), result });
+  return result;
+}
+
+/**
+ * スポットデータにルールツリーを適用
+ * @param {Object} spot - スポットデータ
+ * @param {RuleGroup} ruleTree - ルールツリー
+ * @param {Object} [context] - 判定コンテキスト
+ * @returns {boolean} ルールを通過するかどうか（有効な条件がない場合は通過）
+ */
+function applyRuleTree(spot, ruleTree, context = {}) {
+  return evaluateRuleNode(ruleTree, spot, context) !== false;
+}
+
+/**
+ * 条件ノードを作成
+ * @param {string} field - フィールド名
+ * @param {FilterCondition} condition - フィルタ条件
+ * @returns {RuleCondition}
+ */
+function createRuleCondition(field, condition) {
+  const { exclude, ...rest } = condition;
+  return { type: 'condition', field, condition: rest };
+}
+
+/**
+ * 旧形式（フィールド間AND・フィールド内AND/OR・除外優先）のフィルタ設定をルールツリーに変換
+ * 除外条件は1つのnotグループにまとめ、各フィールドの通常条件はそのフィールドの演算子のグループにする
+ * @param {FilterConfig} filterConfig - 旧形式のフィルタ設定
+ * @returns {RuleGroup} ルールツリー
+ */
+function convertLegacyFilterToRuleTree(filterConfig) {
+  const root = { type: 'group', operator: 'and', children: [] };
+  const excludeGroup = { type: 'group', operator: 'not', children: [] };
+
+  for (const field of LEGACY_FIELDS) {
+    const conditions = filterConfig?.[field]?.conditions || [];
+    const includeGroup = {
+      type: 'group',
+      operator: filterConfig[field]?.operator === 'and' ? 'and' : 'or',
+      children: []
+    };
+
+    for (const condition of conditions) {
+      if (condition.exclude) {
+        excludeGroup.children.push(createRuleCondition(field, condition));
+      } else {
+        includeGroup.children.push(createRuleCondition(field, condition));
+      }
+    }
+
+    if (includeGroup.children.length > 0) {
+      root.children.push(includeGroup);
+    }
+  }
+
+  if (excludeGroup.children.length > 0) {
+    root.children.unshift(excludeGroup);
+  }
+  return root;
+}
+
+/**
+ * アラートルールを作成
+ * @param {string} name - ルール名
+ * @param {RuleGroup} [ruleTree] - ルールツリー（省略時は空のルートグループ）
+ * @returns {AlertRule}
+ */
+function createAlertRule(name, ruleTree) {
+  return {
+    id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    enabled: true,
+    ruleTree: ruleTree || { type: 'group', operator: 'and', children: [] },
+    channels: {
+      notification: true,
+      popup: true,
+      sound: true,
+      soundPath: null,
+      voicevox: true,
+      webhook: false,
+      discord: false,
+      discordUrl: null,
+      slack: false,
+      slackUrl: null
+    }
+  };
+}
+
+/**
+ * 旧形式のフィルタ設定をアラートルール形式に移行
+ * フィールドごとの条件はルールツリーに変換し、ルールツリーは全チャネル有効の1つのルールにまとめる
+ * アラートルールが既にある場合はそのまま返す
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @returns {FilterConfig} アラートルール形式のフィルタ設定
+ */
+function migrateFilterConfig(filterConfig) {
+  if (!filterConfig || filterConfig.alertRules) {
+    return filterConfig;
+  }
+
+  let config = filterConfig;
+  if (!config.ruleTree) {
+    const { reference, comments, mode, frequency, ...rest } = config;
+    config = {
+      ...rest,
+      iaruRegion: getIaruRegion(filterConfig),
+      ruleTree: convertLegacyFilterToRuleTree(filterConfig)
+    };
+  }
+
+  const { ruleTree, ...rest } = config;
+  return {
+    ...rest,
+    ruleMatchMode: 'first',
+    alertRules: [createAlertRule('デフォルト', ruleTree)]
+  };
+}
+
+/**
+ * 全ルール共通のフィルタ（未交信パーク、spotterの許可・ブロックリスト、他人のspotterの除外）を適用
+ * ブロックリストは常に優先し、他人のspotterの除外・信頼するspotterのみのどちらかが有効な場合は
+ * 自分自身のスポット（他人のspotterの除外が有効な場合）または信頼するspotterからのスポットのみ通過する
+ * @param {Object} spot - スポットデータ
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @param {import('./hunterlog').WorkedParks|null} [workedParks] - 交信済みパーク
+ * @param {FilterTraceEntry[]|null} [trace] - 判定の経過を記録する配列
+ * @returns {boolean} 通過するかどうか
+ */
+function passesGlobalFilters(spot, filterConfig, workedParks = null, trace = null) {
+  const spotterFilter = filterConfig.spotterFilter || {};
+  const neededParks = filterConfig.neededParks || {};
+  const record = (passed, message) => {
+    trace?.push({ kind: 'global', passed, message });
+    return passed;
+  };
+
+  // 未交信パークのみ通知する場合、交信済みのパークは除外（ハンターログはPOTAのパークのみのためPOTAのスポットが対象）
+  if (neededParks.enabled && getSpotSource(spot) === 'POTA' && !isParkNeeded(spot.reference, workedParks, {
+    perBand: neededParks.perBand,
+    perMode: neededParks.perMode,
+    band: getBandForFrequency(spot.frequency, getIaruRegion(filterConfig)),
+    mode: spot.mode
+  })) {
+    return record(false, `交信済みのパークです: ${spot.reference}`);
+  }
+
+  // ブロックリストのspotterからのスポットは除外
+  if (spotterListIncludes(spot.spotter, spotterFilter.denyList)) {
+    return record(false, `ブロックするspotterです: ${spot.spotter}`);
+  }
+
+  if (!filterConfig.ignoreOtherSpotters && !spotterFilter.allowListOnly) {
+    return true;
+  }
+
+  // ignoreOtherSpottersオプションが有効な場合、activatorとspotterが一致すれば通過
+  if (filterConfig.ignoreOtherSpotters && callsignsMatch(spot.activator, spot.spotter)) {
+    return record(true, 'activator自身のスポットです');
+  }
+
+  // 信頼するspotter（RBNを信頼する場合はRBNを含む）からのスポットは通過
+  if (spotterListIncludes(spot.spotter, spotterFilter.allowList)) {
+    return record(true, `信頼するspotterです: ${spot.spotter}`);
+  }
+  if (spotterFilter.trustRbn && isRbnSpot(spot)) {
+    return record(true, `RBN/スキマーからのスポットです: ${spot.spotter}`);
+  }
+  return record(false, `信頼するspotterからのスポットではありません: ${spot.spotter}`);
+}
+
+/**
+ * スポットに一致するアラートルールを取得
+ * ruleMatchModeが'all'の場合は一致した全てのルール、それ以外は最初に一致したルールのみを返す
+ * @param {Object} spot - スポットデータ
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @param {import('./hunterlog').WorkedParks|null} [workedParks] - 交信済みパーク（未交信パークのみ通知する場合に使用）
+ * @param {FilterTraceEntry[]|null} [trace] - 判定の経過を記録する配列
+ * @returns {AlertRule[]} 一致したルールの配列（一致しない場合は空配列）
+ */
+function findMatchingAlertRules(spot, filterConfig, workedParks = null, trace = null) {
+  if (!filterConfig || !Array.isArray(filterConfig.alertRules)) {
+    return [];
+  }
+  if (!passesGlobalFilters(spot, filterConfig, workedParks, trace)) {
+    return [];
+  }
+
+  const context = createFilterContext(filterConfig, trace);
+  const rules = filterConfig.alertRules.filter(rule => rule.enabled !== false);
+  const matches = rule => {
+    // ノードより先に記録し、判定結果は評価後に設定する
+    const entry = { kind: 'rule', ruleIndex: filterConfig.alertRules.indexOf(rule), name: rule.name, matched: false };
+    trace?.push(entry);
+    entry.matched = applyRuleTree(spot, rule.ruleTree, context);
+    return entry.matched;
+  };
+
+  if (filterConfig.ruleMatchMode === 'all') {
+    return rules.filter(matches);
+  }
+  const firstMatch = rules.find(matches);
+  return firstMatch ? [firstMatch] : [];
 }
 
 /**
  * スポットデータにフィルタを適用
  * @param {Object} spot - スポットデータ
  * @param {FilterConfig} filterConfig - フィルタ設定
+ * @param {import('./hunterlog').WorkedParks|null} [workedParks] - 交信済みパーク（未交信パークのみ通知する場合に使用）
+ * @param {FilterTraceEntry[]|null} [trace] - 判定の経過を記録する配列（explainFilterで使用）
  * @returns {boolean} フィルタを通過するかどうか
  */
-function applyFilter(spot, filterConfig) {
+function applyFilter(spot, filterConfig, workedParks = null, trace = null) {
   if (!filterConfig) {
     return true; // フィルタ設定がない場合は全て通過
   }
 
-  // ignoreOtherSpottersオプションが有効な場合、activatorとspotterが一致しない場合は除外
-  if (filterConfig.ignoreOtherSpotters) {
-    if (!callsignsMatch(spot.activator, spot.spotter)) {
-      return false;
-    }
+  // アラートルールがある場合はいずれかのルールに一致するかで判定
+  if (filterConfig.alertRules) {
+    return findMatchingAlertRules(spot, filterConfig, workedParks, trace).length > 0;
+  }
+
+  if (!passesGlobalFilters(spot, filterConfig, workedParks, trace)) {
+    return false;
+  }
+
+  // ルールツリーがある場合はツリーで判定
+  if (filterConfig.ruleTree) {
+    return applyRuleTree(spot, filterConfig.ruleTree, createFilterContext(filterConfig, trace));
   }
 
   // 除外条件を最優先でチェック
   // 各フィールドの除外条件をチェック（一致したら即座にfalseを返す）
-  const fields = ['reference', 'comments', 'mode', 'frequency'];
-  for (const field of fields) {
+  for (const field of LEGACY_FIELDS) {
     const fieldFilter = filterConfig[field];
     if (fieldFilter && fieldFilter.conditions) {
       const excludeConditions = fieldFilter.conditions.filter(c => c.exclude && (c.enabled !== false));
+      const context = { region: fieldFilter.region };
       for (const condition of excludeConditions) {
         // 除外条件に一致したら即座にfalseを返す
-        if (checkConditionMatch(spot[field] || '', condition)) {
+        if (checkConditionMatch(spot[field] || '', condition, context)) {
           return false;
         }
       }
@@ -179,9 +1095,40 @@ function applyFilter(spot, filterConfig) {
   return referencePass && commentsPass && modePass && frequencyPass;
 }
 
+/**
+ * スポットにフィルタを適用し、判定の経過を返す
+ * applyFilterに記録用の配列を渡して判定するため、結果は実際の通知の判定と常に一致する
+ * （ruleMatchModeが'first'の場合、最初に一致したルールより後のルールは評価されないため記録されない）
+ * @param {Object} spot - スポットデータ
+ * @param {FilterConfig} filterConfig - フィルタ設定
+ * @param {import('./hunterlog').WorkedParks|null} [workedParks] - 交信済みパーク
+ * @returns {{matched: boolean, matchedRules: string[], trace: FilterTraceEntry[]}}
+ */
+function explainFilter(spot, filterConfig, workedParks = null) {
+  const trace = [];
+  const matched = applyFilter(spot, filterConfig, workedParks, trace);
+  const matchedRules = trace
+    .filter(entry => entry.kind === 'rule' && entry.matched)
+    .map(entry => entry.name);
+  return { matched, matchedRules, trace };
+}
+
 module.exports = {
+  RULE_FIELDS,
+  getAllowedConditionTypes,
   applyFilter,
+  explainFilter,
   applyFieldFilter,
-  checkCondition: checkConditionMatch
+  applyRuleTree,
+  createAlertRule,
+  findMatchingAlertRules,
+  findWatchlistEntry,
+  callsignMatchesPattern,
+  migrateFilterConfig,
+  checkCondition: checkConditionMatch,
+  isConditionEmpty,
+  pruneEmptyConditions,
+  validateCondition,
+  validateFilterConfig
 };
 
@@ -0,0 +1,191 @@
+/**
+ * 位置計算
+ * グリッドロケーター（Maidenhead）と緯度経度の変換、距離・方位の計算
+ */
+
+/**
+ * 地球の平均半径（km）
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * 自局の位置設定
+ * @typedef {Object} HomeLocation
+ * @property {string} [locator] - グリッドロケーター（例: PM95, PM95tq）
+ * @property {number|null} [latitude] - 緯度（指定されている場合はロケーターより優先）
+ * @property {number|null} [longitude] - 経度（指定されている場合はロケーターより優先）
+ */
+
+/**
+ * グリッドロケーターを緯度経度（グリッドの中心）に変換
+ * 2・4・6・8文字のロケーターに対応
+ * @param {string} locator - グリッドロケーター
+ * @returns {{latitude: number, longitude: number}|null} 不正なロケーターの場合はnull
+ */
+function locatorToLatLon(locator) {
+  if (!locator || typeof locator !== 'string') {
+    return null;
+  }
+  const loc = locator.trim().toUpperCase();
+  if (!/^[A-R]{2}([0-9]{2}([A-X]{2}([0-9]{2})?)?)?$/.test(loc)) {
+    return null;
+  }
+
+  let longitude = (loc.charCodeAt(0) - 65) * 20 - 180;
+  let latitude = (loc.charCodeAt(1) - 65) * 10 - 90;
+  let lonSize = 20;
+  let latSize = 10;
+
+  if (loc.length >= 4) {
+    lonSize = 2;
+    latSize = 1;
+    longitude += parseInt(loc[2], 10) * lonSize;
+    latitude += parseInt(loc[3], 10) * latSize;
+  }
+  if (loc.length >= 6) {
+    lonSize /= 24;
+    latSize /= 24;
+    longitude += (loc.charCodeAt(4) - 65) * lonSize;
+    latitude += (loc.charCodeAt(5) - 65) * latSize;
+  }
+  if (loc.length >= 8) {
+    lonSize /= 10;
+    latSize /= 10;
+    longitude += parseInt(loc[6], 10) * lonSize;
+    latitude += parseInt(loc[7], 10) * latSize;
+  }
+
+  return {
+    latitude: latitude + latSize / 2,
+    longitude: longitude + lonSize / 2
+  };
+}
+
+/**
+ * 緯度経度として有効な値かチェック
+ * @param {number} latitude - 緯度
+ * @param {number} longitude - 経度
+ * @returns {boolean}
+ */
+function isValidLatLon(latitude, longitude) {
+  return typeof latitude === 'number' && typeof longitude === 'number' &&
+    !isNaN(latitude) && !isNaN(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * 自局の位置設定から緯度経度を取得
+ * @param {HomeLocation} homeLocation - 自局の位置設定
+ * @returns {{latitude: number, longitude: number}|null} 未設定・不正な場合はnull
+ */
+function getHomeCoordinates(homeLocation) {
+  if (!homeLocation) {
+    return null;
+  }
+  if (isValidLatLon(homeLocation.latitude, homeLocation.longitude)) {
+    return { latitude: homeLocation.latitude, longitude: homeLocation.longitude };
+  }
+  return locatorToLatLon(homeLocation.locator);
+}
+
+/**
+ * スポットから緯度経度を取得
+ * latitude/longitude、grid6、grid4の順に使用する
+ * @param {Object} spot - スポットデータ
+ * @returns {{latitude: number, longitude: number}|null} 位置情報がない場合はnull
+ */
+function getSpotCoordinates(spot) {
+  const latitude = parseFloat(spot.latitude);
+  const longitude = parseFloat(spot.longitude);
+  if (isValidLatLon(latitude, longitude)) {
+    return { latitude, longitude };
+  }
+  return locatorToLatLon(spot.grid6) || locatorToLatLon(spot.grid4);
+}
+
+/**
+ * 度をラジアンに変換
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * 2点間の大圏距離を計算
+ * @param {{latitude: number, longitude: number}} from - 始点
+ * @param {{latitude: number, longitude: number}} to - 終点
+ * @returns {number} 距離（km）
+ */
+function distanceKm(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLat = lat2 - lat1;
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * 始点から終点への方位（真北から時計回り）を計算
+ * @param {{latitude: number, longitude: number}} from - 始点
+ * @param {{latitude: number, longitude: number}} to - 終点
+ * @returns {number} 方位（0以上360未満の度）
+ */
+function bearingDegrees(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * スポットに自局からの距離（distance、km）と方位（bearing、度）を付加
+ * 自局またはスポットの位置がわからない場合は元のスポットをそのまま返す
+ * @param {Object} spot - スポットデータ
+ * @param {HomeLocation} homeLocation - 自局の位置設定
+ * @returns {Object} 距離と方位を付加したスポットデータ
+ */
+function annotateSpotWithDistance(spot, homeLocation) {
+  const home = getHomeCoordinates(homeLocation);
+  const target = getSpotCoordinates(spot);
+  if (!home || !target) {
+    return spot;
+  }
+  return {
+    ...spot,
+    distance: Math.round(distanceKm(home, target) * 10) / 10,
+    bearing: Math.round(bearingDegrees(home, target))
+  };
+}
+
+/**
+ * 自局の位置設定を検証
+ * @param {HomeLocation} homeLocation - 自局の位置設定
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateHomeLocation(homeLocation) {
+  if (!homeLocation) {
+    return null;
+  }
+  const { locator, latitude, longitude } = homeLocation;
+  const hasLatLon = latitude !== null && latitude !== undefined && longitude !== null && longitude !== undefined;
+  if (hasLatLon && !isValidLatLon(latitude, longitude)) {
+    return '緯度は-90〜90、経度は-180〜180の数値で指定してください';
+  }
+  if (!hasLatLon && locator && !locatorToLatLon(locator)) {
+    return `グリッドロケーターが不正です: ${locator}`;
+  }
+  return null;
+}
+
+module.exports = {
+  locatorToLatLon,
+  getHomeCoordinates,
+  getSpotCoordinates,
+  distanceKm,
+  bearingDegrees,
+  annotateSpotWithDistance,
+  validateHomeLocation
+};
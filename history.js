@@ -0,0 +1,152 @@
+/**
+ * スポットの履歴画面のロジック
+ * 記録したスポットを検索し、検索結果をCSV・ADIFで書き出す
+ */
+
+/**
+ * スポットの変化の種類の表示名
+ */
+const CHANGE_LABELS = {
+  new: '新規',
+  qsy: 'QSY',
+  respot: '再スポット',
+  comment: 'コメントの変更'
+};
+
+/**
+ * 日時の入力値（datetime-local）をミリ秒に変換
+ */
+function parseDateTimeInput(id) {
+  const value = document.getElementById(id).value;
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * 入力された検索条件を取得
+ * @returns {Object}
+ */
+function getQuery() {
+  return {
+    activator: document.getElementById('search-activator').value.trim(),
+    reference: document.getElementById('search-reference').value.trim(),
+    band: document.getElementById('search-band').value,
+    mode: document.getElementById('search-mode').value.trim(),
+    from: parseDateTimeInput('search-from'),
+    to: parseDateTimeInput('search-to'),
+    notified: document.getElementById('search-notified').value
+  };
+}
+
+/**
+ * バンドの選択肢を表示
+ */
+async function loadBandOptions() {
+  try {
+    const config = await window.electronAPI.loadConfig();
+    const bands = await window.electronAPI.getBands(config?.iaruRegion);
+    const select = document.getElementById('search-band');
+    for (const band of bands) {
+      const option = document.createElement('option');
+      option.value = band.name;
+      option.textContent = band.name;
+      select.appendChild(option);
+    }
+  } catch (error) {
+    console.error('バンド一覧の取得エラー:', error);
+  }
+}
+
+/**
+ * 検索結果を表示
+ * @param {{entries: Object[], total: number}} result - 検索結果
+ */
+function renderResults(result) {
+  const tbody = document.getElementById('history-results');
+  tbody.innerHTML = '';
+  document.getElementById('result-summary').textContent = result.total > result.entries.length
+    ? `${result.total}件（新しい順に${result.entries.length}件を表示）`
+    : `${result.total}件`;
+
+  if (result.entries.length === 0) {
+    const row = tbody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 11;
+    cell.className = 'empty';
+    cell.textContent = '条件に一致するスポットはありません';
+    return;
+  }
+
+  for (const entry of result.entries) {
+    const row = tbody.insertRow();
+    if (entry.notified) {
+      row.className = 'notified';
+    }
+    const values = [
+      new Date(entry.receivedAt).toLocaleString(),
+      entry.source,
+      entry.activator,
+      [entry.reference, entry.name].filter(Boolean).join(' '),
+      entry.frequency ? `${entry.frequency} kHz` : '',
+      entry.band || '',
+      entry.mode,
+      entry.spotter,
+      CHANGE_LABELS[entry.change] || entry.change,
+      `${entry.notified ? '通知' : '-'}（${entry.reason}）`,
+      entry.comments
+    ];
+    values.forEach((value, index) => {
+      const cell = row.insertCell();
+      cell.textContent = value || '';
+      if (index === values.length - 1) {
+        cell.className = 'comments';
+      }
+    });
+  }
+}
+
+/**
+ * 入力された条件で履歴を検索
+ */
+async function runSearch() {
+  try {
+    renderResults(await window.electronAPI.searchHistory(getQuery()));
+  } catch (error) {
+    console.error('履歴の検索エラー:', error);
+    alert('履歴の検索に失敗しました: ' + error.message);
+  }
+}
+
+/**
+ * 入力された条件に一致する履歴を書き出し
+ * @param {'csv'|'adif'} format - 書き出す形式
+ */
+async function exportResults(format) {
+  try {
+    const result = await window.electronAPI.exportHistory(getQuery(), format);
+    if (!result) {
+      return;
+    }
+    if (result.success) {
+      alert(`${result.count}件を書き出しました: ${result.filePath}`);
+    } else {
+      alert('履歴の書き出しに失敗しました: ' + result.error);
+    }
+  } catch (error) {
+    console.error('履歴の書き出しエラー:', error);
+    alert('履歴の書き出しに失敗しました: ' + error.message);
+  }
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+  await loadBandOptions();
+  // Enterキーで検索
+  document.querySelectorAll('.search-form input').forEach(input => {
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        runSearch();
+      }
+    });
+  });
+  runSearch();
+});
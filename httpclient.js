@@ -0,0 +1,166 @@
+/**
+ * HTTPクライアント
+ * メインプロセスからJSON APIの呼び出し・Webhookの送信を行う（http/https両対応、タイムアウト付き）と、再試行の待機の共通処理
+ */
+
+const https = require('https');
+const http = require('http');
+
+/**
+ * 再試行の初回の待ち時間（ミリ秒、再試行ごとに2倍にする）
+ */
+const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * HTTPレスポンス
+ * @typedef {Object} HttpResponse
+ * @property {number} status - ステータスコード
+ * @property {Object<string, string>} headers - レスポンスヘッダー（小文字のヘッダー名）
+ * @property {*} body - レスポンスボディ（JSONの場合は解析済みの値、それ以外は文字列）
+ */
+
+/**
+ * URLにGETリクエストを送信してJSONを取得
+ * 2xx以外のステータスコードもエラーにせず返す（304などを呼び出し側で扱えるようにする）
+ * @param {string} url - URL
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - タイムアウト（ミリ秒）
+ * @param {Object<string, string>} [options.headers] - リクエストヘッダー
+ * @returns {Promise<HttpResponse>}
+ */
+function fetchJson(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      reject(new Error(`URLが不正です: ${url}`));
+      return;
+    }
+    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+
+    const req = protocol.get(parsedUrl, {
+      headers: { Accept: 'application/json', ...(options.headers || {}) }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+      // ヘッダーの受信後に接続が切れた場合もエラーにする（endが発生しないため）
+      res.on('aborted', () => {
+        reject(new Error('レスポンスの受信中に接続が切断されました'));
+      });
+      res.on('error', (error) => {
+        reject(error);
+      });
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8');
+        let body = text;
+        if (text && (res.headers['content-type'] || '').includes('json')) {
+          try {
+            body = JSON.parse(text);
+          } catch (error) {
+            reject(new Error(`JSONの解析に失敗しました: ${error.message}`));
+            return;
+          }
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.setTimeout(options.timeoutMs || 10000, () => {
+      req.destroy(new Error('Request timeout'));
+    });
+  });
+}
+
+/**
+ * URLにPOSTリクエストを送信
+ * 2xx以外のステータスコードもエラーにせず返す
+ * @param {string} url - URL
+ * @param {string} data - リクエストボディ
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - タイムアウト（ミリ秒）
+ * @param {Object<string, string>} [options.headers] - リクエストヘッダー（Content-Typeの既定値はapplication/json）
+ * @returns {Promise<HttpResponse>} bodyは文字列
+ */
+function postData(url, data, options = {}) {
+  return new Promise((resolve, reject) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      reject(new Error(`URLが不正です: ${url}`));
+      return;
+    }
+    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+    const body = Buffer.from(String(data), 'utf-8');
+
+    const req = protocol.request(parsedUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.headers || {}),
+        'Content-Length': body.length
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+      // ヘッダーの受信後に接続が切れた場合もエラーにする（endが発生しないため）
+      res.on('aborted', () => {
+        reject(new Error('レスポンスの受信中に接続が切断されました'));
+      });
+      res.on('error', (error) => {
+        reject(error);
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf-8') });
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.setTimeout(options.timeoutMs || 10000, () => {
+      req.destroy(new Error('Request timeout'));
+    });
+
+    req.end(body);
+  });
+}
+
+/**
+ * 指定時間待機
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * URLとして使用できる文字列か（http/httpsのみ）
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isValidHttpUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    return parsedUrl.protocol === 'http:' || parsedUrl.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  RETRY_BASE_DELAY_MS,
+  fetchJson,
+  postData,
+  isValidHttpUrl,
+  sleep
+};
@@ -0,0 +1,365 @@
+/**
+ * ハンターログの読み込み
+ * ADIFファイル・POTAハンターログCSVから交信済みパークを抽出し、未交信パークの判定に使用する
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_IARU_REGION, getBandForFrequency } = require('./bands');
+
+/**
+ * パークのリファレンス（例: JP-0001, K-1234, US-10000）
+ */
+const PARK_REFERENCE_PATTERN = /\b[A-Z0-9]{1,4}-\d{4,5}\b/g;
+
+/**
+ * CSVでリファレンスの列とみなすヘッダー名（小文字、空白・記号を除いたもの）
+ */
+const CSV_REFERENCE_HEADERS = ['reference', 'ref', 'park', 'parkreference', 'potaref', 'parkref'];
+
+/**
+ * 交信済みパークのデータ
+ * @typedef {Object} WorkedParks
+ * @property {string} importedAt - インポート日時（ISO 8601）
+ * @property {string} fileName - インポートしたファイル名
+ * @property {number} qsoCount - リファレンスを含んでいたQSO（行）の数
+ * @property {Object<string, Array<{band: string, mode: string}>>} parks - リファレンスごとの交信済みバンド・モード（不明な場合は空文字）
+ */
+
+/**
+ * 文字列からパークのリファレンスを抽出
+ * 2-fer・3-ferのカンマ区切りや「K-0001@US-CA」のような所在地付きの表記にも対応
+ * @param {string} text - 文字列
+ * @returns {string[]} リファレンスの配列（大文字）
+ */
+function extractParkReferences(text) {
+  if (!text) {
+    return [];
+  }
+  return String(text).toUpperCase().match(PARK_REFERENCE_PATTERN) || [];
+}
+
+/**
+ * モード名を比較用に正規化（USB/LSBはSSBとして扱う）
+ * @param {string} mode - モード名
+ * @returns {string}
+ */
+function normalizeMode(mode) {
+  const value = String(mode || '').trim().toUpperCase();
+  if (value === 'USB' || value === 'LSB') {
+    return 'SSB';
+  }
+  return value;
+}
+
+/**
+ * ADIFを解析してQSOレコードの配列に変換
+ * フィールド長はバイト数で指定されるため、バイト単位で読み取ってからUTF-8として復号する
+ * @param {Buffer} buffer - ADIFファイルの内容
+ * @returns {Array<Object<string, string>>} フィールド名（大文字）と値のオブジェクトの配列
+ */
+function parseAdif(buffer) {
+  const text = buffer.toString('latin1');
+  const headerEnd = text.search(/<eoh>/i);
+  const body = headerEnd >= 0 ? text.slice(headerEnd + 5) : text;
+  const tagPattern = /<([A-Za-z0-9_]+)(?::(\d+)(?::[A-Za-z])?)?>/g;
+  const records = [];
+  let record = {};
+  let match;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const name = match[1].toUpperCase();
+    if (name === 'EOR') {
+      if (Object.keys(record).length > 0) {
+        records.push(record);
+      }
+      record = {};
+      continue;
+    }
+    if (match[2] === undefined) {
+      continue;
+    }
+    const start = tagPattern.lastIndex;
+    const length = parseInt(match[2], 10);
+    record[name] = Buffer.from(body.substr(start, length), 'latin1').toString('utf-8');
+    tagPattern.lastIndex = start + length;
+  }
+
+  return records;
+}
+
+/**
+ * CSVを解析して行の配列に変換（ダブルクォートで囲まれた値に対応）
+ * @param {string} text - CSVの内容
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * ADIFのQSOレコードから交信したパークのリファレンスを取得
+ * POTA_REFと、SIGがPOTAまたは未指定のSIG_INFOを使用する（MY_POTA_REFなど自局側のフィールドは使用しない）
+ * @param {Object<string, string>} record - QSOレコード
+ * @returns {string[]}
+ */
+function getAdifParkReferences(record) {
+  const references = extractParkReferences(record.POTA_REF);
+  const sig = (record.SIG || '').trim().toUpperCase();
+  if (sig === '' || sig === 'POTA') {
+    references.push(...extractParkReferences(record.SIG_INFO));
+  }
+  return references;
+}
+
+/**
+ * ADIFのQSOレコードからバンドを取得（BANDがない場合はFREQ（MHz）から判定）
+ * @param {Object<string, string>} record - QSOレコード
+ * @param {number} region - IARUリージョン
+ * @returns {string}
+ */
+function getAdifBand(record, region) {
+  if (record.BAND) {
+    return record.BAND.trim().toLowerCase();
+  }
+  const freqMhz = parseFloat(record.FREQ);
+  if (isNaN(freqMhz)) {
+    return '';
+  }
+  return getBandForFrequency(freqMhz * 1000, region) || '';
+}
+
+/**
+ * ADIFのQSOレコードからモードを取得（SSB以外はSUBMODEを優先）
+ * @param {Object<string, string>} record - QSOレコード
+ * @returns {string}
+ */
+function getAdifMode(record) {
+  const mode = normalizeMode(record.MODE);
+  if (mode !== 'SSB' && record.SUBMODE) {
+    return normalizeMode(record.SUBMODE);
+  }
+  return mode;
+}
+
+/**
+ * CSVのヘッダー名を比較用に正規化
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * CSVの行からQSO（リファレンス・バンド・モード）の配列に変換
+ * ヘッダーにリファレンスの列が見つからない場合は、全ての列からリファレンスを探す
+ * @param {string[][]} rows - CSVの行
+ * @param {number} region - IARUリージョン
+ * @returns {Array<{references: string[], band: string, mode: string}>}
+ */
+function getCsvQsos(rows, region) {
+  if (rows.length === 0) {
+    return [];
+  }
+  const headers = rows[0].map(normalizeHeader);
+  const referenceColumn = headers.findIndex(header => CSV_REFERENCE_HEADERS.includes(header));
+  const bandColumn = headers.indexOf('band');
+  const modeColumn = headers.indexOf('mode');
+  const freqColumn = headers.findIndex(header => header === 'frequency' || header === 'freq');
+  const hasHeader = referenceColumn >= 0 || bandColumn >= 0 || modeColumn >= 0;
+
+  return (hasHeader ? rows.slice(1) : rows).map(row => {
+    const references = referenceColumn >= 0
+      ? extractParkReferences(row[referenceColumn])
+      : row.flatMap(cell => extractParkReferences(cell));
+    let band = bandColumn >= 0 ? (row[bandColumn] || '').trim().toLowerCase() : '';
+    if (!band && freqColumn >= 0) {
+      band = getBandForFrequency(row[freqColumn], region) || '';
+    }
+    const mode = modeColumn >= 0 ? normalizeMode(row[modeColumn]) : '';
+    return { references, band, mode };
+  });
+}
+
+/**
+ * ハンターログを解析して交信済みパークを抽出
+ * 拡張子が.adi/.adif、または内容にADIFのタグがある場合はADIF、それ以外はCSVとして扱う
+ * @param {Buffer} buffer - ファイルの内容
+ * @param {string} fileName - ファイル名
+ * @param {number} [region] - IARUリージョン（周波数からバンドを判定する場合に使用）
+ * @returns {WorkedParks}
+ */
+function parseHunterLog(buffer, fileName, region = DEFAULT_IARU_REGION) {
+  const extension = path.extname(fileName).toLowerCase();
+  const head = buffer.slice(0, 4096).toString('latin1');
+  const isAdif = extension === '.adi' || extension === '.adif' || /<eo[hr]>/i.test(head);
+
+  const qsos = isAdif
+    ? parseAdif(buffer).map(record => ({
+      references: getAdifParkReferences(record),
+      band: getAdifBand(record, region),
+      mode: getAdifMode(record)
+    }))
+    : getCsvQsos(parseCsv(buffer.toString('utf-8').replace(/^\uFEFF/, '')), region);
+
+  const parks = {};
+  let qsoCount = 0;
+  for (const qso of qsos) {
+    if (qso.references.length === 0) {
+      continue;
+    }
+    qsoCount++;
+    for (const reference of qso.references) {
+      const entries = parks[reference] || (parks[reference] = []);
+      if (!entries.some(entry => entry.band === qso.band && entry.mode === qso.mode)) {
+        entries.push({ band: qso.band, mode: qso.mode });
+      }
+    }
+  }
+
+  return {
+    importedAt: new Date().toISOString(),
+    fileName: path.basename(fileName),
+    qsoCount,
+    parks
+  };
+}
+
+/**
+ * ハンターログファイルを読み込んで交信済みパークを抽出
+ * @param {string} filePath - ハンターログファイルのパス
+ * @param {number} [region] - IARUリージョン
+ * @returns {Promise<WorkedParks>}
+ */
+async function importHunterLog(filePath, region = DEFAULT_IARU_REGION) {
+  const buffer = await fs.readFile(filePath);
+  return parseHunterLog(buffer, filePath, region);
+}
+
+/**
+ * 保存済みの交信済みパークを読み込む
+ * @param {string} workedParksFilePath - 保存先ファイルのパス
+ * @returns {Promise<WorkedParks|null>} 未インポートの場合はnull
+ */
+async function loadWorkedParks(workedParksFilePath) {
+  try {
+    const data = await fs.readFile(workedParksFilePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('交信済みパークの読み込みエラー:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * 交信済みパークを保存
+ * @param {string} workedParksFilePath - 保存先ファイルのパス
+ * @param {WorkedParks} workedParks - 交信済みパーク
+ */
+async function saveWorkedParks(workedParksFilePath, workedParks) {
+  try {
+    await fs.writeFile(workedParksFilePath, JSON.stringify(workedParks), 'utf-8');
+    console.log(`交信済みパークを保存しました: ${Object.keys(workedParks.parks).length}パーク`);
+    return { success: true };
+  } catch (error) {
+    console.error('交信済みパークの保存エラー:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 交信済みパークの件数などの概要を取得
+ * @param {WorkedParks|null} workedParks - 交信済みパーク
+ * @returns {{parkCount: number, qsoCount: number, importedAt: string, fileName: string}|null}
+ */
+function getWorkedParksSummary(workedParks) {
+  if (!workedParks || !workedParks.parks) {
+    return null;
+  }
+  return {
+    parkCount: Object.keys(workedParks.parks).length,
+    qsoCount: workedParks.qsoCount || 0,
+    importedAt: workedParks.importedAt,
+    fileName: workedParks.fileName
+  };
+}
+
+/**
+ * 未交信のパークかどうか判定
+ * perBand・perModeを指定した場合は、そのバンド・モードで未交信かどうかで判定する
+ * （ログにバンド・モードがないQSOは全てのバンド・モードで交信済みとして扱う）
+ * @param {string} reference - パークのリファレンス
+ * @param {WorkedParks|null} workedParks - 交信済みパーク（未インポートの場合は全て未交信）
+ * @param {Object} [options]
+ * @param {boolean} [options.perBand] - バンドごとに判定するか
+ * @param {boolean} [options.perMode] - モードごとに判定するか
+ * @param {string|null} [options.band] - スポットのバンド
+ * @param {string} [options.mode] - スポットのモード
+ * @returns {boolean}
+ */
+function isParkNeeded(reference, workedParks, options = {}) {
+  if (!workedParks || !workedParks.parks || !reference) {
+    return true;
+  }
+  const entries = workedParks.parks[String(reference).trim().toUpperCase()];
+  if (!entries || entries.length === 0) {
+    return true;
+  }
+  const band = (options.band || '').toLowerCase();
+  const mode = normalizeMode(options.mode);
+  return !entries.some(entry =>
+    (!options.perBand || !entry.band || entry.band === band) &&
+    (!options.perMode || !entry.mode || entry.mode === mode)
+  );
+}
+
+module.exports = {
+  extractParkReferences,
+  parseAdif,
+  parseCsv,
+  parseHunterLog,
+  importHunterLog,
+  loadWorkedParks,
+  saveWorkedParks,
+  getWorkedParksSummary,
+  isParkNeeded
+};
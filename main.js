@@ -1,7 +1,90 @@
-const { app, BrowserWindow, Notification, ipcMain, session, Menu, dialog } = require('electron');
+const { app, BrowserWindow, Notification, ipcMain, session, Menu, dialog, powerMonitor } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const { applyFilter } = require('./filter');
+const {
+  findMatchingAlertRules,
+  explainFilter,
+  findWatchlistEntry,
+  migrateFilterConfig,
+  pruneEmptyConditions,
+  RULE_FIELDS,
+  getAllowedConditionTypes
+} = require('./filter');
+const { createDefaultFilterConfig, applyFilterConfigDefaults, validateConfig } = require('./config');
+const { getBandsForRegion } = require('./bands');
+const { getRegionList } = require('./regions');
+const {
+  INITIAL_POLL_DELAY_MS,
+  IDLE_THRESHOLD_SECONDS,
+  PASSIVE_CAPTURE_MAX_AGE_SECONDS,
+  validateSpotsResponse,
+  getPollDelayMs,
+  isHealthAlertDue,
+  formatStatusTitle
+} = require('./spotclient');
+const {
+  createDefaultSpotSources,
+  getSpotSource,
+  normalizePotaSpot,
+  getEnabledHttpSources,
+  fetchSourceSpots,
+  mergeSourceSpots
+} = require('./spotsources');
+const { createDxClusterClient } = require('./dxcluster');
+const {
+  shouldAlertOnStartup,
+  loadSeenSpots,
+  saveSeenSpots
+} = require('./seenspots');
+const {
+  createHistoryEntry,
+  pruneHistory,
+  loadHistory,
+  appendHistory,
+  saveHistory,
+  searchHistory,
+  formatHistoryCsv,
+  formatHistoryAdif
+} = require('./spothistory');
+const { parseSpotDump, runBacktest } = require('./backtest');
+const { computeStatistics } = require('./spotstats');
+const {
+  TEST_SPOT,
+  validateWebhookSettings,
+  sendWebhooks
+} = require('./webhook');
+const {
+  CHAT_SERVICES,
+  CHAT_SERVICE_LABELS,
+  validateChatAlertSettings,
+  groupChatDestinations,
+  sendChatMessages
+} = require('./chatalerts');
+const { attachSpotCapture } = require('./pagecapture');
+const { annotateSpotWithDistance } = require('./geo');
+const { createDefaultModeFamilies, getModeFamily } = require('./modes');
+const {
+  getCachedParkDetails,
+  refreshParkCache,
+  enrichSpotWithPark,
+  loadParkCache,
+  saveParkCache
+} = require('./parks');
+const {
+  importHunterLog,
+  loadWorkedParks,
+  saveWorkedParks,
+  getWorkedParksSummary
+} = require('./hunterlog');
+const {
+  getActivationKey,
+  createActivationState,
+  classifySpotChange,
+  getSpotChangeAction,
+  createLastAlert,
+  isInCooldown,
+  formatQsyText
+} = require('./activations');
 const {
   loadVoicevoxSettings,
   saveVoicevoxSettings,
@@ -15,6 +98,8 @@ const {
 let mainWindow;
 let settingsWindow;
 let voicevoxSettingsWindow;
+let historyWindow;
+let statisticsWindow;
 let filterConfig = null;
 let notificationSettings = {
   notificationEnabled: false,
@@ -22,11 +107,53 @@ let notificationSettings = {
   soundEnabled: false,
   voicevoxEnabled: false
 };
-let knownSpotIds = new Set(); // 既知のスポットIDを保持
+let knownActivations = new Map(); // activator + referenceごとの最新のスポットの状態を保持（再起動後も引き継ぐ）
+const startedSources = new Set(); // 起動後に最初のスポットを処理済みの取得元（起動時の通知の判定用）
+const lastAlerts = new Map(); // activator + referenceごとの最後に通知したときの状態（クールダウン用）
+let suppressedAlertCount = 0; // 起動後にクールダウンで抑制した通知の累計
+let webhookLog = []; // Webhook・Discord・Slackの送信履歴（新しい順、最新100件）
+let currentSpots = []; // 最後に取得したスポット一覧（フィルタのプレビュー用）
+let recentSpots = new Map(); // 最近取得したスポット（スポットIDごと、最新500件、フィルタのプレビュー用）
+let workedParks = null; // インポートしたハンターログの交信済みパーク
+let parkCache = {}; // パーク番号ごとのパークの詳細のキャッシュ
+let parkRefreshInProgress = false; // パークの詳細を取得中かどうか
+let pollTimer = null; // 次回のスポット取得のタイマー（同時に1つだけ）
+let pollInProgress = false; // スポットを取得・処理中かどうか
+let spotValidators = {}; // 取得元ごとの条件付きリクエストに使用する前回のレスポンスのETag・Last-Modified
+let spotProcessing = Promise.resolve(); // スポットの処理を順番に行うためのキュー
+const sourceSpots = new Map(); // 取得元ごとの最後に取得したスポット
+let dxClusterClient = null; // DXクラスターのクライアント（無効の場合はnull）
+let dxClusterSettingsKey = null; // 接続中のDXクラスターの設定（変更の検知用）
+let dxClusterTimer = null; // DXクラスターのスポットをまとめて処理するためのタイマー
+let spotHistory = []; // スポットの履歴（古い順）
+let historyPrunedAt = 0; // 最後に古い履歴を削除した時刻
+let historyLoaded = false; // 履歴ファイルを読み込んだかどうか（記録が無効の場合は検索・集計・書き出しまで読み込まない）
+let spotClientStatus = { // スポットの取得状況
+  lastSuccessAt: null,
+  lastCaptureAt: null,
+  lastErrorAt: null,
+  lastError: null,
+  spotCount: 0,
+  consecutiveErrors: 0,
+  failingSince: null,
+  healthAlerted: false,
+  nextPollAt: null,
+  sources: {} // 取得元ごとのスポット数・エラー
+};
 
 const CONFIG_FILE = path.join(app.getPath('userData'), 'config.json');
 const NOTIFICATION_SETTINGS_FILE = path.join(app.getPath('userData'), 'notification-settings.json');
 const VOICEVOX_SETTINGS_FILE = path.join(app.getPath('userData'), 'voicevox-settings.json');
+const WORKED_PARKS_FILE = path.join(app.getPath('userData'), 'worked-parks.json');
+const PARK_CACHE_FILE = path.join(app.getPath('userData'), 'park-cache.json');
+const SEEN_SPOTS_FILE = path.join(app.getPath('userData'), 'seen-spots.json');
+const HISTORY_FILE = path.join(app.getPath('userData'), 'spot-history.jsonl');
+
+// DXクラスターのスポットを受信してからまとめて処理するまでの待ち時間（ミリ秒）
+const DX_CLUSTER_BATCH_DELAY_MS = 1000;
+
+// 保存期間・最大件数を超えた履歴を削除する間隔（ミリ秒）
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
 
 // Windowsで通知のアプリ名を設定（app.whenReady()の前に呼び出す必要がある）
 if (process.platform === 'win32') {
@@ -40,51 +167,29 @@ app.setName('POTA Notification');
 async function loadConfig() {
   try {
     const data = await fs.readFile(CONFIG_FILE, 'utf-8');
-    filterConfig = JSON.parse(data);
-    // 既存の設定にignoreOtherSpottersがない場合はfalseを設定
-    if (filterConfig.ignoreOtherSpotters === undefined) {
-      filterConfig.ignoreOtherSpotters = false;
-    }
-    // 既存の設定にnotificationSoundPathがない場合はnullを設定
-    if (filterConfig.notificationSoundPath === undefined) {
-      filterConfig.notificationSoundPath = null;
-    }
-    // 既存の設定にmaxNotificationCountがない場合は0を設定
-    if (filterConfig.maxNotificationCount === undefined) {
-      filterConfig.maxNotificationCount = 0;
-    }
-    // 既存の設定にmaxPopupCountがない場合は0を設定
-    if (filterConfig.maxPopupCount === undefined) {
-      filterConfig.maxPopupCount = 0;
-    }
+    const savedConfig = JSON.parse(data);
+    // 旧形式（フィールドごとの条件・単一のルールツリー）の設定はアラートルール形式に変換し、
+    // 既存の設定にない項目はデフォルトを設定
+    const migratedConfig = migrateFilterConfig(savedConfig);
+    filterConfig = applyFilterConfigDefaults(migratedConfig);
     console.log('設定を読み込みました:', filterConfig);
+    // 移行で作成したルールのIDが起動するたびに変わらないよう、移行した設定は一度だけ保存する
+    if (migratedConfig !== savedConfig) {
+      try {
+        await fs.writeFile(CONFIG_FILE, JSON.stringify(filterConfig, null, 2), 'utf-8');
+        console.log('旧形式の設定をアラートルール形式に移行して保存しました');
+      } catch (writeError) {
+        console.error('移行した設定の保存エラー:', writeError);
+      }
+    }
   } catch (error) {
     if (error.code === 'ENOENT') {
       // ファイルが存在しない場合はデフォルト設定を使用
-      filterConfig = {
-        reference: { conditions: [], operator: 'or' },
-        comments: { conditions: [], operator: 'or' },
-        mode: { conditions: [], operator: 'or' },
-        frequency: { conditions: [], operator: 'or' },
-        ignoreOtherSpotters: false,
-        notificationSoundPath: null,
-        maxNotificationCount: 0,
-        maxPopupCount: 0
-      };
       console.log('設定ファイルが見つかりません。デフォルト設定を使用します。');
     } else {
       console.error('設定の読み込みエラー:', error);
-      filterConfig = {
-        reference: { conditions: [], operator: 'or' },
-        comments: { conditions: [], operator: 'or' },
-        mode: { conditions: [], operator: 'or' },
-        frequency: { conditions: [], operator: 'or' },
-        ignoreOtherSpotters: false,
-        notificationSoundPath: null,
-        maxNotificationCount: 0,
-        maxPopupCount: 0
-      };
     }
+    filterConfig = createDefaultFilterConfig();
   }
 }
 
@@ -144,10 +249,31 @@ async function saveNotificationSettings(settings) {
  * 設定ファイルを保存
  */
 async function saveConfig(config) {
+  // 不正な条件（正規表現など）を含む設定は保存しない
+  const validationErrors = validateConfig(config);
+  if (validationErrors.length > 0) {
+    return { success: false, error: 'フィルタ条件に不正な値があります', validationErrors };
+  }
+  // 値が指定されていない条件は保存しない（検証エラーのパスを画面のルールツリーに合わせるため検証の後に取り除く）
+  if (config.alertRules) {
+    config = { ...config, alertRules: config.alertRules.map(rule => ({ ...rule, ruleTree: pruneEmptyConditions(rule.ruleTree) })) };
+  }
+
   try {
+    const showPotaWindowChanged = filterConfig?.showPotaWindow !== config.showPotaWindow;
     filterConfig = config;
     await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf-8');
     console.log('設定を保存しました:', config);
+    if (showPotaWindowChanged) {
+      loadMainWindowContent();
+    }
+    applySpotSources();
+    // 履歴の保存期間・最大件数の変更を次回の記録時に反映する
+    historyPrunedAt = 0;
+    // 取得間隔の変更を反映するため次回の取得を予約し直す
+    if (!pollInProgress) {
+      scheduleNextPoll(getNextPollDelayMs());
+    }
     return { success: true };
   } catch (error) {
     console.error('設定の保存エラー:', error);
@@ -172,14 +298,16 @@ function createMainWindow() {
     }
   });
 
-  // ページタイトルが変更されても常に「POTA Notification」を維持
+  // ページタイトルが変更されても常に「POTA Notification」と取得状況を表示
   mainWindow.webContents.on('page-title-updated', (event) => {
     event.preventDefault();
-    mainWindow.setTitle('POTA Notification');
+    updateMainWindowTitle();
   });
 
-  // https://pota.appを表示
-  mainWindow.loadURL('https://pota.app');
+  loadMainWindowContent();
+
+  // ページ自身が取得したスポットを受け取る
+  attachSpotCapture(mainWindow.webContents, handleCapturedSpots);
 
   // デベロッパーツールを開く（開発時）
   // mainWindow.webContents.openDevTools();
@@ -189,6 +317,21 @@ function createMainWindow() {
   });
 }
 
+/**
+ * メインウィンドウにhttps://pota.app、またはpota.appを表示しない設定の場合は取得状況の画面を表示
+ * スポットの取得はメインプロセスで行うため、どちらを表示していても通知は動作する
+ */
+function loadMainWindowContent() {
+  if (!mainWindow) {
+    return;
+  }
+  if (filterConfig?.showPotaWindow === false) {
+    mainWindow.loadFile('status.html');
+  } else {
+    mainWindow.loadURL('https://pota.app');
+  }
+}
+
 
 /**
  * 設定画面を作成
@@ -251,117 +394,591 @@ function createVoicevoxSettingsWindow() {
 }
 
 /**
- * APIレスポンスを監視して新しいスポットを検知
+ * スポットの履歴画面を作成
  */
-function setupApiMonitoring() {
-  if (!mainWindow) {
+function createHistoryWindow() {
+  if (historyWindow) {
+    historyWindow.focus();
+    return;
+  }
+
+  historyWindow = new BrowserWindow({
+    width: 1000,
+    height: 700,
+    icon: path.join(__dirname, 'icon.png'),
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true
+    }
+  });
+
+  historyWindow.loadFile('history.html');
+
+  historyWindow.on('closed', () => {
+    historyWindow = null;
+  });
+}
+
+/**
+ * スポットの統計画面を作成
+ */
+function createStatisticsWindow() {
+  if (statisticsWindow) {
+    statisticsWindow.focus();
+    return;
+  }
+
+  statisticsWindow = new BrowserWindow({
+    width: 900,
+    height: 800,
+    icon: path.join(__dirname, 'icon.png'),
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true
+    }
+  });
+
+  statisticsWindow.loadFile('statistics.html');
+
+  statisticsWindow.on('closed', () => {
+    statisticsWindow = null;
+  });
+}
+
+/**
+ * スポットの定期取得を開始
+ * メインプロセスから直接スポットAPIを呼び出すため、メインウィンドウの状態に関係なく取得を続ける
+ */
+function startSpotPolling() {
+  // 起動直後は少し待ってから取得を開始
+  scheduleNextPoll(INITIAL_POLL_DELAY_MS);
+
+  // スリープからの復帰・画面ロックの解除時はアイドル時の間隔を待たずに取得
+  const pollSoon = () => {
+    if (!pollInProgress) {
+      scheduleNextPoll(INITIAL_POLL_DELAY_MS);
+    }
+  };
+  powerMonitor.on('resume', pollSoon);
+  powerMonitor.on('unlock-screen', pollSoon);
+
+  applySpotSources();
+}
+
+/**
+ * 取得元ごとの設定を反映
+ * 無効になった取得元のスポットを破棄し、DXクラスターの設定が変わった場合は接続し直す
+ */
+function applySpotSources() {
+  const spotSources = filterConfig?.spotSources || createDefaultSpotSources();
+  const enabledSources = new Set(getEnabledHttpSources(spotSources));
+  const dxCluster = spotSources.dxCluster;
+  if (dxCluster?.enabled) {
+    enabledSources.add('DXC');
+  }
+  let removed = false;
+  for (const source of Array.from(sourceSpots.keys())) {
+    if (!enabledSources.has(source)) {
+      sourceSpots.delete(source);
+      delete spotValidators[source];
+      removed = true;
+    }
+  }
+  const sources = { ...spotClientStatus.sources };
+  for (const source of Object.keys(sources)) {
+    if (!enabledSources.has(source)) {
+      delete sources[source];
+    }
+  }
+  spotClientStatus = { ...spotClientStatus, sources, spotCount: getAllSourceSpots().length };
+  if (removed) {
+    enqueueSpots(getAllSourceSpots());
+  }
+
+  const settingsKey = dxCluster?.enabled
+    ? JSON.stringify([dxCluster.host, dxCluster.port, dxCluster.callsign])
+    : null;
+  if (settingsKey === dxClusterSettingsKey) {
     return;
   }
+  dxClusterSettingsKey = settingsKey;
+  if (dxClusterClient) {
+    dxClusterClient.close();
+    dxClusterClient = null;
+  }
+  if (settingsKey) {
+    dxClusterClient = createDxClusterClient(dxCluster, {
+      onSpots: handleDxClusterSpots,
+      onStatus: (error) => {
+        updateSourceStatus('DXC', { connected: error === null, error });
+        if (error) {
+          spotClientStatus = { ...spotClientStatus, lastErrorAt: Date.now(), lastError: `DXC: ${error}` };
+        }
+      }
+    });
+    dxClusterClient.connect();
+  }
+}
+
+/**
+ * 取得元ごとの取得状況を更新
+ * @param {string} source - 取得元
+ * @param {Object} status - 更新する項目（spotCount・error・connected）
+ */
+function updateSourceStatus(source, status) {
+  spotClientStatus = {
+    ...spotClientStatus,
+    sources: {
+      ...spotClientStatus.sources,
+      [source]: { ...spotClientStatus.sources[source], ...status }
+    }
+  };
+}
 
-  let checkInterval = null;
+/**
+ * 全ての取得元のスポットを1つの一覧にまとめる
+ * @returns {Object[]}
+ */
+function getAllSourceSpots() {
+  return mergeSourceSpots(Array.from(sourceSpots.values()));
+}
 
-  // ページがロード完了した後に定期的にチェックを開始
-  mainWindow.webContents.on('did-finish-load', () => {
-    // 既存のインターバルをクリア
-    if (checkInterval) {
-      clearInterval(checkInterval);
+/**
+ * 取得元のスポットを更新して処理キューに追加
+ * @param {string} source - 取得元
+ * @param {Object[]} spots - 共通の形式のスポットデータの配列
+ * @returns {Promise<void>}
+ */
+function updateSourceSpots(source, spots) {
+  sourceSpots.set(source, spots);
+  updateSourceStatus(source, { spotCount: spots.length });
+  const allSpots = getAllSourceSpots();
+  spotClientStatus = { ...spotClientStatus, spotCount: allSpots.length };
+  return enqueueSpots(allSpots);
+}
+
+/**
+ * DXクラスターから受信したスポットを処理
+ * 短時間に続けて受信することが多いため、少し待ってからまとめて処理する
+ * @param {Object[]} spots - 保持中のDXクラスターのスポット
+ */
+function handleDxClusterSpots(spots) {
+  if (dxClusterTimer) {
+    clearTimeout(dxClusterTimer);
+  }
+  dxClusterTimer = setTimeout(() => {
+    dxClusterTimer = null;
+    if (!dxClusterClient) {
+      return;
     }
+    spotClientStatus = { ...spotClientStatus, lastSuccessAt: Date.now() };
+    updateSourceSpots('DXC', spots);
+  }, DX_CLUSTER_BATCH_DELAY_MS);
+}
 
-    // ページロード後、少し待ってからチェック開始
-    setTimeout(() => {
-      checkForNewSpots();
-    }, 3000);
+/**
+ * 次回のスポット取得を予約
+ * 予約済みのタイマーは取り消し、取得のループが常に1つだけになるようにする
+ * @param {number} delayMs - 待ち時間（ミリ秒）
+ */
+function scheduleNextPoll(delayMs) {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+  }
+  spotClientStatus = { ...spotClientStatus, nextPollAt: Date.now() + delayMs };
+  pollTimer = setTimeout(pollSpots, delayMs);
+}
 
-    // 定期的にページからスポットデータを取得
-    checkInterval = setInterval(async () => {
-      await checkForNewSpots();
-    }, 10000); // 10秒ごとにチェック
+/**
+ * 取得間隔の設定・連続失敗回数・アイドル状態から次回の取得までの待ち時間を計算
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function getNextPollDelayMs() {
+  return getPollDelayMs(filterConfig?.spotClient, {
+    consecutiveErrors: spotClientStatus.consecutiveErrors,
+    idleState: powerMonitor.getSystemIdleState(IDLE_THRESHOLD_SECONDS)
   });
 }
 
 /**
- * ページから新しいスポットをチェック
+ * スポットを処理キューに追加
+ * ページの通信とスポットAPIの取得から同時に処理しないよう、前の処理が終わってから処理する
+ * @param {Object[]} spots - スポットデータの配列
+ * @returns {Promise<void>}
+ */
+function enqueueSpots(spots) {
+  spotProcessing = spotProcessing
+    .then(() => processSpots(spots))
+    .catch(error => {
+      console.error('スポット処理エラー:', error);
+    });
+  return spotProcessing;
+}
+
+/**
+ * 取得の成否から監視の状態を更新し、失敗が続いた場合と復旧した場合に通知
+ * 通知はスポットの通知とは別に、デスクトップ通知の設定に関係なく表示する
+ * @param {boolean} succeeded - 取得に成功したか（一部の取得元のみの成功を含む）
+ * @param {number} now - 現在時刻（ミリ秒）
  */
-async function checkForNewSpots() {
-  if (!mainWindow || !mainWindow.webContents) {
+function updateMonitoringHealth(succeeded, now) {
+  if (succeeded) {
+    if (spotClientStatus.healthAlerted) {
+      const minutes = Math.round((now - spotClientStatus.failingSince) / 60000);
+      showHealthNotification('スポットの取得が復旧しました', `約${minutes}分間、スポットを取得できていませんでした`);
+    }
+    spotClientStatus = { ...spotClientStatus, failingSince: null, healthAlerted: false };
+  } else {
+    if (spotClientStatus.failingSince === null) {
+      spotClientStatus = { ...spotClientStatus, failingSince: now };
+    }
+    const healthAlertMinutes = filterConfig?.spotClient?.healthAlertMinutes ?? 0;
+    if (isHealthAlertDue(spotClientStatus, healthAlertMinutes, now)) {
+      showHealthNotification(
+        'スポットの取得に失敗しています',
+        `${healthAlertMinutes}分以上スポットを取得できていません。通知は届きません。\n${spotClientStatus.lastError || ''}`
+      );
+      spotClientStatus = { ...spotClientStatus, healthAlerted: true };
+    }
+  }
+  updateMainWindowTitle();
+}
+
+/**
+ * メインウィンドウのタイトルに取得状況を表示
+ */
+function updateMainWindowTitle() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.setTitle(formatStatusTitle('POTA Notification', spotClientStatus));
+  }
+}
+
+/**
+ * 監視の状態の通知を表示
+ * @param {string} title - タイトル
+ * @param {string} body - 本文
+ */
+function showHealthNotification(title, body) {
+  console.warn(`${title}: ${body}`);
+  if (!Notification.isSupported()) {
     return;
   }
+  const notification = new Notification({
+    title: `POTA Notification - ${title}`,
+    body,
+    icon: path.join(__dirname, 'icon.png')
+  });
+  notification.on('click', () => {
+    if (mainWindow) {
+      mainWindow.focus();
+    }
+  });
+  notification.show();
+}
 
+/**
+ * pota.appのページが取得したスポットを処理
+ * @param {*} body - /v1/spotsのレスポンスボディ
+ */
+async function handleCapturedSpots(body) {
+  if (filterConfig?.spotClient?.passiveCapture === false || !isPotaSourceEnabled()) {
+    return;
+  }
+  let result;
   try {
-    // ページのJavaScriptからAPIレスポンスを取得
-    // ページが既に取得したデータにアクセスするか、
-    // XMLHttpRequestをフックしてレスポンスを取得
-    const spots = await mainWindow.webContents.executeJavaScript(`
-      (async () => {
-        try {
-          // ページが既に持っているスポットデータを取得する方法
-          // または、直接APIを呼び出す
-          const response = await fetch('https://api.pota.app/v1/spots');
-          if (response.ok) {
-            return await response.json();
-          }
-          return [];
-        } catch (error) {
-          console.error('スポット取得エラー:', error);
-          return [];
+    result = validateSpotsResponse(body, normalizePotaSpot);
+  } catch (error) {
+    console.warn('ページのスポットを使用できません:', error.message);
+    return;
+  }
+  const now = Date.now();
+  spotClientStatus = {
+    ...spotClientStatus,
+    lastSuccessAt: now,
+    lastCaptureAt: now,
+    consecutiveErrors: 0
+  };
+  updateMonitoringHealth(true, now);
+  updateSourceStatus('POTA', { error: null });
+  await updateSourceSpots('POTA', result.spots);
+}
+
+/**
+ * POTAからのスポットの取得が有効か
+ * @returns {boolean}
+ */
+function isPotaSourceEnabled() {
+  return getEnabledHttpSources(filterConfig?.spotSources).includes('POTA');
+}
+
+/**
+ * pota.appのページが最近スポットを取得しているか
+ * @returns {boolean}
+ */
+function hasRecentCapture() {
+  return filterConfig?.spotClient?.passiveCapture !== false && isPotaSourceEnabled() &&
+    spotClientStatus.lastCaptureAt !== null &&
+    Date.now() - spotClientStatus.lastCaptureAt < PASSIVE_CAPTURE_MAX_AGE_SECONDS * 1000;
+}
+
+/**
+ * 有効な取得元（POTA・SOTA・WWFF）のスポットAPIからスポットを取得して処理し、次回の取得を予約
+ * pota.appのページが最近スポットを取得している場合はPOTAのスポットは自分では取得しない
+ * 全ての取得元で失敗した場合のみ連続失敗として取得間隔を延ばす
+ */
+async function pollSpots() {
+  pollTimer = null;
+  if (pollInProgress) {
+    return;
+  }
+  const sources = getEnabledHttpSources(filterConfig?.spotSources)
+    .filter(source => source !== 'POTA' || !hasRecentCapture());
+  if (sources.length === 0) {
+    scheduleNextPoll(getNextPollDelayMs());
+    return;
+  }
+  pollInProgress = true;
+  try {
+    const results = await Promise.allSettled(sources.map(source =>
+      fetchSourceSpots(source, filterConfig?.spotSources, filterConfig?.spotClient, spotValidators[source])
+    ));
+    const errors = [];
+    let changed = false;
+    results.forEach((result, index) => {
+      const source = sources[index];
+      if (result.status === 'rejected') {
+        console.error(`スポットチェックエラー (${source}):`, result.reason);
+        errors.push(`${source}: ${result.reason.message}`);
+        updateSourceStatus(source, { error: result.reason.message });
+        return;
+      }
+      spotValidators[source] = result.value.validators;
+      updateSourceStatus(source, { error: null });
+      // 前回から変更がない場合は処理しない
+      if (!result.value.notModified) {
+        if (result.value.invalidCount > 0) {
+          console.warn(`形式が不正なスポットを${result.value.invalidCount}件除外しました (${source})`);
         }
-      })()
-    `);
+        sourceSpots.set(source, result.value.spots);
+        updateSourceStatus(source, { spotCount: result.value.spots.length });
+        changed = true;
+      }
+    });
 
-    if (Array.isArray(spots)) {
-      await processSpots(spots);
+    const now = Date.now();
+    const allFailed = errors.length === sources.length;
+    spotClientStatus = {
+      ...spotClientStatus,
+      ...(allFailed ? {} : { lastSuccessAt: now }),
+      ...(errors.length > 0 ? { lastErrorAt: now, lastError: errors.join(' / ') } : {}),
+      consecutiveErrors: allFailed ? spotClientStatus.consecutiveErrors + 1 : 0
+    };
+    updateMonitoringHealth(!allFailed, now);
+    if (changed) {
+      const allSpots = getAllSourceSpots();
+      spotClientStatus = { ...spotClientStatus, spotCount: allSpots.length };
+      await enqueueSpots(allSpots);
     }
-  } catch (error) {
-    console.error('スポットチェックエラー:', error);
+  } finally {
+    pollInProgress = false;
+    scheduleNextPoll(getNextPollDelayMs());
   }
 }
 
 /**
- * スポットを処理して新しいものを検知
+ * スポットに自局からの距離・方位とモードファミリー、キャッシュ済みのパークの詳細を付加
+ * @param {Object} spot - スポットデータ
+ * @param {Object} config - フィルタ設定
+ * @returns {Object}
+ */
+function annotateSpot(spot, config) {
+  const annotated = {
+    ...annotateSpotWithDistance(spot, config?.homeLocation),
+    modeFamily: getModeFamily(spot.mode, config?.modeFamilies)
+  };
+  if (!config?.parkEnrichment?.enabled || getSpotSource(spot) !== 'POTA') {
+    return annotated;
+  }
+  return enrichSpotWithPark(annotated, getCachedParkDetails(spot.reference, parkCache));
+}
+
+/**
+ * 新規・変化のあったスポットのパークの詳細をキャッシュに取得し、更新があればファイルに保存
+ * @param {Object[]} spots - スポットデータの配列
+ */
+async function refreshParkDetails(spots) {
+  // 前回の取得が終わっていない場合は待たずにキャッシュ済みの情報で判定する
+  if (!filterConfig?.parkEnrichment?.enabled || parkRefreshInProgress) {
+    return;
+  }
+  const references = spots
+    .filter(spot => getSpotSource(spot) === 'POTA')
+    .filter(spot => classifySpotChange(knownActivations.get(getActivationKey(spot)) || null, spot) !== 'unchanged')
+    .map(spot => spot.reference);
+  parkRefreshInProgress = true;
+  try {
+    if (await refreshParkCache(references, parkCache, filterConfig.parkEnrichment)) {
+      await saveParkCache(PARK_CACHE_FILE, parkCache);
+    }
+  } finally {
+    parkRefreshInProgress = false;
+  }
+}
+
+/**
+ * スポットを処理して新しいアクティベーション・QSY・再スポットを検知
  */
 async function processSpots(spots) {
   if (!Array.isArray(spots)) {
     return;
   }
 
-  // フィルタを通過したスポットを配列に集約
-  const filteredSpots = [];
-
+  // フィルタのプレビュー用に現在のスポット一覧と最近のスポットを保持
+  currentSpots = spots;
   for (const spot of spots) {
-    const spotId = spot.spotId;
+    recentSpots.delete(spot.spotId);
+    recentSpots.set(spot.spotId, spot);
+  }
+  if (recentSpots.size > 500) {
+    recentSpots = new Map(Array.from(recentSpots).slice(-500));
+  }
+
+  // アラートルールの判定前にパークの詳細を取得
+  await refreshParkDetails(spots);
+
+  // アラートルールに一致したスポットと一致したルールを配列に集約
+  const matchedSpots = [];
+  const now = Date.now();
+  const region = filterConfig?.iaruRegion;
+  let suppressedCount = 0;
+  let absorbedCount = 0;
+  let activationsChanged = false;
+  const historyEntries = [];
+  const recordHistory = (spot, change, rules, notified, reason) => {
+    const matchedRules = rules.map(rule => rule.name);
+    historyEntries.push(createHistoryEntry(spot, { change, matchedRules, notified, reason }, now, region));
+  };
 
-    // 既知のスポットIDでない場合は新規スポット
-    if (!knownSpotIds.has(spotId)) {
-      knownSpotIds.add(spotId);
+  // 起動後最初に処理する取得元のスポットは起動時の通知の設定に従う
+  // DXクラスターは接続後に受信したスポットのみのため対象外
+  const firstFetchSources = new Set(spots
+    .map(spot => getSpotSource(spot))
+    .filter(source => source !== 'DXC' && !startedSources.has(source)));
+
+  for (const spot of spots) {
+    // activator + referenceごとに前回の状態と比較し、新規・QSY・再スポットを判定
+    const activationKey = getActivationKey(spot);
+    const previous = knownActivations.get(activationKey) || null;
+    const change = classifySpotChange(previous, spot);
+    if (change === 'unchanged') {
+      continue;
+    }
+    // 最近更新されたものを末尾に保つため削除してから追加
+    knownActivations.delete(activationKey);
+    knownActivations.set(activationKey, createActivationState(spot, now));
+    activationsChanged = true;
+
+    // 自局からの距離・方位、モードファミリー、パークの詳細を付加してからアラートルールを適用
+    // （通知しないスポットもフィルタを通過したかどうかを履歴に記録するため先に判定する）
+    const locatedSpot = annotateSpot(spot, filterConfig);
+    const rules = findMatchingAlertRules(locatedSpot, filterConfig, workedParks);
+
+    const action = getSpotChangeAction(change, filterConfig?.activationTracking);
+    if (action === 'none') {
+      recordHistory(locatedSpot, change, rules, false, change === 'qsy' ? 'QSYを通知しない設定' : '再スポットを通知しない設定');
+      continue;
+    }
+    if (firstFetchSources.has(getSpotSource(spot)) && !shouldAlertOnStartup(spot, filterConfig?.startupPolicy, now)) {
+      absorbedCount++;
+      recordHistory(locatedSpot, change, rules, false, '起動時の通知の設定');
+      continue;
+    }
 
-      // フィルタを適用
-      if (filterConfig && applyFilter(spot, filterConfig)) {
-        // フィルタを通過したスポットを配列に追加
-        filteredSpots.push(spot);
+    if (rules.length > 0) {
+      // クールダウン中の同じアクティベーションは通知しない
+      if (isInCooldown(lastAlerts.get(activationKey), spot, filterConfig?.alertCooldown, region, now)) {
+        suppressedCount++;
+        recordHistory(locatedSpot, change, rules, false, 'クールダウン中');
+        continue;
       }
+      lastAlerts.set(activationKey, createLastAlert(spot, region, now));
+
+      // ウォッチリストに登録されたactivatorの場合はメモを付加して通知に表示
+      const watchlistEntry = findWatchlistEntry(spot.activator, filterConfig?.watchlist);
+      let notifiedSpot = watchlistEntry
+        ? { ...locatedSpot, watchlistNote: watchlistEntry.note || '' }
+        : locatedSpot;
+      // QSYとして通知する場合は変更前の周波数・モードと通知文を付加
+      if (action === 'qsy') {
+        notifiedSpot = {
+          ...notifiedSpot,
+          qsyText: formatQsyText(spot),
+          previousFrequency: previous.frequency,
+          previousMode: previous.mode
+        };
+      }
+      matchedSpots.push({ spot: notifiedSpot, rules });
+      recordHistory(locatedSpot, change, rules, true, `ルール: ${rules.map(rule => rule.name).join(', ')}`);
+    } else {
+      recordHistory(locatedSpot, change, rules, false, '一致するルールなし');
     }
   }
 
-  // フィルタ後のスポットがある場合のみ処理
-  if (filteredSpots.length > 0) {
-    // 通知音を1回だけ再生
-    await handleNotificationSound();
+  for (const source of firstFetchSources) {
+    startedSources.add(source);
+  }
+  if (absorbedCount > 0) {
+    console.log(`起動時の通知の設定により${absorbedCount}件のスポットを通知せずに処理済みにしました`);
+  }
+
+  if (suppressedCount > 0) {
+    suppressedAlertCount += suppressedCount;
+    console.log(`クールダウン中のため${suppressedCount}件の通知を抑制しました（起動後の累計: ${suppressedAlertCount}件）`);
+  }
+
+  // 一致したスポットがある場合のみ処理
+  if (matchedSpots.length > 0) {
+    // 各チャネルの対象スポットをルールの設定に従って振り分け
+    const spotsForChannel = (channel) => matchedSpots
+      .filter(({ rules }) => rules.some(rule => rule.channels?.[channel]))
+      .map(({ spot }) => spot);
+
+    // 通知音は一致したルールごとの音声ファイルを1回ずつ再生
+    const soundPaths = new Set();
+    for (const { rules } of matchedSpots) {
+      for (const rule of rules) {
+        if (rule.channels?.sound) {
+          soundPaths.add(rule.channels.soundPath || null);
+        }
+      }
+    }
+    const customSoundPlayed = await handleNotificationSound(Array.from(soundPaths));
 
     // デスクトップ通知の最大件数制限を適用
+    const notificationTargets = spotsForChannel('notification');
     const maxNotificationCount = filterConfig?.maxNotificationCount || 0;
     const notificationSpots = maxNotificationCount > 0 
-      ? filteredSpots.slice(0, maxNotificationCount)
-      : filteredSpots;
+      ? notificationTargets.slice(0, maxNotificationCount)
+      : notificationTargets;
 
     // ポップアップ通知の最大件数制限を適用
+    const popupTargets = spotsForChannel('popup');
     const maxPopupCount = filterConfig?.maxPopupCount || 0;
     const popupSpots = maxPopupCount > 0
-      ? filteredSpots.slice(0, maxPopupCount)
-      : filteredSpots;
+      ? popupTargets.slice(0, maxPopupCount)
+      : popupTargets;
 
     // デスクトップ通知を表示
+    // カスタム通知音を再生した場合や、一致したルールで通知音が無効な場合はOSの通知音を鳴らさない
+    const wantsSound = (spot) => matchedSpots
+      .find(match => match.spot === spot)
+      .rules.some(rule => rule.channels?.sound);
     for (const spot of notificationSpots) {
-      showNotification(spot);
+      showNotification(spot, { silent: customSoundPlayed || !wantsSound(spot) });
     }
 
     // ポップアップ通知を表示
@@ -369,11 +986,25 @@ async function processSpots(spots) {
       showPopupNotification(spot);
     }
 
+    // Webhookに送信（再試行で次の処理が遅れないよう送信の完了は待たない）
+    const webhookMatches = matchedSpots.filter(({ rules }) => rules.some(rule => rule.channels?.webhook));
+    if (filterConfig?.webhook?.enabled && webhookMatches.length > 0) {
+      for (const { spot, rules } of webhookMatches) {
+        sendWebhookNotification(spot, rules.map(rule => rule.name));
+      }
+    }
+
+    // Discord・Slackに送信（レート制限を超えないよう送信先ごとに1つのメッセージにまとめ、送信の完了は待たない）
+    for (const destination of groupChatDestinations(matchedSpots, filterConfig?.chatAlerts)) {
+      sendChatNotification(destination);
+    }
+
     // VOICEVOXで読み上げ（複数スポット対応）
+    const voicevoxSpots = spotsForChannel('voicevox');
     const targetWebContents = getAudioTargetWebContents();
-    if (targetWebContents) {
+    if (targetWebContents && voicevoxSpots.length > 0) {
       await speakMultipleSpotsWithVoicevox(
-        filteredSpots,
+        voicevoxSpots,
         VOICEVOX_SETTINGS_FILE,
         notificationSettings.voicevoxEnabled,
         targetWebContents
@@ -381,13 +1012,139 @@ async function processSpots(spots) {
     }
   }
 
-  // メモリリークを防ぐため、既知のスポットIDの数を制限（最新1000件）
-  if (knownSpotIds.size > 1000) {
-    const idsArray = Array.from(knownSpotIds);
-    knownSpotIds = new Set(idsArray.slice(-1000));
+  // メモリリークを防ぐため、追跡するアクティベーションの数を制限（最近更新された1000件）
+  if (knownActivations.size > 1000) {
+    const entries = Array.from(knownActivations);
+    knownActivations = new Map(entries.slice(-1000));
+  }
+
+  // 再起動後に同じスポットを通知しないよう処理済みのスポットを保存
+  if (activationsChanged) {
+    await saveSeenSpots(SEEN_SPOTS_FILE, knownActivations, filterConfig?.startupPolicy, now);
+  }
+
+  // 新規・QSY・再スポットと通知した・しなかった理由を履歴に記録
+  await recordSpotHistory(historyEntries, now);
+
+  // クールダウンの期間を過ぎた通知の記録を削除
+  const cooldownMs = (filterConfig?.alertCooldown?.minutes || 0) * 60 * 1000;
+  for (const [key, lastAlert] of lastAlerts) {
+    if (now - lastAlert.time >= cooldownMs) {
+      lastAlerts.delete(key);
+    }
   }
 }
 
+/**
+ * スポットの履歴を記録
+ * ファイルには追記し、保存期間・最大件数を超えた履歴は一定間隔でまとめて削除する
+ * @param {import('./spothistory').HistoryEntry[]} entries - 追加するエントリ
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ */
+async function recordSpotHistory(entries, now = Date.now()) {
+  if (!filterConfig?.history?.enabled || entries.length === 0) {
+    return;
+  }
+  // 起動後に記録を有効にした場合は、既存の履歴を上書きしないよう先に読み込む
+  if (!historyLoaded) {
+    await loadSpotHistory(now);
+  }
+  spotHistory.push(...entries);
+  if (now - historyPrunedAt >= HISTORY_PRUNE_INTERVAL_MS) {
+    historyPrunedAt = now;
+    const count = spotHistory.length;
+    spotHistory = pruneHistory(spotHistory, filterConfig.history, now);
+    if (spotHistory.length < count) {
+      await saveHistory(HISTORY_FILE, spotHistory);
+      return;
+    }
+  }
+  await appendHistory(HISTORY_FILE, entries);
+}
+
+/**
+ * 履歴ファイルを読み込み、保存期間・最大件数を超えた履歴を削除
+ * 削除した履歴がある場合のみファイルを書き直す
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ */
+async function loadSpotHistory(now = Date.now()) {
+  const entries = await loadHistory(HISTORY_FILE);
+  spotHistory = pruneHistory(entries, filterConfig.history, now);
+  historyPrunedAt = now;
+  historyLoaded = true;
+  if (spotHistory.length < entries.length) {
+    await saveHistory(HISTORY_FILE, spotHistory);
+  }
+}
+
+/**
+ * スポットをWebhookの全ての送信先に送信し、結果を送信履歴に記録
+ * @param {Object} spot - スポットデータ
+ * @param {string[]} ruleNames - 一致したルール名
+ * @param {import('./webhook').WebhookSettings} [webhook] - Webhookの設定（未指定の場合は保存済みの設定）
+ * @param {'spot'|'test'} [event] - イベントの種類
+ * @returns {Promise<import('./webhook').WebhookDeliveryResult[]>}
+ */
+async function sendWebhookNotification(spot, ruleNames, webhook = filterConfig?.webhook, event = 'spot') {
+  const now = Date.now();
+  let results;
+  try {
+    results = await sendWebhooks(spot, ruleNames, webhook, { event, now });
+  } catch (error) {
+    console.error('Webhookの送信エラー:', error);
+    results = (webhook?.urls || []).map(url => ({ url, success: false, status: null, attempts: 0, error: error.message }));
+  }
+  for (const result of results) {
+    if (!result.success) {
+      console.error(`Webhookの送信に失敗しました: ${result.url}`, result.error);
+    }
+    webhookLog.unshift({
+      time: now,
+      event,
+      activator: spot.activator,
+      reference: spot.reference,
+      ...result
+    });
+  }
+  webhookLog = webhookLog.slice(0, 100);
+  return results;
+}
+
+/**
+ * 送信先ごとにまとめたスポットをDiscord・Slackに送信し、結果を送信履歴に記録
+ * @param {import('./chatalerts').ChatDestination} destination - 送信先とスポット
+ * @param {import('./chatalerts').ChatAlertSettings} [chatAlerts] - Discord・Slackへの通知の設定（未指定の場合は保存済みの設定）
+ * @param {'spot'|'test'} [event] - イベントの種類
+ * @returns {Promise<import('./webhook').WebhookDeliveryResult[]>} メッセージごとの結果
+ */
+async function sendChatNotification(destination, chatAlerts = filterConfig?.chatAlerts, event = 'spot') {
+  const now = Date.now();
+  const label = CHAT_SERVICE_LABELS[destination.service];
+  let results;
+  try {
+    results = await sendChatMessages(destination, chatAlerts, now);
+  } catch (error) {
+    console.error(`${label}への送信エラー:`, error);
+    results = [{ url: destination.url, success: false, status: null, attempts: 0, error: error.message }];
+  }
+  for (const result of results) {
+    if (!result.success) {
+      console.error(`${label}への送信に失敗しました: ${result.url}`, result.error);
+    }
+  }
+  const spots = destination.spots.map(({ spot }) => spot);
+  webhookLog.unshift(...results.map(result => ({
+    time: now,
+    event,
+    service: label,
+    activator: spots.map(spot => spot.activator).join(', '),
+    reference: spots.map(spot => spot.reference).filter(Boolean).join(', '),
+    ...result
+  })));
+  webhookLog = webhookLog.slice(0, 100);
+  return results;
+}
+
 /**
  * 通知音を再生（ChromiumのAudio APIを使用）
  * セキュリティポリシーを回避するため、メインプロセスでファイルを読み込んでBase64エンコードし、data URIとして渡す
@@ -479,35 +1236,62 @@ async function playSoundFromPath(soundPath, targetWebContents) {
 
 /**
  * 通知音再生を統合的に扱う
- * サウンド設定がONの場合にカスタム音声または簡易ビープ音を鳴らす
+ * サウンド設定がONの場合に、指定された音声ファイルを順に再生する
+ * nullはルールで通知音が指定されていないことを表し、共通の通知音を使用する
+ * @param {Array<string|null>} soundPaths - 再生する音声ファイルパスの配列
+ * @returns {Promise<boolean>} カスタム通知音を1つ以上再生した場合true
  */
-async function handleNotificationSound() {
+async function handleNotificationSound(soundPaths) {
   if (!notificationSettings.soundEnabled) {
-    return;
+    return false;
   }
 
-  const hasCustomSound = Boolean(filterConfig?.notificationSoundPath);
-  if (!hasCustomSound) {
-    return;
-  }
+  const resolvedPaths = new Set(
+    soundPaths
+      .map(soundPath => soundPath || filterConfig?.notificationSoundPath)
+      .filter(Boolean)
+  );
 
-  await playNotificationSound();
+  let played = false;
+  for (const soundPath of resolvedPaths) {
+    if (await playNotificationSound(soundPath)) {
+      played = true;
+    }
+  }
+  return played;
 }
 
 /**
  * デスクトップ通知を表示
+ * @param {Object} spot - スポットデータ
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.silent] - OSの通知音を鳴らさない
  */
-function showNotification(spot) {
+function showNotification(spot, options = {}) {
   if (!notificationSettings.notificationEnabled) {
     return;
   }
 
-  const hasCustomSound = Boolean(filterConfig?.notificationSoundPath);
   const soundEnabled = Boolean(notificationSettings.soundEnabled);
-  const shouldSilent = hasCustomSound || !soundEnabled;
+  const shouldSilent = Boolean(options.silent) || !soundEnabled;
 
   const title = 'POTA Notification';
-  const body = `${spot.reference}: ${spot.activator} - ${spot.parkName || spot.name || 'Unknown'}\n${spot.frequency} ${spot.mode}`;
+  const detail = spot.qsyText || `${spot.frequency} ${spot.mode}`;
+  // POTA以外のスポットは取得元を先頭に付け、referenceのないDXクラスターのスポットはコメントを表示
+  const source = getSpotSource(spot);
+  const summary = spot.reference
+    ? `${spot.reference}: ${spot.activator} - ${spot.parkName || spot.name || 'Unknown'}`
+    : `${spot.activator} - ${spot.comments || ''}`;
+  let body = `${source !== 'POTA' ? `[${source}] ` : ''}${summary}\n${detail}`;
+  if (spot.distance !== undefined) {
+    body += ` (${Math.round(spot.distance)}km ${spot.bearing}°)`;
+  }
+  if (spot.firstActivation) {
+    body += ' [初アクティベーション]';
+  }
+  if (spot.watchlistNote) {
+    body += `\n★ ${spot.watchlistNote}`;
+  }
 
   if (Notification.isSupported()) {
     const notification = new Notification({
@@ -588,11 +1372,102 @@ function setupIpcHandlers() {
     return filterConfig;
   });
 
+  // デフォルトの設定を取得
+  ipcMain.handle('get-default-config', async () => {
+    return createDefaultFilterConfig();
+  });
+
   // 設定の保存
   ipcMain.handle('save-config', async (event, config) => {
     return await saveConfig(config);
   });
 
+  // フィルタ設定の検証
+  ipcMain.handle('validate-filter-config', async (event, config) => {
+    return validateConfig(config);
+  });
+
+  // 保存前のフィルタ設定を現在のスポット一覧と最近のスポットに適用してプレビュー
+  // クールダウン・QSYの判定は含まない。パークの詳細はキャッシュ済みのもののみ使用する
+  ipcMain.handle('preview-filter', async (event, config) => {
+    const currentIds = new Set(currentSpots.map(spot => spot.spotId));
+    const pastSpots = Array.from(recentSpots.values())
+      .filter(spot => !currentIds.has(spot.spotId))
+      .reverse();
+    return [...currentSpots, ...pastSpots].map(spot => {
+      const locatedSpot = annotateSpot(spot, config);
+      return {
+        spot: locatedSpot,
+        current: currentIds.has(spot.spotId),
+        ...explainFilter(locatedSpot, config, workedParks)
+      };
+    });
+  });
+
+  // 保存前のフィルタ設定でスポットの履歴またはファイルのスポット一覧を再生
+  ipcMain.handle('run-backtest', async (event, config, source) => {
+    let spots = spotHistory;
+    if (source === 'file') {
+      const result = await dialog.showOpenDialog({
+        title: 'スポット一覧のファイルを選択',
+        filters: [
+          { name: 'JSON', extensions: ['json', 'jsonl'] },
+          { name: 'すべてのファイル', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return null;
+      }
+      try {
+        spots = parseSpotDump(await fs.readFile(result.filePaths[0], 'utf-8'));
+      } catch (error) {
+        console.error('スポット一覧の読み込みエラー:', error);
+        return { success: false, error: error.message };
+      }
+    } else if (spots.length === 0) {
+      return { success: false, error: 'スポットの履歴がありません' };
+    }
+
+    const validationErrors = validateConfig(config);
+    if (validationErrors.length > 0) {
+      return { success: false, error: 'フィルタ条件に不正な値があります', validationErrors };
+    }
+    return { success: true, result: runBacktest(spots, config, { workedParks, annotate: annotateSpot }) };
+  });
+
+  // パーク情報のキャッシュを削除
+  ipcMain.handle('clear-park-cache', async () => {
+    parkCache = {};
+    return await saveParkCache(PARK_CACHE_FILE, parkCache);
+  });
+
+  // デフォルトのモードファミリーの対応表を取得
+  ipcMain.handle('get-default-mode-families', async () => {
+    return createDefaultModeFamilies();
+  });
+
+  // スポットの取得状況を取得
+  ipcMain.handle('get-spot-client-status', async () => {
+    return spotClientStatus;
+  });
+
+  // プログラム・地域区分の一覧取得（同梱の一覧に最近のPOTAのスポットで見つかったものを加える）
+  ipcMain.handle('get-regions', async () => {
+    const potaSpots = [...currentSpots, ...recentSpots.values()].filter(spot => getSpotSource(spot) === 'POTA');
+    return getRegionList(potaSpots);
+  });
+
+  // フィールドごとの使用できる条件タイプを取得
+  ipcMain.handle('get-condition-types', async () => {
+    return Object.fromEntries(RULE_FIELDS.map(field => [field, getAllowedConditionTypes(field)]));
+  });
+
+  // 指定リージョンのバンド一覧取得
+  ipcMain.handle('get-bands', async (event, region) => {
+    return getBandsForRegion(region);
+  });
+
   // 通知設定の読み込み
   ipcMain.handle('load-notification-settings', async () => {
     await loadNotificationSettings();
@@ -629,6 +1504,131 @@ function setupIpcHandlers() {
     return null;
   });
 
+  // ハンターログ（ADIF/CSV）をインポート
+  ipcMain.handle('import-hunter-log', async () => {
+    const result = await dialog.showOpenDialog({
+      title: 'ハンターログを選択',
+      filters: [
+        { name: 'ADIF / CSV', extensions: ['adi', 'adif', 'csv'] },
+        { name: 'すべてのファイル', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
+
+    try {
+      const imported = await importHunterLog(result.filePaths[0], filterConfig?.iaruRegion);
+      const summary = getWorkedParksSummary(imported);
+      if (summary.parkCount === 0) {
+        return { success: false, error: 'パークのリファレンスが見つかりませんでした。' };
+      }
+      const saveResult = await saveWorkedParks(WORKED_PARKS_FILE, imported);
+      if (!saveResult.success) {
+        return saveResult;
+      }
+      // 再インポートした場合は以前のデータを置き換える
+      workedParks = imported;
+      return { success: true, summary };
+    } catch (error) {
+      console.error('ハンターログのインポートエラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // スポットの履歴を検索（記録が無効でも保存済みの履歴を検索できるよう、未読み込みの場合は読み込む）
+  ipcMain.handle('search-history', async (event, query) => {
+    if (!historyLoaded) {
+      await loadSpotHistory();
+    }
+    return searchHistory(spotHistory, query);
+  });
+
+  // スポットの履歴を集計（periodHoursを指定した場合は直近の指定時間のみ）
+  ipcMain.handle('get-statistics', async (event, periodHours) => {
+    if (!historyLoaded) {
+      await loadSpotHistory();
+    }
+    const from = periodHours > 0 ? Date.now() - periodHours * 60 * 60 * 1000 : null;
+    return computeStatistics(spotHistory, { from });
+  });
+
+  // 検索条件に一致したスポットの履歴をCSV・ADIFで書き出し
+  ipcMain.handle('export-history', async (event, query, format) => {
+    const isAdif = format === 'adif';
+    const result = await dialog.showSaveDialog({
+      title: isAdif ? 'ADIFで書き出し' : 'CSVで書き出し',
+      defaultPath: `spot-history.${isAdif ? 'adi' : 'csv'}`,
+      filters: isAdif
+        ? [{ name: 'ADIF', extensions: ['adi', 'adif'] }]
+        : [{ name: 'CSV', extensions: ['csv'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return null;
+    }
+
+    try {
+      if (!historyLoaded) {
+        await loadSpotHistory();
+      }
+      // 書き出しは件数の上限なしで古い順にする
+      const { entries } = searchHistory(spotHistory, { ...query, limit: spotHistory.length || 1 });
+      const ordered = entries.reverse();
+      await fs.writeFile(result.filePath, isAdif ? formatHistoryAdif(ordered) : formatHistoryCsv(ordered), 'utf-8');
+      return { success: true, filePath: result.filePath, count: ordered.length };
+    } catch (error) {
+      console.error('履歴の書き出しエラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 保存前のWebhookの設定でテストのスポットを送信
+  ipcMain.handle('test-webhook', async (event, webhook) => {
+    const validationError = validateWebhookSettings(webhook);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+    if (!webhook.urls?.length) {
+      return { success: false, error: 'WebhookのURLを指定してください' };
+    }
+    const results = await sendWebhookNotification(TEST_SPOT, ['テスト'], webhook, 'test');
+    return { success: results.every(result => result.success), results };
+  });
+
+  // 保存前のDiscord・Slackの設定でテストのスポットを送信
+  ipcMain.handle('test-chat-alert', async (event, service, chatAlerts) => {
+    if (!CHAT_SERVICES.includes(service)) {
+      return { success: false, error: `不明なサービスです: ${service}` };
+    }
+    const url = chatAlerts?.[service]?.url;
+    const validationError = validateChatAlertSettings({
+      [service]: { enabled: true, url },
+      timeoutSeconds: chatAlerts?.timeoutSeconds,
+      maxRetries: chatAlerts?.maxRetries
+    });
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+    const results = await sendChatNotification({ service, url, spots: [{ spot: TEST_SPOT, ruleNames: ['テスト'] }] }, chatAlerts, 'test');
+    return { success: results.every(result => result.success), results };
+  });
+
+  // Webhook・Discord・Slackの送信履歴を取得
+  ipcMain.handle('get-webhook-log', async () => {
+    return webhookLog;
+  });
+
+  // クールダウンで抑制した通知の累計を取得
+  ipcMain.handle('get-suppressed-alert-count', async () => {
+    return suppressedAlertCount;
+  });
+
+  // インポート済みハンターログの概要を取得
+  ipcMain.handle('get-hunter-log-summary', async () => {
+    return getWorkedParksSummary(workedParks);
+  });
+
   // 通知音のテスト再生
   ipcMain.handle('test-notification-sound', async (event, soundPath) => {
     const targetPath = soundPath || filterConfig?.notificationSoundPath;
@@ -738,6 +1738,18 @@ function createMenu() {
             createVoicevoxSettingsWindow();
           }
         },
+        {
+          label: 'スポットの履歴',
+          click: () => {
+            createHistoryWindow();
+          }
+        },
+        {
+          label: 'スポットの統計',
+          click: () => {
+            createStatisticsWindow();
+          }
+        },
         { type: 'separator' },
         {
           label: '終了',
@@ -861,11 +1873,25 @@ app.whenReady().then(async () => {
   // 通知設定を読み込む
   await loadNotificationSettings();
 
+  // インポート済みの交信済みパークを読み込む
+  workedParks = await loadWorkedParks(WORKED_PARKS_FILE);
+
+  // パーク情報のキャッシュを読み込む
+  parkCache = await loadParkCache(PARK_CACHE_FILE);
+
+  // 前回までに処理したスポットを読み込む（保存期間を過ぎたものは除く）
+  knownActivations = await loadSeenSpots(SEEN_SPOTS_FILE, filterConfig.startupPolicy);
+
+  // スポットの履歴を読み込む（保存期間・最大件数を超えたものは削除。記録が無効の場合はファイルを読み書きしない）
+  if (filterConfig.history?.enabled) {
+    await loadSpotHistory();
+  }
+
   // メインウィンドウを作成
   createMainWindow();
 
-  // API監視を設定（メインウィンドウ作成後）
-  setupApiMonitoring();
+  // スポットの定期取得を開始
+  startSpotPolling();
 
   // IPCハンドラーを設定
   setupIpcHandlers();
@@ -0,0 +1,118 @@
+/**
+ * モードファミリーの定義
+ * スポットのモード（CW, SSB, FT8など）をCW / PHONE / DATAのファミリーに分類する
+ */
+
+/**
+ * モードファミリー一覧
+ */
+const MODE_FAMILIES = ['CW', 'PHONE', 'DATA'];
+
+/**
+ * モードとファミリーの対応
+ * @typedef {Object} ModeFamilyMapping
+ * @property {string} mode - モード名（大文字小文字は区別しない）
+ * @property {string} family - モードファミリー（'CW' | 'PHONE' | 'DATA'）
+ */
+
+/**
+ * モードファミリーの設定
+ * @typedef {Object} ModeFamilySettings
+ * @property {ModeFamilyMapping[]} mappings - モードとファミリーの対応表
+ * @property {string} unknownFamily - 対応表にないモードのファミリー（空文字の場合はどのファミリーにも属さない）
+ */
+
+/**
+ * デフォルトのモードとファミリーの対応表
+ * @type {ModeFamilyMapping[]}
+ */
+const DEFAULT_MODE_FAMILY_MAPPINGS = [
+  { mode: 'CW', family: 'CW' },
+  { mode: 'SSB', family: 'PHONE' },
+  { mode: 'USB', family: 'PHONE' },
+  { mode: 'LSB', family: 'PHONE' },
+  { mode: 'AM', family: 'PHONE' },
+  { mode: 'FM', family: 'PHONE' },
+  { mode: 'DV', family: 'PHONE' },
+  { mode: 'DSTAR', family: 'PHONE' },
+  { mode: 'C4FM', family: 'PHONE' },
+  { mode: 'DMR', family: 'PHONE' },
+  { mode: 'FT8', family: 'DATA' },
+  { mode: 'FT4', family: 'DATA' },
+  { mode: 'JT65', family: 'DATA' },
+  { mode: 'JT9', family: 'DATA' },
+  { mode: 'JS8', family: 'DATA' },
+  { mode: 'RTTY', family: 'DATA' },
+  { mode: 'PSK31', family: 'DATA' },
+  { mode: 'PSK', family: 'DATA' },
+  { mode: 'OLIVIA', family: 'DATA' },
+  { mode: 'MFSK', family: 'DATA' },
+  { mode: 'DATA', family: 'DATA' }
+];
+
+/**
+ * デフォルトのモードファミリーの設定を作成
+ * 新しいデジタルモードが増えても分類できるよう、対応表にないモードはDATAとして扱う
+ * @returns {ModeFamilySettings}
+ */
+function createDefaultModeFamilies() {
+  return {
+    mappings: DEFAULT_MODE_FAMILY_MAPPINGS.map(mapping => ({ ...mapping })),
+    unknownFamily: 'DATA'
+  };
+}
+
+/**
+ * モードのファミリーを取得
+ * @param {string} mode - モード名
+ * @param {ModeFamilySettings} [modeFamilies] - モードファミリーの設定（未指定の場合はデフォルト）
+ * @returns {string} モードファミリー（モードが空、または対応表になく未登録モードのファミリーも空の場合は空文字）
+ */
+function getModeFamily(mode, modeFamilies) {
+  const normalizedMode = String(mode || '').trim().toUpperCase();
+  if (!normalizedMode) {
+    return '';
+  }
+  const settings = modeFamilies || createDefaultModeFamilies();
+  const mapping = (settings.mappings || []).find(m => String(m.mode || '').trim().toUpperCase() === normalizedMode);
+  if (mapping) {
+    return mapping.family;
+  }
+  return settings.unknownFamily || '';
+}
+
+/**
+ * モードファミリーの設定を検証
+ * @param {ModeFamilySettings} modeFamilies - モードファミリーの設定
+ * @returns {Array<{modeFamilyIndex?: number, message: string}>} 検証エラー（modeFamilyIndexがない場合は未登録モードの設定のエラー）
+ */
+function validateModeFamilies(modeFamilies) {
+  const errors = [];
+  if (!modeFamilies) {
+    return errors;
+  }
+  if (modeFamilies.unknownFamily && !MODE_FAMILIES.includes(modeFamilies.unknownFamily)) {
+    errors.push({ message: `不正なモードファミリーです: ${modeFamilies.unknownFamily}` });
+  }
+  const seenModes = new Set();
+  (modeFamilies.mappings || []).forEach((mapping, index) => {
+    const mode = String(mapping.mode || '').trim().toUpperCase();
+    if (!mode) {
+      errors.push({ modeFamilyIndex: index, message: 'モード名を入力してください' });
+    } else if (seenModes.has(mode)) {
+      errors.push({ modeFamilyIndex: index, message: `モードが重複しています: ${mode}` });
+    } else if (!MODE_FAMILIES.includes(mapping.family)) {
+      errors.push({ modeFamilyIndex: index, message: `不正なモードファミリーです: ${mapping.family}` });
+    }
+    seenModes.add(mode);
+  });
+  return errors;
+}
+
+module.exports = {
+  MODE_FAMILIES,
+  DEFAULT_MODE_FAMILY_MAPPINGS,
+  createDefaultModeFamilies,
+  getModeFamily,
+  validateModeFamilies
+};
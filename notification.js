@@ -23,12 +23,44 @@ window.addEventListener('DOMContentLoaded', () => {
  * スポットデータを表示
  */
 function displaySpot(spot) {
+  document.getElementById('card-title').textContent = `新しい${spot.source || 'POTA'}スポット`;
   document.getElementById('reference').textContent = spot.reference || 'N/A';
   document.getElementById('activator').textContent = spot.activator || 'N/A';
   document.getElementById('park').textContent = spot.parkName || spot.name || 'Unknown';
   document.getElementById('frequency').textContent = spot.frequency || 'N/A';
   document.getElementById('mode').textContent = spot.mode || 'N/A';
   
+  if (spot.qsyText) {
+    document.getElementById('qsy').textContent = `${spot.previousFrequency || '?'} ${spot.previousMode || ''} → ${spot.frequency || '?'} ${spot.mode || ''}`;
+    document.getElementById('qsy-container').style.display = 'flex';
+  } else {
+    document.getElementById('qsy-container').style.display = 'none';
+  }
+  
+  if (spot.distance !== undefined) {
+    document.getElementById('distance').textContent = `${Math.round(spot.distance)} km / ${spot.bearing}°`;
+    document.getElementById('distance-container').style.display = 'flex';
+  } else {
+    document.getElementById('distance-container').style.display = 'none';
+  }
+  
+  if (spot.parkType || spot.parkActivations !== undefined) {
+    const activations = spot.parkActivations !== undefined
+      ? (spot.firstActivation ? '初アクティベーション' : `${spot.parkActivations}回`)
+      : '';
+    document.getElementById('park-info').textContent = [spot.parkType, activations].filter(Boolean).join(' / ');
+    document.getElementById('park-info-container').style.display = 'flex';
+  } else {
+    document.getElementById('park-info-container').style.display = 'none';
+  }
+  
+  if (spot.watchlistNote) {
+    document.getElementById('watchlist-note').textContent = spot.watchlistNote;
+    document.getElementById('watchlist-note-container').style.display = 'flex';
+  } else {
+    document.getElementById('watchlist-note-container').style.display = 'none';
+  }
+  
   if (spot.comments) {
     document.getElementById('comments').textContent = spot.comments;
     document.getElementById('comments-container').style.display = 'block';
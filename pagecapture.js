@@ -0,0 +1,73 @@
+/**
+ * ページの通信からのスポットの取得
+ * pota.appのページ自身が行う /v1/spots へのリクエストのレスポンスをDevToolsプロトコル経由で受け取る
+ */
+
+/**
+ * スポット一覧のAPIのURLか
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isSpotsUrl(url) {
+  try {
+    return /^\/v1\/spots\/?$/.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * webContentsの /v1/spots のレスポンスの受信を開始
+ * ページの遷移・再読み込み後も同じwebContentsである限り受信を続ける
+ * @param {Electron.WebContents} webContents - 監視するwebContents
+ * @param {function(*): (void|Promise<void>)} onSpotsResponse - レスポンスボディ（JSONを解析した値）を受け取るコールバック（処理の完了を待ち、エラーはログに出力する）
+ * @returns {boolean} 受信を開始できたかどうか
+ */
+function attachSpotCapture(webContents, onSpotsResponse) {
+  const debuggerClient = webContents.debugger;
+  try {
+    debuggerClient.attach('1.3');
+  } catch (error) {
+    console.error('ページの通信の監視を開始できません:', error.message);
+    return false;
+  }
+
+  // レスポンスヘッダーを受信したリクエストのうち、ボディの受信完了を待っているもの
+  const pendingRequestIds = new Set();
+
+  debuggerClient.on('message', async (event, method, params) => {
+    if (method === 'Network.responseReceived') {
+      if (isSpotsUrl(params.response.url) && params.response.status === 200) {
+        pendingRequestIds.add(params.requestId);
+      }
+    } else if (method === 'Network.loadingFailed') {
+      pendingRequestIds.delete(params.requestId);
+    } else if (method === 'Network.loadingFinished' && pendingRequestIds.has(params.requestId)) {
+      pendingRequestIds.delete(params.requestId);
+      try {
+        const { body, base64Encoded } = await debuggerClient.sendCommand('Network.getResponseBody', {
+          requestId: params.requestId
+        });
+        const text = base64Encoded ? Buffer.from(body, 'base64').toString('utf-8') : body;
+        await onSpotsResponse(JSON.parse(text));
+      } catch (error) {
+        console.error('ページのスポットの読み込みエラー:', error.message);
+      }
+    }
+  });
+
+  debuggerClient.on('detach', (event, reason) => {
+    console.log('ページの通信の監視が終了しました:', reason);
+  });
+
+  debuggerClient.sendCommand('Network.enable').catch(error => {
+    console.error('ページの通信の監視を開始できません:', error.message);
+  });
+
+  return true;
+}
+
+module.exports = {
+  isSpotsUrl,
+  attachSpotCapture
+};
@@ -0,0 +1,296 @@
+/**
+ * パーク情報の取得
+ * POTAのパークAPIからパークの詳細（種別・エンティティ・アクティベーション回数など）を取得し、ディスクにキャッシュする
+ */
+
+const fs = require('fs').promises;
+const { fetchJson, isValidHttpUrl } = require('./httpclient');
+
+/**
+ * デフォルトのパークAPIのベースURL
+ */
+const DEFAULT_PARK_API_BASE_URL = 'https://api.pota.app';
+
+/**
+ * 取得に失敗したパークを再取得するまでの間隔（ミリ秒）
+ * APIが停止しているときに同じパークを繰り返し問い合わせないようにする
+ */
+const RETRY_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * 一度に問い合わせるパークの数
+ */
+const FETCH_CONCURRENCY = 4;
+
+/**
+ * パークAPIのタイムアウト（ミリ秒）
+ */
+const FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * 有効期限が切れてからキャッシュから削除するまでの期間（ミリ秒）
+ */
+const CACHE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * パーク情報の取得設定
+ * @typedef {Object} ParkEnrichment
+ * @property {boolean} enabled - パーク情報を取得する
+ * @property {string} apiBaseUrl - パークAPIのベースURL（ローカルの代替サーバーを指定可能）
+ * @property {number} cacheHours - キャッシュの有効期間（時間）
+ */
+
+/**
+ * パークの詳細
+ * @typedef {Object} ParkDetails
+ * @property {string} reference - パーク番号
+ * @property {string} name - パーク名
+ * @property {string} parkType - パークの種別（例: National Park）
+ * @property {string} entity - エンティティ（例: Japan）
+ * @property {string} locationDesc - 所在地（例: JP-13）
+ * @property {number|null} activations - アクティベーション成功回数（不明な場合はnull）
+ * @property {number|null} attempts - アクティベーション試行回数（不明な場合はnull）
+ * @property {string} firstActivator - 最初のアクティベーター
+ * @property {string} firstActivationDate - 最初のアクティベーションの日付
+ */
+
+/**
+ * パーク情報のキャッシュエントリ
+ * @typedef {Object} ParkCacheEntry
+ * @property {number} fetchedAt - 取得した時刻（ミリ秒）
+ * @property {ParkDetails|null} details - パークの詳細（取得に失敗した場合はnull）
+ * @property {number} [failedAt] - 最後に取得に失敗した時刻（ミリ秒）
+ */
+
+/**
+ * デフォルトのパーク情報の取得設定を作成
+ * @returns {ParkEnrichment}
+ */
+function createDefaultParkEnrichment() {
+  return {
+    enabled: false,
+    apiBaseUrl: DEFAULT_PARK_API_BASE_URL,
+    cacheHours: 24
+  };
+}
+
+/**
+ * パーク情報の取得設定を検証
+ * @param {ParkEnrichment} parkEnrichment - パーク情報の取得設定
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateParkEnrichment(parkEnrichment) {
+  if (!parkEnrichment) {
+    return null;
+  }
+  if (parkEnrichment.apiBaseUrl && !isValidHttpUrl(parkEnrichment.apiBaseUrl)) {
+    return `パークAPIのURLが不正です: ${parkEnrichment.apiBaseUrl}`;
+  }
+  if (typeof parkEnrichment.cacheHours !== 'number' || isNaN(parkEnrichment.cacheHours) || parkEnrichment.cacheHours < 0) {
+    return 'キャッシュの有効期間には0以上の数値（時間）を指定してください';
+  }
+  return null;
+}
+
+/**
+ * 数値に変換（変換できない場合はnull）
+ */
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * パークAPIのレスポンスからパークの詳細を作成
+ * @param {string} reference - パーク番号
+ * @param {Object|null} park - /park/{reference}のレスポンス
+ * @param {Object|null} stats - /park/stats/{reference}のレスポンス
+ * @returns {ParkDetails}
+ */
+function createParkDetails(reference, park, stats) {
+  return {
+    reference,
+    name: park?.name || '',
+    parkType: park?.parktypeDesc || '',
+    entity: park?.entityName || '',
+    locationDesc: park?.locationDesc || '',
+    activations: toNumberOrNull(stats?.activations),
+    attempts: toNumberOrNull(stats?.attempts),
+    firstActivator: park?.firstActivator || '',
+    firstActivationDate: park?.firstActivationDate || ''
+  };
+}
+
+/**
+ * パークAPIからパークの詳細を取得
+ * @param {string} reference - パーク番号
+ * @param {Object} [options]
+ * @param {string} [options.apiBaseUrl] - パークAPIのベースURL
+ * @param {number} [options.timeoutMs] - タイムアウト（ミリ秒）
+ * @returns {Promise<ParkDetails>}
+ */
+async function fetchParkDetails(reference, options = {}) {
+  const baseUrl = (options.apiBaseUrl || DEFAULT_PARK_API_BASE_URL).replace(/\/+$/, '');
+  const encodedReference = encodeURIComponent(reference);
+  const [parkResponse, statsResponse] = await Promise.all([
+    fetchJson(`${baseUrl}/park/${encodedReference}`, { timeoutMs: options.timeoutMs }),
+    fetchJson(`${baseUrl}/park/stats/${encodedReference}`, { timeoutMs: options.timeoutMs })
+  ]);
+  if (parkResponse.status !== 200 || !parkResponse.body || typeof parkResponse.body !== 'object') {
+    throw new Error(`HTTP ${parkResponse.status}`);
+  }
+  // 統計が取得できない場合もパークの詳細は使用する
+  const stats = statsResponse.status === 200 && typeof statsResponse.body === 'object' ? statsResponse.body : null;
+  return createParkDetails(reference, parkResponse.body, stats);
+}
+
+/**
+ * パーク番号を正規化
+ */
+function normalizeReference(reference) {
+  return String(reference || '').trim().toUpperCase();
+}
+
+/**
+ * キャッシュからパークの詳細を取得（期限切れでも返す）
+ * @param {string} reference - パーク番号
+ * @param {Object<string, ParkCacheEntry>} parkCache - パーク情報のキャッシュ
+ * @returns {ParkDetails|null}
+ */
+function getCachedParkDetails(reference, parkCache) {
+  return parkCache?.[normalizeReference(reference)]?.details || null;
+}
+
+/**
+ * パークの詳細を再取得する必要があるか
+ * @param {ParkCacheEntry|undefined} entry - キャッシュエントリ
+ * @param {number} cacheHours - キャッシュの有効期間（時間）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {boolean}
+ */
+function needsRefresh(entry, cacheHours, now) {
+  if (!entry) {
+    return true;
+  }
+  if (entry.failedAt && now - entry.failedAt < RETRY_INTERVAL_MS) {
+    return false;
+  }
+  if (!entry.details) {
+    return true;
+  }
+  return now - entry.fetchedAt >= cacheHours * 60 * 60 * 1000;
+}
+
+/**
+ * 複数のパークの詳細をキャッシュに取得（有効なキャッシュがあるパークは問い合わせない）
+ * 取得に失敗した場合は期限切れのキャッシュを残し、一定時間後に再取得する
+ * @param {string[]} references - パーク番号の配列
+ * @param {Object<string, ParkCacheEntry>} parkCache - パーク情報のキャッシュ（取得結果で更新される）
+ * @param {ParkEnrichment} parkEnrichment - パーク情報の取得設定
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {Promise<boolean>} キャッシュが更新されたかどうか
+ */
+async function refreshParkCache(references, parkCache, parkEnrichment, now = Date.now()) {
+  const cacheHours = parkEnrichment?.cacheHours ?? 24;
+  const targets = [...new Set(references.map(normalizeReference).filter(Boolean))]
+    .filter(reference => needsRefresh(parkCache[reference], cacheHours, now));
+  if (targets.length === 0) {
+    return false;
+  }
+
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < targets.length) {
+      const reference = targets[nextIndex++];
+      try {
+        const details = await fetchParkDetails(reference, {
+          apiBaseUrl: parkEnrichment?.apiBaseUrl,
+          timeoutMs: FETCH_TIMEOUT_MS
+        });
+        parkCache[reference] = { fetchedAt: now, details };
+      } catch (error) {
+        console.error(`パーク情報の取得エラー (${reference}):`, error.message);
+        parkCache[reference] = { ...(parkCache[reference] || { fetchedAt: now, details: null }), failedAt: now };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, targets.length) }, worker));
+  return true;
+}
+
+/**
+ * スポットにパークの詳細を付加
+ * parkType・entity・parkActivations・firstActivation（アクティベーション成功回数が0のパーク）を追加する
+ * パークの詳細がない場合は元のスポットをそのまま返す
+ * @param {Object} spot - スポットデータ
+ * @param {ParkDetails|null} details - パークの詳細
+ * @returns {Object} パークの詳細を付加したスポットデータ
+ */
+function enrichSpotWithPark(spot, details) {
+  if (!details) {
+    return spot;
+  }
+  const enriched = {
+    ...spot,
+    parkType: details.parkType,
+    entity: details.entity
+  };
+  if (details.activations !== null) {
+    enriched.parkActivations = details.activations;
+    enriched.firstActivation = details.activations === 0;
+  }
+  return enriched;
+}
+
+/**
+ * パーク情報のキャッシュを読み込み
+ * @param {string} parkCacheFilePath - キャッシュファイルのパス
+ * @returns {Promise<Object<string, ParkCacheEntry>>} ファイルがない場合は空のキャッシュ
+ */
+async function loadParkCache(parkCacheFilePath) {
+  try {
+    const data = await fs.readFile(parkCacheFilePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('パーク情報のキャッシュの読み込みエラー:', error);
+    }
+    return {};
+  }
+}
+
+/**
+ * パーク情報のキャッシュを保存（長期間更新されていないエントリは削除する）
+ * @param {string} parkCacheFilePath - 保存先ファイルのパス
+ * @param {Object<string, ParkCacheEntry>} parkCache - パーク情報のキャッシュ
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ */
+async function saveParkCache(parkCacheFilePath, parkCache, now = Date.now()) {
+  for (const [reference, entry] of Object.entries(parkCache)) {
+    if (now - entry.fetchedAt > CACHE_RETENTION_MS) {
+      delete parkCache[reference];
+    }
+  }
+  try {
+    await fs.writeFile(parkCacheFilePath, JSON.stringify(parkCache), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    console.error('パーク情報のキャッシュの保存エラー:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_PARK_API_BASE_URL,
+  createDefaultParkEnrichment,
+  validateParkEnrichment,
+  fetchParkDetails,
+  getCachedParkDetails,
+  refreshParkCache,
+  enrichSpotWithPark,
+  loadParkCache,
+  saveParkCache
+};
@@ -9,9 +9,37 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // 設定の読み込み
   loadConfig: () => ipcRenderer.invoke('load-config'),
+
+  // デフォルトの設定を取得
+  getDefaultConfig: () => ipcRenderer.invoke('get-default-config'),
   
   // 設定の保存
   saveConfig: (config) => ipcRenderer.invoke('save-config', config),
+
+  // フィルタ設定の検証
+  validateFilterConfig: (config) => ipcRenderer.invoke('validate-filter-config', config),
+
+  // フィールドごとの使用できる条件タイプを取得
+  getConditionTypes: () => ipcRenderer.invoke('get-condition-types'),
+
+  // 指定リージョンのバンド一覧取得
+  getBands: (region) => ipcRenderer.invoke('get-bands', region),
+
+  // スポットの取得状況を取得
+  getSpotClientStatus: () => ipcRenderer.invoke('get-spot-client-status'),
+
+  // プログラム・地域区分の一覧を取得
+  getRegions: () => ipcRenderer.invoke('get-regions'),
+
+  // デフォルトのモードファミリーの対応表を取得
+  getDefaultModeFamilies: () => ipcRenderer.invoke('get-default-mode-families'),
+  clearParkCache: () => ipcRenderer.invoke('clear-park-cache'),
+
+  // 保存前のフィルタ設定をスポットに適用してプレビュー
+  previewFilter: (config) => ipcRenderer.invoke('preview-filter', config),
+
+  // 保存前のフィルタ設定でスポットの履歴（sourceが'file'の場合は選択したファイル）を再生
+  runBacktest: (config, source) => ipcRenderer.invoke('run-backtest', config, source),
   
   // 通知設定の読み込み
   loadNotificationSettings: () => ipcRenderer.invoke('load-notification-settings'),
@@ -33,6 +61,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 通知音のテスト再生
   testNotificationSound: (soundPath) => ipcRenderer.invoke('test-notification-sound', soundPath),
 
+  // ハンターログ（ADIF/CSV）をインポート
+  importHunterLog: () => ipcRenderer.invoke('import-hunter-log'),
+
+  // インポート済みハンターログの概要を取得
+  getHunterLogSummary: () => ipcRenderer.invoke('get-hunter-log-summary'),
+
+  // スポットの履歴を検索
+  searchHistory: (query) => ipcRenderer.invoke('search-history', query),
+
+  // スポットの履歴を集計
+  getStatistics: (periodHours) => ipcRenderer.invoke('get-statistics', periodHours),
+
+  // スポットの履歴をCSV・ADIFで書き出し
+  exportHistory: (query, format) => ipcRenderer.invoke('export-history', query, format),
+
+  // 保存前のWebhookの設定でテスト送信
+  testWebhook: (webhook) => ipcRenderer.invoke('test-webhook', webhook),
+
+  // 保存前のDiscord・Slackの設定で共通の送信先にテスト送信
+  testChatAlert: (service, chatAlerts) => ipcRenderer.invoke('test-chat-alert', service, chatAlerts),
+
+  // Webhook・Discord・Slackの送信履歴を取得
+  getWebhookLog: () => ipcRenderer.invoke('get-webhook-log'),
+
+  // クールダウンで抑制した通知の累計を取得
+  getSuppressedAlertCount: () => ipcRenderer.invoke('get-suppressed-alert-count'),
+
   // VOICEVOX設定の読み込み
   loadVoicevoxSettings: () => ipcRenderer.invoke('load-voicevox-settings'),
 
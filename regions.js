@@ -0,0 +1,231 @@
+/**
+ * 地域の定義
+ * POTAのプログラム（エンティティ）と地域区分（州・都道府県など）の一覧、referenceとlocationDescの解析
+ */
+
+/**
+ * POTAのプログラム
+ * @typedef {Object} PotaProgram
+ * @property {string} prefix - referenceのプレフィックス（例: JP）
+ * @property {string} entity - エンティティ名
+ */
+
+/**
+ * 地域区分
+ * @typedef {Object} Subdivision
+ * @property {string} code - locationDescのコード（例: JP-13, US-CA）
+ * @property {string} name - 地域名
+ */
+
+/**
+ * 同梱するPOTAのプログラム一覧
+ * @type {PotaProgram[]}
+ */
+const POTA_PROGRAMS = [
+  { prefix: 'US', entity: 'United States' },
+  { prefix: 'CA', entity: 'Canada' },
+  { prefix: 'MX', entity: 'Mexico' },
+  { prefix: 'JP', entity: 'Japan' },
+  { prefix: 'KR', entity: 'Republic of Korea' },
+  { prefix: 'TW', entity: 'Taiwan' },
+  { prefix: 'PH', entity: 'Philippines' },
+  { prefix: 'TH', entity: 'Thailand' },
+  { prefix: 'MY', entity: 'Malaysia' },
+  { prefix: 'ID', entity: 'Indonesia' },
+  { prefix: 'IN', entity: 'India' },
+  { prefix: 'AU', entity: 'Australia' },
+  { prefix: 'NZ', entity: 'New Zealand' },
+  { prefix: 'GB', entity: 'United Kingdom' },
+  { prefix: 'IE', entity: 'Ireland' },
+  { prefix: 'DE', entity: 'Germany' },
+  { prefix: 'FR', entity: 'France' },
+  { prefix: 'IT', entity: 'Italy' },
+  { prefix: 'ES', entity: 'Spain' },
+  { prefix: 'PT', entity: 'Portugal' },
+  { prefix: 'NL', entity: 'Netherlands' },
+  { prefix: 'BE', entity: 'Belgium' },
+  { prefix: 'CH', entity: 'Switzerland' },
+  { prefix: 'AT', entity: 'Austria' },
+  { prefix: 'PL', entity: 'Poland' },
+  { prefix: 'CZ', entity: 'Czech Republic' },
+  { prefix: 'SK', entity: 'Slovakia' },
+  { prefix: 'HU', entity: 'Hungary' },
+  { prefix: 'SE', entity: 'Sweden' },
+  { prefix: 'NO', entity: 'Norway' },
+  { prefix: 'FI', entity: 'Finland' },
+  { prefix: 'DK', entity: 'Denmark' },
+  { prefix: 'BR', entity: 'Brazil' },
+  { prefix: 'AR', entity: 'Argentina' },
+  { prefix: 'CL', entity: 'Chile' },
+  { prefix: 'ZA', entity: 'South Africa' }
+];
+
+/**
+ * 旧形式のreferenceのプレフィックス（コールサインのプレフィックス）と現在のプレフィックスの対応
+ * 例: K-0001 は US のプログラムとして扱う
+ */
+const LEGACY_PROGRAM_PREFIXES = {
+  K: 'US',
+  VE: 'CA',
+  XE: 'MX',
+  JA: 'JP',
+  HL: 'KR',
+  BV: 'TW',
+  DU: 'PH',
+  HS: 'TH',
+  '9M': 'MY',
+  YB: 'ID',
+  VU: 'IN',
+  VK: 'AU',
+  ZL: 'NZ',
+  EI: 'IE',
+  DL: 'DE',
+  F: 'FR',
+  I: 'IT',
+  EA: 'ES',
+  CT: 'PT',
+  PA: 'NL',
+  ON: 'BE',
+  HB: 'CH',
+  OE: 'AT',
+  SP: 'PL',
+  OK: 'CZ',
+  OM: 'SK',
+  HA: 'HU',
+  SM: 'SE',
+  LA: 'NO',
+  OH: 'FI',
+  OZ: 'DK',
+  PY: 'BR',
+  LU: 'AR',
+  CE: 'CL',
+  ZS: 'ZA'
+};
+
+/**
+ * 同梱する地域区分の一覧（アメリカ・カナダ・日本・オーストラリア）
+ * @type {Subdivision[]}
+ */
+const SUBDIVISIONS = [
+  ...[
+    ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['AR', 'Arkansas'], ['CA', 'California'],
+    ['CO', 'Colorado'], ['CT', 'Connecticut'], ['DE', 'Delaware'], ['DC', 'District of Columbia'], ['FL', 'Florida'],
+    ['GA', 'Georgia'], ['HI', 'Hawaii'], ['ID', 'Idaho'], ['IL', 'Illinois'], ['IN', 'Indiana'],
+    ['IA', 'Iowa'], ['KS', 'Kansas'], ['KY', 'Kentucky'], ['LA', 'Louisiana'], ['ME', 'Maine'],
+    ['MD', 'Maryland'], ['MA', 'Massachusetts'], ['MI', 'Michigan'], ['MN', 'Minnesota'], ['MS', 'Mississippi'],
+    ['MO', 'Missouri'], ['MT', 'Montana'], ['NE', 'Nebraska'], ['NV', 'Nevada'], ['NH', 'New Hampshire'],
+    ['NJ', 'New Jersey'], ['NM', 'New Mexico'], ['NY', 'New York'], ['NC', 'North Carolina'], ['ND', 'North Dakota'],
+    ['OH', 'Ohio'], ['OK', 'Oklahoma'], ['OR', 'Oregon'], ['PA', 'Pennsylvania'], ['RI', 'Rhode Island'],
+    ['SC', 'South Carolina'], ['SD', 'South Dakota'], ['TN', 'Tennessee'], ['TX', 'Texas'], ['UT', 'Utah'],
+    ['VT', 'Vermont'], ['VA', 'Virginia'], ['WA', 'Washington'], ['WV', 'West Virginia'], ['WI', 'Wisconsin'],
+    ['WY', 'Wyoming']
+  ].map(([code, name]) => ({ code: `US-${code}`, name })),
+  ...[
+    ['AB', 'Alberta'], ['BC', 'British Columbia'], ['MB', 'Manitoba'], ['NB', 'New Brunswick'],
+    ['NL', 'Newfoundland and Labrador'], ['NS', 'Nova Scotia'], ['NT', 'Northwest Territories'], ['NU', 'Nunavut'],
+    ['ON', 'Ontario'], ['PE', 'Prince Edward Island'], ['QC', 'Quebec'], ['SK', 'Saskatchewan'], ['YT', 'Yukon']
+  ].map(([code, name]) => ({ code: `CA-${code}`, name })),
+  ...[
+    '北海道', '青森県', '岩手県', '宮城県', '秋田県', '山形県', '福島県', '茨城県', '栃木県', '群馬県',
+    '埼玉県', '千葉県', '東京都', '神奈川県', '新潟県', '富山県', '石川県', '福井県', '山梨県', '長野県',
+    '岐阜県', '静岡県', '愛知県', '三重県', '滋賀県', '京都府', '大阪府', '兵庫県', '奈良県', '和歌山県',
+    '鳥取県', '島根県', '岡山県', '広島県', '山口県', '徳島県', '香川県', '愛媛県', '高知県', '福岡県',
+    '佐賀県', '長崎県', '熊本県', '大分県', '宮崎県', '鹿児島県', '沖縄県'
+  ].map((name, index) => ({ code: `JP-${String(index + 1).padStart(2, '0')}`, name })),
+  ...[
+    ['ACT', 'Australian Capital Territory'], ['NSW', 'New South Wales'], ['NT', 'Northern Territory'],
+    ['QLD', 'Queensland'], ['SA', 'South Australia'], ['TAS', 'Tasmania'], ['VIC', 'Victoria'], ['WA', 'Western Australia']
+  ].map(([code, name]) => ({ code: `AU-${code}`, name }))
+];
+
+/**
+ * プログラムのプレフィックスを正規化（旧形式のプレフィックスは現在のプレフィックスに変換）
+ * @param {string} prefix - プレフィックス
+ * @returns {string}
+ */
+function normalizeProgramPrefix(prefix) {
+  const normalized = String(prefix || '').trim().toUpperCase();
+  return LEGACY_PROGRAM_PREFIXES[normalized] || normalized;
+}
+
+/**
+ * referenceからプログラムのプレフィックスを取得（例: JP-1234 → JP、K-0001 → US）
+ * @param {string} reference - パーク番号
+ * @returns {string} プレフィックス（referenceの形式が不正な場合は空文字）
+ */
+function getProgramFromReference(reference) {
+  const match = String(reference || '').trim().match(/^([A-Z0-9]+)-[A-Z0-9]+$/i);
+  return match ? normalizeProgramPrefix(match[1]) : '';
+}
+
+/**
+ * locationDescを地域区分のコードの配列に分解
+ * 複数の地域にまたがるパークはカンマ区切り（例: "US-CA,US-NV"）
+ * @param {string} locationDesc - 所在地
+ * @returns {string[]} 大文字に正規化したコードの配列
+ */
+function parseLocationDesc(locationDesc) {
+  return String(locationDesc || '')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(code => /^[A-Z0-9]+-[A-Z0-9]+$/.test(code));
+}
+
+/**
+ * プログラムのプレフィックスとして有効な文字列か
+ * @param {string} prefix - プレフィックス
+ * @returns {boolean}
+ */
+function isValidProgramPrefix(prefix) {
+  return /^[A-Z0-9]{1,4}$/i.test(String(prefix || '').trim());
+}
+
+/**
+ * 地域区分のコードとして有効な文字列か
+ * @param {string} code - コード
+ * @returns {boolean}
+ */
+function isValidSubdivisionCode(code) {
+  return /^[A-Z0-9]{1,4}-[A-Z0-9]{1,4}$/i.test(String(code || '').trim());
+}
+
+/**
+ * 同梱の一覧にスポットで見つかったプログラム・地域区分を加えた一覧を作成（設定画面の選択肢に使用）
+ * @param {Object[]} [spots] - スポットデータの配列
+ * @returns {{programs: PotaProgram[], subdivisions: Subdivision[]}}
+ */
+function getRegionList(spots = []) {
+  const programs = POTA_PROGRAMS.map(program => ({ ...program }));
+  const subdivisions = SUBDIVISIONS.map(subdivision => ({ ...subdivision }));
+  const knownPrefixes = new Set(programs.map(program => program.prefix));
+  const knownCodes = new Set(subdivisions.map(subdivision => subdivision.code));
+
+  for (const spot of spots) {
+    const prefix = getProgramFromReference(spot.reference);
+    if (prefix && !knownPrefixes.has(prefix)) {
+      knownPrefixes.add(prefix);
+      programs.push({ prefix, entity: '' });
+    }
+    for (const code of parseLocationDesc(spot.locationDesc)) {
+      if (!knownCodes.has(code)) {
+        knownCodes.add(code);
+        subdivisions.push({ code, name: '' });
+      }
+    }
+  }
+
+  programs.sort((a, b) => a.prefix.localeCompare(b.prefix));
+  subdivisions.sort((a, b) => a.code.localeCompare(b.code));
+  return { programs, subdivisions };
+}
+
+module.exports = {
+  POTA_PROGRAMS,
+  SUBDIVISIONS,
+  normalizeProgramPrefix,
+  getProgramFromReference,
+  parseLocationDesc,
+  isValidProgramPrefix,
+  isValidSubdivisionCode,
+  getRegionList
+};
@@ -0,0 +1,136 @@
+/**
+ * 処理済みスポットの保存と起動時の通知
+ * アクティベーションごとの最新のスポットの状態をファイルに保存して再起動後も引き継ぎ、
+ * 起動直後に取得したスポットを通知するかどうかを判定する
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * 起動時の通知の設定
+ * - alertAll: 全て通知する
+ * - absorbFirst: 起動後最初に取得したスポットは通知しない
+ * - recentOnly: 起動後最初に取得したスポットは指定時間内に投稿されたもののみ通知する
+ * @typedef {Object} StartupPolicy
+ * @property {'alertAll'|'absorbFirst'|'recentOnly'} mode - 起動後最初に取得したスポットの扱い
+ * @property {number} recentMinutes - recentOnlyの場合に通知するスポットの投稿からの時間（分）
+ * @property {number} retentionHours - 処理済みのスポットを保存しておく時間（時間）
+ */
+
+/**
+ * 保存ファイルの形式
+ * @typedef {Object} SeenSpotsFile
+ * @property {number} savedAt - 保存した時刻（ミリ秒）
+ * @property {Array<[string, import('./activations').ActivationState]>} activations - activator + referenceごとの状態（古い順）
+ */
+
+/**
+ * デフォルトの起動時の通知の設定を作成
+ * @returns {StartupPolicy}
+ */
+function createDefaultStartupPolicy() {
+  return {
+    mode: 'recentOnly',
+    recentMinutes: 10,
+    retentionHours: 24
+  };
+}
+
+/**
+ * 保存期間（ミリ秒）を取得
+ */
+function getRetentionMs(startupPolicy) {
+  const hours = startupPolicy?.retentionHours ?? createDefaultStartupPolicy().retentionHours;
+  return Math.max(hours, 0) * 60 * 60 * 1000;
+}
+
+/**
+ * スポットの投稿時刻（spotTime）からの経過時間を取得
+ * spotTimeにタイムゾーンがない場合はUTCとして扱う
+ * @param {Object} spot - スポットデータ
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {number|null} 経過時間（ミリ秒、spotTimeがない・解析できない場合はnull）
+ */
+function getSpotAgeMs(spot, now) {
+  const spotTime = String(spot?.spotTime || '').trim();
+  if (!spotTime) {
+    return null;
+  }
+  const hasTimeZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(spotTime);
+  const time = Date.parse(hasTimeZone ? spotTime : `${spotTime}Z`);
+  return isNaN(time) ? null : now - time;
+}
+
+/**
+ * 起動後最初に取得したスポットを通知するかどうか
+ * 投稿時刻がわからないスポットはrecentOnlyの場合も通知する
+ * @param {Object} spot - スポットデータ
+ * @param {StartupPolicy} [startupPolicy] - 起動時の通知の設定
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {boolean}
+ */
+function shouldAlertOnStartup(spot, startupPolicy, now = Date.now()) {
+  const mode = startupPolicy?.mode || createDefaultStartupPolicy().mode;
+  if (mode === 'absorbFirst') {
+    return false;
+  }
+  if (mode === 'recentOnly') {
+    const ageMs = getSpotAgeMs(spot, now);
+    return ageMs === null || ageMs <= (startupPolicy?.recentMinutes ?? 0) * 60 * 1000;
+  }
+  return true;
+}
+
+/**
+ * 処理済みのスポットの状態を読み込み（保存期間を過ぎたものは除く）
+ * @param {string} seenSpotsFilePath - 保存ファイルのパス
+ * @param {StartupPolicy} [startupPolicy] - 起動時の通知の設定（保存期間を使用）
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {Promise<Map<string, import('./activations').ActivationState>>} ファイルがない場合は空のMap
+ */
+async function loadSeenSpots(seenSpotsFilePath, startupPolicy, now = Date.now()) {
+  try {
+    const data = JSON.parse(await fs.readFile(seenSpotsFilePath, 'utf-8'));
+    const retentionMs = getRetentionMs(startupPolicy);
+    const entries = Array.isArray(data?.activations) ? data.activations : [];
+    return new Map(entries.filter(([key, state]) =>
+      typeof key === 'string' && state && typeof state.updatedAt === 'number' && now - state.updatedAt < retentionMs
+    ));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('処理済みスポットの読み込みエラー:', error);
+    }
+    return new Map();
+  }
+}
+
+/**
+ * 処理済みのスポットの状態を保存（保存期間を過ぎたものは保存しない）
+ * @param {string} seenSpotsFilePath - 保存先ファイルのパス
+ * @param {Map<string, import('./activations').ActivationState>} knownActivations - activator + referenceごとの状態
+ * @param {StartupPolicy} [startupPolicy] - 起動時の通知の設定（保存期間を使用）
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ */
+async function saveSeenSpots(seenSpotsFilePath, knownActivations, startupPolicy, now = Date.now()) {
+  const retentionMs = getRetentionMs(startupPolicy);
+  /** @type {SeenSpotsFile} */
+  const data = {
+    savedAt: now,
+    activations: Array.from(knownActivations).filter(([, state]) => now - (state.updatedAt || 0) < retentionMs)
+  };
+  try {
+    await fs.writeFile(seenSpotsFilePath, JSON.stringify(data), 'utf-8');
+    return { success: true };
+  } catch (error) {
+    console.error('処理済みスポットの保存エラー:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  createDefaultStartupPolicy,
+  getSpotAgeMs,
+  shouldAlertOnStartup,
+  loadSeenSpots,
+  saveSeenSpots
+};
@@ -3,253 +3,2126 @@
  */
 
 let currentConfig = null;
-let conditionIdCounter = 0;
+let defaultConfig = null; // デフォルトの設定（空欄にした項目をデフォルトに戻すときに使用）
+let selectedRuleIndex = 0; // 編集中のアラートルールのインデックス
+let conditionErrors = {}; // 編集中ルールのノードごとの検証エラー（キー: ルートからのインデックスを「.」で連結したパス）
+let ruleErrorIndices = new Set(); // 検証エラーのあるルールのインデックス
+let watchlistErrors = {}; // ウォッチリストのエントリごとの検証エラー（キー: インデックス）
+let spotterListErrors = { allowList: {}, denyList: {} }; // spotterリストのエントリごとの検証エラー
+let homeLocationError = null; // 自局の位置の検証エラー
+let parkEnrichmentError = null; // パーク情報の取得設定の検証エラー
+let spotClientError = null; // スポットの取得設定の検証エラー
+let spotSourcesError = null; // 取得元ごとの設定の検証エラー
+let webhookError = null; // Webhookの設定の検証エラー
+let chatAlertsError = null; // Discord・Slackへの通知の設定の検証エラー
+let modeFamilyErrors = {}; // モードファミリーの対応表のエントリごとの検証エラー（キー: インデックス、未登録モードの設定は'unknown'）
+let availableBands = []; // 選択中のIARUリージョンで使用できるバンド一覧
+let conditionTypes = {}; // フィールドごとの使用できる条件タイプ
+let previewResults = []; // フィルタのプレビュー結果
+let expandedPreviewIds = new Set(); // 判定の理由を表示中のスポットID
+let previewTimer = null; // プレビュー更新の遅延実行用タイマー
+let backtestResult = null; // バックテストの結果
+
+const DEFAULT_IARU_REGION = 3;
+
+/**
+ * ルールツリーで条件に使用できるフィールドと表示名
+ */
+const RULE_FIELD_LABELS = {
+  reference: 'Reference',
+  name: 'Park名',
+  locationDesc: 'Location',
+  activator: 'Activator',
+  spotter: 'Spotter',
+  comments: 'Comments',
+  mode: 'Mode',
+  frequency: 'Frequency',
+  distance: '距離 (km)',
+  bearing: '方位 (度)',
+  parkType: 'Park種別',
+  entity: 'エンティティ',
+  parkActivations: 'アクティベーション回数',
+  firstActivation: '初アクティベーション',
+  source: '取得元'
+};
+
+/**
+ * 条件タイプの表示名
+ */
+const CONDITION_TYPE_LABELS = {
+  contains: '含まれている',
+  exact: '完全一致',
+  regex: '正規表現',
+  range: '範囲 (kHz)',
+  band: 'バンド',
+  callsign: 'コールサイン',
+  watchlist: 'ウォッチリスト',
+  family: 'モードファミリー',
+  program: 'プログラム',
+  subdivision: '地域',
+  within: '以内',
+  beyond: 'より遠い',
+  sector: '範囲 (度)',
+  lessThan: '未満',
+  atLeast: '以上',
+  flag: '該当'
+};
+
+/**
+ * フィールドで使用できる条件タイプを取得
+ */
+function getConditionTypes(field) {
+  return conditionTypes[field] || [];
+}
+
+/**
+ * モードファミリーと表示名
+ */
+const MODE_FAMILY_LABELS = {
+  CW: 'CW',
+  PHONE: 'PHONE（音声）',
+  DATA: 'DATA（デジタル）'
+};
+
+/**
+ * グループの演算子と表示名
+ */
+const GROUP_OPERATOR_LABELS = {
+  and: 'AND (全て一致)',
+  or: 'OR (いずれか一致)',
+  not: 'NOT (いずれにも一致しない)'
+};
+
+/**
+ * ページ読み込み時に設定を読み込む
+ */
+window.addEventListener('DOMContentLoaded', async () => {
+  await loadSettings();
+  await loadBands(currentConfig.iaruRegion || DEFAULT_IARU_REGION);
+  await loadConditionTypes();
+  await loadRegions();
+  renderSettings();
+  await loadHunterLogSummary();
+  await loadSuppressedAlertCount();
+  await refreshWebhookLog();
+  await runFilterPreview();
+
+  // 設定が変更されたらプレビューを更新
+  document.addEventListener('change', event => {
+    if (!event.target.closest('#filter-preview') && event.target.id !== 'preview-matched-only') {
+      schedulePreview();
+    }
+  });
+});
+
+/**
+ * プログラム・地域区分の一覧を読み込んで選択肢に設定
+ */
+async function loadRegions() {
+  let regions = { programs: [], subdivisions: [] };
+  try {
+    regions = await window.electronAPI.getRegions();
+  } catch (error) {
+    console.error('地域一覧の取得エラー:', error);
+  }
+  document.getElementById('program-list').innerHTML = regions.programs.map(program => `
+    <option value="${escapeHtml(program.prefix)}">${escapeHtml(program.entity)}</option>
+  `).join('');
+  document.getElementById('subdivision-list').innerHTML = regions.subdivisions.map(subdivision => `
+    <option value="${escapeHtml(subdivision.code)}">${escapeHtml(subdivision.name)}</option>
+  `).join('');
+}
+
+/**
+ * 指定リージョンのバンド一覧を読み込む
+ */
+async function loadBands(region) {
+  try {
+    availableBands = await window.electronAPI.getBands(region);
+  } catch (error) {
+    console.error('バンド一覧の取得エラー:', error);
+    availableBands = [];
+  }
+}
+
+/**
+ * フィールドごとの使用できる条件タイプを読み込む
+ */
+async function loadConditionTypes() {
+  try {
+    conditionTypes = await window.electronAPI.getConditionTypes();
+  } catch (error) {
+    console.error('条件タイプの取得エラー:', error);
+    conditionTypes = {};
+  }
+}
+
+/**
+ * 空のルートグループを作成
+ */
+function createEmptyRuleTree() {
+  return { type: 'group', operator: 'and', children: [] };
+}
+
+/**
+ * アラートルールを作成
+ */
+function createAlertRule(name) {
+  return {
+    id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    enabled: true,
+    ruleTree: createEmptyRuleTree(),
+    channels: {
+      notification: true,
+      popup: true,
+      sound: true,
+      soundPath: null,
+      voicevox: true,
+      webhook: false,
+      discord: false,
+      discordUrl: null,
+      slack: false,
+      slackUrl: null
+    }
+  };
+}
+
+/**
+ * 編集中のアラートルールを取得
+ */
+function currentRule() {
+  return currentConfig.alertRules[selectedRuleIndex] || null;
+}
+
+/**
+ * 設定を読み込む
+ * 既存の設定にない項目はメインプロセスでデフォルトを補完済み
+ */
+async function loadSettings() {
+  defaultConfig = await window.electronAPI.getDefaultConfig();
+  try {
+    currentConfig = await window.electronAPI.loadConfig();
+  } catch (error) {
+    console.error('設定の読み込みエラー:', error);
+    currentConfig = await window.electronAPI.getDefaultConfig();
+  }
+}
+
+/**
+ * 設定を画面に表示
+ */
+function renderSettings() {
+  // アラートルールをレンダリング
+  renderAlertRules();
+
+  // ルールの一致方法を設定
+  document.querySelectorAll('input[name="rule-match-mode"]').forEach(radio => {
+    radio.checked = radio.value === (currentConfig.ruleMatchMode || 'first');
+  });
+
+  // ウォッチリストをレンダリング
+  renderWatchlist();
+
+  // 自局の位置を設定
+  renderHomeLocation();
+
+  // モードファミリーの対応表をレンダリング
+  renderModeFamilies();
+
+  // スポットの取得設定を表示
+  renderSpotClient();
+
+  // 取得元ごとの設定を表示
+  renderSpotSources();
+
+  // Webhookの設定を表示
+  renderWebhook();
+
+  // Discord・Slackへの通知の設定を表示
+  renderChatAlerts();
+
+  // パーク情報の取得設定を表示
+  renderParkEnrichment();
+
+  // IARUリージョンを設定
+  const iaruRegionSelect = document.getElementById('iaru-region');
+  if (iaruRegionSelect) {
+    iaruRegionSelect.value = String(currentConfig.iaruRegion || DEFAULT_IARU_REGION);
+  }
+
+  // 未交信パークの設定
+  ['enabled', 'perBand', 'perMode'].forEach(property => {
+    const checkbox = document.getElementById(`needed-parks-${property}`);
+    if (checkbox) {
+      checkbox.checked = currentConfig.neededParks[property] || false;
+    }
+  });
+
+  // ignoreOtherSpottersチェックボックスを設定
+  const ignoreOtherSpottersCheckbox = document.getElementById('ignore-other-spotters');
+  if (ignoreOtherSpottersCheckbox) {
+    ignoreOtherSpottersCheckbox.checked = currentConfig.ignoreOtherSpotters || false;
+  }
+
+  // spotterフィルタを設定
+  const allowListOnlyCheckbox = document.getElementById('spotter-allow-list-only');
+  if (allowListOnlyCheckbox) {
+    allowListOnlyCheckbox.checked = currentConfig.spotterFilter.allowListOnly || false;
+  }
+  const trustRbnCheckbox = document.getElementById('spotter-trust-rbn');
+  if (trustRbnCheckbox) {
+    trustRbnCheckbox.checked = currentConfig.spotterFilter.trustRbn || false;
+  }
+  renderSpotterList('allowList');
+  renderSpotterList('denyList');
+
+  // 通知音パスを設定
+  const notificationSoundPathInput = document.getElementById('notification-sound-path');
+  if (notificationSoundPathInput) {
+    notificationSoundPathInput.value = currentConfig.notificationSoundPath || '';
+  }
+
+  // QSY・再スポットの通知設定
+  const qsyActionSelect = document.getElementById('qsy-action');
+  if (qsyActionSelect) {
+    qsyActionSelect.value = currentConfig.activationTracking.qsyAction || 'qsy';
+  }
+  const respotActionSelect = document.getElementById('respot-action');
+  if (respotActionSelect) {
+    respotActionSelect.value = currentConfig.activationTracking.respotAction || 'none';
+  }
+
+  // クールダウンの設定
+  const cooldownMinutesInput = document.getElementById('cooldown-minutes');
+  if (cooldownMinutesInput) {
+    cooldownMinutesInput.value = currentConfig.alertCooldown.minutes || 0;
+  }
+  const cooldownAlertOnChangeCheckbox = document.getElementById('cooldown-alert-on-change');
+  if (cooldownAlertOnChangeCheckbox) {
+    cooldownAlertOnChangeCheckbox.checked = currentConfig.alertCooldown.alertOnChange !== false;
+  }
+
+  // 起動時の通知の設定
+  const startupPolicyModeSelect = document.getElementById('startup-policy-mode');
+  if (startupPolicyModeSelect) {
+    startupPolicyModeSelect.value = currentConfig.startupPolicy.mode || 'recentOnly';
+  }
+  const startupPolicyRecentMinutesInput = document.getElementById('startup-policy-recent-minutes');
+  if (startupPolicyRecentMinutesInput) {
+    startupPolicyRecentMinutesInput.value = currentConfig.startupPolicy.recentMinutes ?? 10;
+  }
+  const startupPolicyRetentionHoursInput = document.getElementById('startup-policy-retention-hours');
+  if (startupPolicyRetentionHoursInput) {
+    startupPolicyRetentionHoursInput.value = currentConfig.startupPolicy.retentionHours ?? 24;
+  }
+
+  // スポットの履歴の保存設定
+  const historyEnabledCheckbox = document.getElementById('history-enabled');
+  if (historyEnabledCheckbox) {
+    historyEnabledCheckbox.checked = currentConfig.history.enabled !== false;
+  }
+  const historyRetentionDaysInput = document.getElementById('history-retention-days');
+  if (historyRetentionDaysInput) {
+    historyRetentionDaysInput.value = currentConfig.history.retentionDays ?? 7;
+  }
+  const historyMaxEntriesInput = document.getElementById('history-max-entries');
+  if (historyMaxEntriesInput) {
+    historyMaxEntriesInput.value = currentConfig.history.maxEntries ?? 50000;
+  }
+
+  // 通知数制限を設定
+  const maxNotificationCountInput = document.getElementById('max-notification-count');
+  if (maxNotificationCountInput) {
+    maxNotificationCountInput.value = currentConfig.maxNotificationCount !== undefined ? currentConfig.maxNotificationCount : 0;
+  }
+
+  const maxPopupCountInput = document.getElementById('max-popup-count');
+  if (maxPopupCountInput) {
+    maxPopupCountInput.value = currentConfig.maxPopupCount !== undefined ? currentConfig.maxPopupCount : 0;
+  }
+}
+
+/**
+ * アラートルール一覧と編集中ルールをレンダリング
+ */
+function renderAlertRules() {
+  if (selectedRuleIndex >= currentConfig.alertRules.length) {
+    selectedRuleIndex = Math.max(0, currentConfig.alertRules.length - 1);
+  }
+  renderRuleList();
+  renderRuleEditor();
+}
+
+/**
+ * アラートルール一覧をレンダリング
+ */
+function renderRuleList() {
+  const container = document.getElementById('alert-rule-list');
+  container.innerHTML = '';
+
+  if (currentConfig.alertRules.length === 0) {
+    container.innerHTML = '<div class="empty-message">ルールが設定されていません（通知されません）</div>';
+    return;
+  }
+
+  currentConfig.alertRules.forEach((rule, index) => {
+    const div = document.createElement('div');
+    div.className = 'alert-rule-item';
+    div.classList.toggle('selected', index === selectedRuleIndex);
+    div.classList.toggle('disabled', rule.enabled === false);
+    div.classList.toggle('has-error', ruleErrorIndices.has(index));
+    div.innerHTML = `
+      <input 
+        type="checkbox" 
+        ${rule.enabled !== false ? 'checked' : ''}
+        onclick="event.stopPropagation()"
+        onchange="updateAlertRuleEnabled(${index}, this.checked)"
+      />
+      <span class="alert-rule-name">${escapeHtml(rule.name || '(名前なし)')}</span>
+      <button class="btn-move" onclick="event.stopPropagation(); moveAlertRule(${index}, -1)" ${index === 0 ? 'disabled' : ''}>▲</button>
+      <button class="btn-move" onclick="event.stopPropagation(); moveAlertRule(${index}, 1)" ${index === currentConfig.alertRules.length - 1 ? 'disabled' : ''}>▼</button>
+      <button class="btn-remove" onclick="event.stopPropagation(); removeAlertRule(${index})">削除</button>
+    `;
+    div.addEventListener('click', () => selectAlertRule(index));
+    container.appendChild(div);
+  });
+  renderDxClusterRuleWarning();
+}
+
+/**
+ * ルールツリーに有効なReference・取得元の条件があるかどうか
+ * @param {Object} node - ルールツリーのノード
+ * @returns {boolean}
+ */
+function hasReferenceOrSourceCondition(node) {
+  if (!node || node.enabled === false) {
+    return false;
+  }
+  if (node.type === 'condition') {
+    return ['reference', 'source'].includes(node.field) && node.condition?.enabled !== false;
+  }
+  return (node.children || []).some(hasReferenceOrSourceCondition);
+}
+
+/**
+ * DXクラスターが有効な場合、DXクラスターの全てのスポットに一致するルール（Reference・取得元の条件がないルール）を警告
+ */
+function renderDxClusterRuleWarning() {
+  const warningDiv = document.getElementById('dx-cluster-rule-warning');
+  if (!warningDiv) return;
+  const ruleNames = currentConfig.spotSources?.dxCluster?.enabled
+    ? currentConfig.alertRules
+      .filter(rule => rule.enabled !== false && !hasReferenceOrSourceCondition(rule.ruleTree))
+      .map(rule => rule.name || '(名前なし)')
+    : [];
+  warningDiv.textContent = ruleNames.length > 0
+    ? `DXクラスターが有効です。Reference・取得元の条件がないルール（${ruleNames.join('、')}）はDXクラスターの全てのスポットに一致します。DXクラスターのスポットを通知しない場合は「取得元」の条件を追加してください。`
+    : '';
+  warningDiv.style.display = ruleNames.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * 編集中のアラートルールの設定欄をレンダリング
+ */
+function renderRuleEditor() {
+  const editor = document.getElementById('alert-rule-editor');
+  const rule = currentRule();
+  if (!rule) {
+    editor.style.display = 'none';
+    return;
+  }
+  editor.style.display = 'block';
+
+  document.getElementById('alert-rule-name').value = rule.name || '';
+  ['notification', 'popup', 'sound', 'voicevox', 'webhook', 'discord', 'slack'].forEach(channel => {
+    const checkbox = document.getElementById(`rule-channel-${channel}`);
+    if (checkbox) {
+      checkbox.checked = Boolean(rule.channels?.[channel]);
+    }
+  });
+  document.getElementById('rule-sound-path').value = rule.channels?.soundPath || '';
+  document.getElementById('rule-discord-url').value = rule.channels?.discordUrl || '';
+  document.getElementById('rule-slack-url').value = rule.channels?.slackUrl || '';
+
+  renderRuleTree();
+}
+
+/**
+ * ルールツリーをレンダリング
+ */
+function renderRuleTree() {
+  const container = document.getElementById('rule-tree');
+  container.innerHTML = '';
+  const rule = currentRule();
+  if (rule) {
+    container.appendChild(createRuleGroupElement(rule.ruleTree, ''));
+  }
+}
+
+/**
+ * アラートルールを追加
+ */
+function addAlertRule() {
+  currentConfig.alertRules.push(createAlertRule(`ルール${currentConfig.alertRules.length + 1}`));
+  selectedRuleIndex = currentConfig.alertRules.length - 1;
+  conditionErrors = {};
+  renderAlertRules();
+  validateConditions();
+}
+
+/**
+ * 編集するアラートルールを選択
+ */
+function selectAlertRule(index) {
+  selectedRuleIndex = index;
+  renderAlertRules();
+  validateConditions();
+}
+
+/**
+ * アラートルールの有効/無効を更新
+ */
+function updateAlertRuleEnabled(index, value) {
+  if (!currentConfig.alertRules[index]) {
+    return;
+  }
+  currentConfig.alertRules[index].enabled = value;
+  renderRuleList();
+}
+
+/**
+ * アラートルールの順序を入れ替え（最初に一致したルールのみ通知する場合は順序が優先度になる）
+ */
+function moveAlertRule(index, direction) {
+  const target = index + direction;
+  const rules = currentConfig.alertRules;
+  if (target < 0 || target >= rules.length) {
+    return;
+  }
+  [rules[index], rules[target]] = [rules[target], rules[index]];
+  if (selectedRuleIndex === index) {
+    selectedRuleIndex = target;
+  } else if (selectedRuleIndex === target) {
+    selectedRuleIndex = index;
+  }
+  renderAlertRules();
+  validateConditions();
+}
+
+/**
+ * アラートルールを削除
+ */
+function removeAlertRule(index) {
+  const rule = currentConfig.alertRules[index];
+  if (!rule) {
+    return;
+  }
+  if (!confirm(`ルール「${rule.name || '(名前なし)'}」を削除しますか？`)) {
+    return;
+  }
+  currentConfig.alertRules.splice(index, 1);
+  if (selectedRuleIndex > index) {
+    selectedRuleIndex--;
+  }
+  renderAlertRules();
+  validateConditions();
+}
+
+/**
+ * 編集中のアラートルールの名前を更新
+ */
+function updateAlertRuleName(value) {
+  const rule = currentRule();
+  if (!rule) {
+    return;
+  }
+  rule.name = value;
+  renderRuleList();
+}
+
+/**
+ * 編集中のアラートルールの通知チャネルを更新
+ */
+function updateRuleChannel(channel, value) {
+  const rule = currentRule();
+  if (!rule) {
+    return;
+  }
+  rule.channels = rule.channels || {};
+  rule.channels[channel] = value;
+  validateConditions();
+}
+
+/**
+ * 編集中のアラートルールのDiscord・SlackのWebhook URLを更新（空の場合は共通の送信先を使用）
+ * @param {'discordUrl'|'slackUrl'} property - 更新する項目
+ * @param {string} value - Webhook URL
+ */
+function updateRuleChannelUrl(property, value) {
+  const rule = currentRule();
+  if (!rule) {
+    return;
+  }
+  rule.channels = rule.channels || {};
+  rule.channels[property] = value.trim() || null;
+  validateConditions();
+}
+
+/**
+ * 編集中のアラートルールの通知音ファイルを選択
+ */
+async function selectRuleSound() {
+  const rule = currentRule();
+  if (!rule) {
+    return;
+  }
+  try {
+    const result = await window.electronAPI.selectSoundFile();
+    if (result && result.filePath) {
+      rule.channels.soundPath = result.filePath;
+      document.getElementById('rule-sound-path').value = result.filePath;
+    }
+  } catch (error) {
+    console.error('通知音ファイル選択エラー:', error);
+    alert('通知音ファイルの選択に失敗しました: ' + error.message);
+  }
+}
+
+/**
+ * 編集中のアラートルールの通知音をクリア（共通の通知音を使用）
+ */
+function clearRuleSound() {
+  const rule = currentRule();
+  if (!rule) {
+    return;
+  }
+  rule.channels.soundPath = null;
+  document.getElementById('rule-sound-path').value = '';
+}
+
+/**
+ * 編集中のアラートルールの通知音をテスト再生
+ */
+async function testRuleSound() {
+  const rule = currentRule();
+  const notificationSoundPathInput = document.getElementById('notification-sound-path');
+  const soundPath = rule?.channels?.soundPath || (notificationSoundPathInput?.value || '').trim();
+
+  if (!soundPath) {
+    alert('通知音ファイルを選択してください。');
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.testNotificationSound(soundPath);
+    if (!result || !result.success) {
+      throw new Error(result?.error || '不明なエラーが発生しました。');
+    }
+  } catch (error) {
+    console.error('テスト再生エラー:', error);
+    alert('テスト再生に失敗しました: ' + (error.message || '不明なエラー'));
+  }
+}
+
+/**
+ * 子ノードのパスを作成
+ */
+function childPath(path, index) {
+  return path === '' ? String(index) : `${path}.${index}`;
+}
+
+/**
+ * パスからノードを取得
+ */
+function getRuleNode(path) {
+  let node = currentRule()?.ruleTree;
+  if (path === '') {
+    return node;
+  }
+  for (const index of path.split('.')) {
+    node = node?.children?.[parseInt(index, 10)];
+  }
+  return node || null;
+}
+
+/**
+ * 検証エラーの表示要素を作成
+ */
+function createErrorElement(path) {
+  const errorDiv = document.createElement('div');
+  errorDiv.className = 'condition-error';
+  const error = conditionErrors[path];
+  errorDiv.textContent = error || '';
+  errorDiv.style.display = error ? 'block' : 'none';
+  return errorDiv;
+}
+
+/**
+ * グループ要素を作成
+ */
+function createRuleGroupElement(group, path) {
+  const div = document.createElement('div');
+  div.className = 'rule-group';
+  div.dataset.path = path;
+  const isRoot = path === '';
+  const disabledAttr = group.enabled === false ? 'disabled' : '';
+
+  const operatorOptions = Object.entries(GROUP_OPERATOR_LABELS).map(([value, label]) => `
+    <option value="${value}" ${group.operator === value ? 'selected' : ''}>${label}</option>
+  `).join('');
+
+  const header = document.createElement('div');
+  header.className = 'rule-group-header';
+  header.innerHTML = `
+    ${isRoot ? '' : `
+    <input 
+      type="checkbox" 
+      ${group.enabled !== false ? 'checked' : ''}
+      onchange="updateRuleGroup('${path}', 'enabled', this.checked)"
+    />
+    `}
+    <select 
+      onchange="updateRuleGroup('${path}', 'operator', this.value)"
+      ${disabledAttr}
+    >
+      ${operatorOptions}
+    </select>
+    <button class="btn-add" onclick="addRuleCondition('${path}')" ${disabledAttr}>条件を追加</button>
+    <button class="btn-add" onclick="addRuleGroup('${path}')" ${disabledAttr}>グループを追加</button>
+    ${isRoot ? '' : `<button class="btn-remove" onclick="removeRuleNode('${path}')">削除</button>`}
+  `;
+  div.appendChild(header);
+  div.appendChild(createErrorElement(path));
+
+  const childrenContainer = document.createElement('div');
+  childrenContainer.className = 'rule-children';
+  const children = group.children || [];
+  if (children.length === 0) {
+    childrenContainer.innerHTML = '<div class="empty-message">条件が設定されていません</div>';
+  }
+  children.forEach((child, index) => {
+    const nodePath = childPath(path, index);
+    childrenContainer.appendChild(child.type === 'group'
+      ? createRuleGroupElement(child, nodePath)
+      : createRuleConditionElement(child, nodePath));
+  });
+  div.appendChild(childrenContainer);
+
+  if (group.enabled === false) {
+    div.classList.add('disabled');
+  }
+  if (conditionErrors[path]) {
+    div.classList.add('has-error');
+  }
+
+  return div;
+}
+
+/**
+ * 条件要素を作成
+ */
+function createRuleConditionElement(node, path) {
+  const div = document.createElement('div');
+  div.className = 'condition-item';
+  div.dataset.path = path;
+
+  const condition = node.condition || {};
+  const disabledAttr = condition.enabled === false ? 'disabled' : '';
+
+  const fieldOptions = Object.entries(RULE_FIELD_LABELS).map(([value, label]) => `
+    <option value="${value}" ${node.field === value ? 'selected' : ''}>${label}</option>
+  `).join('');
+
+  // 条件タイプに応じた値の入力欄
+  let valueHtml;
+  if (condition.type === 'range') {
+    valueHtml = `
+    <input 
+      type="number" 
+      placeholder="下限 (kHz)" 
+      value="${condition.min ?? ''}"
+      onchange="updateRuleCondition('${path}', 'min', parseRangeValue(this.value))"
+      ${disabledAttr}
+    />
+    <span>〜</span>
+    <input 
+      type="number" 
+      placeholder="上限 (kHz)" 
+      value="${condition.max ?? ''}"
+      onchange="updateRuleCondition('${path}', 'max', parseRangeValue(this.value))"
+      ${disabledAttr}
+    />`;
+  } else if (condition.type === 'band') {
+    const bandOptions = availableBands.map(band => `
+      <option value="${escapeHtml(band.name)}" ${condition.value === band.name ? 'selected' : ''}>${escapeHtml(band.name)} (${band.min}〜${band.max} kHz)</option>
+    `).join('');
+    valueHtml = `
+    <select 
+      class="band-select"
+      onchange="updateRuleCondition('${path}', 'value', this.value)"
+      ${disabledAttr}
+    >
+      ${bandOptions}
+    </select>`;
+  } else if (condition.type === 'sector') {
+    valueHtml = `
+    <input 
+      type="number" 
+      min="0" 
+      max="360" 
+      placeholder="開始 (度)" 
+      value="${condition.min ?? ''}"
+      onchange="updateRuleCondition('${path}', 'min', parseRangeValue(this.value))"
+      ${disabledAttr}
+    />
+    <span>〜</span>
+    <input 
+      type="number" 
+      min="0" 
+      max="360" 
+      placeholder="終了 (度)" 
+      value="${condition.max ?? ''}"
+      onchange="updateRuleCondition('${path}', 'max', parseRangeValue(this.value))"
+      ${disabledAttr}
+    />`;
+  } else if (condition.type === 'within' || condition.type === 'beyond') {
+    valueHtml = `
+    <input 
+      type="number" 
+      min="0" 
+      placeholder="距離 (km)" 
+      value="${condition.value ?? ''}"
+      onchange="updateRuleCondition('${path}', 'value', parseRangeValue(this.value))"
+      ${disabledAttr}
+    />`;
+  } else if (condition.type === 'lessThan' || condition.type === 'atLeast') {
+    valueHtml = `
+    <input 
+      type="number" 
+      min="0" 
+      step="1" 
+      placeholder="回数" 
+      value="${condition.value ?? ''}"
+      onchange="updateRuleCondition('${path}', 'value', parseRangeValue(this.value))"
+      ${disabledAttr}
+    />`;
+  } else if (condition.type === 'flag') {
+    valueHtml = `
+    <select 
+      onchange="updateRuleCondition('${path}', 'value', this.value === 'true')"
+      ${disabledAttr}
+    >
+      <option value="true" ${condition.value === true ? 'selected' : ''}>はい</option>
+      <option value="false" ${condition.value === false ? 'selected' : ''}>いいえ</option>
+    </select>`;
+  } else if (condition.type === 'family') {
+    const familyOptions = Object.entries(MODE_FAMILY_LABELS).map(([value, label]) => `
+      <option value="${value}" ${condition.value === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+    valueHtml = `
+    <select 
+      onchange="updateRuleCondition('${path}', 'value', this.value)"
+      ${disabledAttr}
+    >
+      ${familyOptions}
+    </select>`;
+  } else if (condition.type === 'program' || condition.type === 'subdivision') {
+    valueHtml = `
+    <input 
+      type="text" 
+      list="${condition.type}-list" 
+      placeholder="${condition.type === 'program' ? 'プログラム（例: JP, US）' : '地域（例: JP-13, US-CA）'}" 
+      value="${escapeHtml(condition.value || '')}"
+      onchange="updateRuleCondition('${path}', 'value', this.value.trim().toUpperCase())"
+      ${disabledAttr}
+    />`;
+  } else if (condition.type === 'watchlist') {
+    valueHtml = `
+    <span class="watchlist-hint">ウォッチリストのいずれかのコールサインに一致</span>`;
+  } else {
+    // 取得元は選択肢から入力できるようにする
+    const placeholder = condition.type === 'callsign'
+      ? 'コールサイン（例: JA1ABC, JA1*）'
+      : node.field === 'source' ? '取得元（POTA・SOTA・WWFF・DXC）' : 'フィルタ値';
+    valueHtml = `
+    <input 
+      type="text" 
+      ${node.field === 'source' ? 'list="source-list"' : ''}
+      placeholder="${placeholder}" 
+      value="${escapeHtml(condition.value || '')}"
+      onchange="updateRuleCondition('${path}', 'value', this.value)"
+      ${disabledAttr}
+    />`;
+  }
+
+  // フィールドで使用できる条件タイプのみ選択可能
+  const typeOptions = getConditionTypes(node.field).map(type => `
+      <option value="${type}" ${condition.type === type ? 'selected' : ''}>${CONDITION_TYPE_LABELS[type]}</option>
+  `).join('');
+
+  div.innerHTML = `
+    <label style="display: flex; align-items: center;">
+      <input 
+        type="checkbox" 
+        ${condition.enabled !== false ? 'checked' : ''}
+        onchange="updateRuleCondition('${path}', 'enabled', this.checked)"
+        style="margin-right: 5px;"
+      />
+    </label>
+    <select 
+      class="field-select"
+      onchange="updateRuleCondition('${path}', 'field', this.value)"
+      ${disabledAttr}
+    >
+      ${fieldOptions}
+    </select>
+    ${valueHtml}
+    <select 
+      onchange="updateRuleCondition('${path}', 'type', this.value)"
+      ${disabledAttr}
+    >
+      ${typeOptions}
+    </select>
+    ${condition.type === 'regex' ? `
+    <label>
+      <input 
+        type="checkbox" 
+        ${condition.caseSensitive ? 'checked' : ''}
+        onchange="updateRuleCondition('${path}', 'caseSensitive', this.checked)"
+        ${disabledAttr}
+      />
+      大文字小文字を区別
+    </label>
+    ` : ''}
+    <button class="btn-remove" onclick="removeRuleNode('${path}')">削除</button>
+  `;
+  div.appendChild(createErrorElement(path));
+
+  if (conditionErrors[path]) {
+    div.classList.add('has-error');
+  }
+
+  return div;
+}
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * 数値の入力値を変換（空欄の場合はnull）
+ */
+function parseRangeValue(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * IARUリージョンを更新
+ */
+async function updateIaruRegion(value) {
+  currentConfig.iaruRegion = parseInt(value, 10) || DEFAULT_IARU_REGION;
+  await loadBands(currentConfig.iaruRegion);
+  renderRuleTree();
+  validateConditions();
+}
+
+/**
+ * ウォッチリストをレンダリング
+ */
+function renderWatchlist() {
+  const container = document.getElementById('watchlist');
+  container.innerHTML = '';
+
+  if (currentConfig.watchlist.length === 0) {
+    container.innerHTML = '<div class="empty-message">コールサインが登録されていません</div>';
+    return;
+  }
+
+  currentConfig.watchlist.forEach((entry, index) => {
+    const div = document.createElement('div');
+    div.className = 'condition-item';
+    div.dataset.watchlistIndex = index;
+    div.innerHTML = `
+      <label style="display: flex; align-items: center;">
+        <input 
+          type="checkbox" 
+          ${entry.enabled !== false ? 'checked' : ''}
+          onchange="updateWatchlistEntry(${index}, 'enabled', this.checked)"
+          style="margin-right: 5px;"
+        />
+      </label>
+      <input 
+        type="text" 
+        class="watchlist-callsign"
+        placeholder="コールサイン（例: JA1ABC, JA1*）" 
+        value="${escapeHtml(entry.callsign || '')}"
+        onchange="updateWatchlistEntry(${index}, 'callsign', this.value)"
+      />
+      <input 
+        type="text" 
+        placeholder="メモ（通知に表示）" 
+        value="${escapeHtml(entry.note || '')}"
+        onchange="updateWatchlistEntry(${index}, 'note', this.value)"
+      />
+      <button class="btn-remove" onclick="removeWatchlistEntry(${index})">削除</button>
+    `;
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'condition-error';
+    errorDiv.textContent = watchlistErrors[index] || '';
+    errorDiv.style.display = watchlistErrors[index] ? 'block' : 'none';
+    div.appendChild(errorDiv);
+    div.classList.toggle('has-error', Boolean(watchlistErrors[index]));
+    container.appendChild(div);
+  });
+}
+
+/**
+ * ウォッチリストにエントリを追加
+ */
+function addWatchlistEntry() {
+  currentConfig.watchlist.push({ callsign: '', note: '', enabled: true });
+  renderWatchlist();
+}
+
+/**
+ * ウォッチリストのエントリを更新
+ */
+function updateWatchlistEntry(index, property, value) {
+  const entry = currentConfig.watchlist[index];
+  if (!entry) {
+    return;
+  }
+  entry[property] = property === 'callsign' ? value.trim().toUpperCase() : value;
+  if (property === 'callsign') {
+    validateConditions();
+  }
+}
+
+/**
+ * ウォッチリストのエントリを削除
+ */
+function removeWatchlistEntry(index) {
+  if (!currentConfig.watchlist[index]) {
+    return;
+  }
+  currentConfig.watchlist.splice(index, 1);
+  renderWatchlist();
+  // インデックスがずれるため検証し直す
+  validateConditions();
+}
+
+/**
+ * モードファミリーの対応表をレンダリング
+ */
+function renderModeFamilies() {
+  const container = document.getElementById('mode-families');
+  container.innerHTML = '';
+
+  const familyOptions = (selected) => Object.entries(MODE_FAMILY_LABELS).map(([value, label]) => `
+    <option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>
+  `).join('');
+
+  currentConfig.modeFamilies.mappings.forEach((mapping, index) => {
+    const error = modeFamilyErrors[index];
+    const div = document.createElement('div');
+    div.className = 'condition-item';
+    div.innerHTML = `
+      <input 
+        type="text" 
+        placeholder="モード（例: FT8）" 
+        value="${escapeHtml(mapping.mode || '')}"
+        onchange="updateModeFamilyMapping(${index}, 'mode', this.value)"
+      />
+      <select onchange="updateModeFamilyMapping(${index}, 'family', this.value)">
+        ${familyOptions(mapping.family)}
+      </select>
+      <button class="btn-remove" onclick="removeModeFamilyMapping(${index})">削除</button>
+    `;
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'condition-error';
+    errorDiv.textContent = error || '';
+    errorDiv.style.display = error ? 'block' : 'none';
+    div.appendChild(errorDiv);
+    div.classList.toggle('has-error', Boolean(error));
+    container.appendChild(div);
+  });
+
+  const unknownFamilySelect = document.getElementById('unknown-mode-family');
+  if (unknownFamilySelect) {
+    unknownFamilySelect.value = currentConfig.modeFamilies.unknownFamily || '';
+  }
+  const unknownErrorDiv = document.getElementById('unknown-mode-family-error');
+  if (unknownErrorDiv) {
+    unknownErrorDiv.textContent = modeFamilyErrors.unknown || '';
+    unknownErrorDiv.style.display = modeFamilyErrors.unknown ? 'block' : 'none';
+  }
+}
+
+/**
+ * モードファミリーの対応表にエントリを追加
+ */
+function addModeFamilyMapping() {
+  currentConfig.modeFamilies.mappings.push({ mode: '', family: 'DATA' });
+  renderModeFamilies();
+}
+
+/**
+ * モードファミリーの対応表のエントリを更新
+ */
+function updateModeFamilyMapping(index, property, value) {
+  const mapping = currentConfig.modeFamilies.mappings[index];
+  if (!mapping) {
+    return;
+  }
+  mapping[property] = property === 'mode' ? value.trim().toUpperCase() : value;
+  validateConditions();
+}
+
+/**
+ * モードファミリーの対応表のエントリを削除
+ */
+function removeModeFamilyMapping(index) {
+  if (!currentConfig.modeFamilies.mappings[index]) {
+    return;
+  }
+  currentConfig.modeFamilies.mappings.splice(index, 1);
+  renderModeFamilies();
+  // インデックスがずれるため検証し直す
+  validateConditions();
+}
+
+/**
+ * 対応表にないモードのファミリーを更新
+ */
+function updateUnknownModeFamily(value) {
+  currentConfig.modeFamilies.unknownFamily = value;
+  validateConditions();
+}
+
+/**
+ * モードファミリーの対応表をデフォルトに戻す
+ */
+async function resetModeFamilies() {
+  if (!confirm('モードファミリーの対応表をデフォルトに戻しますか？')) {
+    return;
+  }
+  currentConfig.modeFamilies = await window.electronAPI.getDefaultModeFamilies();
+  renderModeFamilies();
+  validateConditions();
+}
+
+/**
+ * spotterリストをレンダリング
+ * @param {string} listName - 'allowList' | 'denyList'
+ */
+function renderSpotterList(listName) {
+  const container = document.getElementById(`spotter-${listName}`);
+  container.innerHTML = '';
+
+  const list = currentConfig.spotterFilter[listName];
+  if (list.length === 0) {
+    container.innerHTML = '<div class="empty-message">コールサインが登録されていません</div>';
+    return;
+  }
+
+  list.forEach((entry, index) => {
+    const error = spotterListErrors[listName][index];
+    const div = document.createElement('div');
+    div.className = 'condition-item';
+    div.innerHTML = `
+      <label style="display: flex; align-items: center;">
+        <input 
+          type="checkbox" 
+          ${entry.enabled !== false ? 'checked' : ''}
+          onchange="updateSpotterListEntry('${listName}', ${index}, 'enabled', this.checked)"
+          style="margin-right: 5px;"
+        />
+      </label>
+      <input 
+        type="text" 
+        placeholder="コールサイン（例: JA1ABC, JA1*）" 
+        value="${escapeHtml(entry.callsign || '')}"
+        onchange="updateSpotterListEntry('${listName}', ${index}, 'callsign', this.value)"
+      />
+      <button class="btn-remove" onclick="removeSpotterListEntry('${listName}', ${index})">削除</button>
+    `;
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'condition-error';
+    errorDiv.textContent = error || '';
+    errorDiv.style.display = error ? 'block' : 'none';
+    div.appendChild(errorDiv);
+    div.classList.toggle('has-error', Boolean(error));
+    container.appendChild(div);
+  });
+}
+
+/**
+ * spotterリストにエントリを追加
+ */
+function addSpotterListEntry(listName) {
+  currentConfig.spotterFilter[listName].push({ callsign: '', enabled: true });
+  renderSpotterList(listName);
+}
+
+/**
+ * spotterリストのエントリを更新
+ */
+function updateSpotterListEntry(listName, index, property, value) {
+  const entry = currentConfig.spotterFilter[listName][index];
+  if (!entry) {
+    return;
+  }
+  entry[property] = property === 'callsign' ? value.trim().toUpperCase() : value;
+  if (property === 'callsign') {
+    validateConditions();
+  }
+}
+
+/**
+ * spotterリストのエントリを削除
+ */
+function removeSpotterListEntry(listName, index) {
+  if (!currentConfig.spotterFilter[listName][index]) {
+    return;
+  }
+  currentConfig.spotterFilter[listName].splice(index, 1);
+  renderSpotterList(listName);
+  // インデックスがずれるため検証し直す
+  validateConditions();
+}
+
+/**
+ * spotterフィルタのオプションを更新
+ */
+function updateSpotterFilterOption(property, value) {
+  currentConfig.spotterFilter[property] = value;
+}
+
+/**
+ * 未交信パークの設定を更新
+ */
+function updateNeededParksOption(property, value) {
+  currentConfig.neededParks[property] = value;
+}
+
+/**
+ * クールダウンで抑制した通知の累計を読み込んで表示
+ */
+async function loadSuppressedAlertCount() {
+  const status = document.getElementById('cooldown-status');
+  if (!status) return;
+  try {
+    const count = await window.electronAPI.getSuppressedAlertCount();
+    status.textContent = `起動後にクールダウンで抑制した通知: ${count}件`;
+  } catch (error) {
+    console.error('抑制した通知数の取得エラー:', error);
+  }
+}
+
+/**
+ * インポート済みハンターログの概要を読み込んで表示
+ */
+async function loadHunterLogSummary() {
+  try {
+    renderHunterLogSummary(await window.electronAPI.getHunterLogSummary());
+  } catch (error) {
+    console.error('ハンターログの概要の取得エラー:', error);
+  }
+}
+
+/**
+ * ハンターログの概要を表示
+ */
+function renderHunterLogSummary(summary) {
+  const status = document.getElementById('hunter-log-status');
+  if (!status) return;
+  if (!summary) {
+    status.textContent = 'ハンターログはインポートされていません（全てのパークを未交信として扱います）';
+    return;
+  }
+  const importedAt = new Date(summary.importedAt).toLocaleString();
+  status.textContent = `${summary.fileName}: ${summary.parkCount}パーク（${summary.qsoCount} QSO）を読み込み済み（${importedAt}）`;
+}
+
+/**
+ * ハンターログをインポート
+ */
+async function importHunterLog() {
+  try {
+    const result = await window.electronAPI.importHunterLog();
+    if (!result) {
+      return; // キャンセル
+    }
+    if (!result.success) {
+      throw new Error(result.error || '不明なエラーが発生しました。');
+    }
+    renderHunterLogSummary(result.summary);
+    alert(`${result.summary.parkCount}パーク（${result.summary.qsoCount} QSO）を読み込みました`);
+  } catch (error) {
+    console.error('ハンターログのインポートエラー:', error);
+    alert('ハンターログのインポートに失敗しました: ' + error.message);
+  }
+}
+
+/**
+ * 自局の位置をレンダリング
+ */
+function renderHomeLocation() {
+  const homeLocation = currentConfig.homeLocation;
+  document.getElementById('home-locator').value = homeLocation.locator || '';
+  document.getElementById('home-latitude').value = homeLocation.latitude ?? '';
+  document.getElementById('home-longitude').value = homeLocation.longitude ?? '';
+  renderHomeLocationError();
+}
+
+/**
+ * 自局の位置の検証エラーを表示
+ */
+function renderHomeLocationError() {
+  const errorDiv = document.getElementById('home-location-error');
+  if (!errorDiv) return;
+  errorDiv.textContent = homeLocationError || '';
+  errorDiv.style.display = homeLocationError ? 'block' : 'none';
+}
+
+/**
+ * 自局の位置を更新
+ */
+function updateHomeLocation(property, value) {
+  if (property === 'locator') {
+    currentConfig.homeLocation.locator = value.trim();
+  } else {
+    currentConfig.homeLocation[property] = parseRangeValue(value);
+  }
+  validateConditions();
+}
+
+/**
+ * スポットの取得設定をレンダリング
+ */
+function renderSpotClient() {
+  const spotClient = currentConfig.spotClient;
+  document.getElementById('show-pota-window').checked = currentConfig.showPotaWindow !== false;
+  document.getElementById('spot-client-passive-capture').checked = spotClient.passiveCapture !== false;
+  document.getElementById('spot-client-api-base-url').value = spotClient.apiBaseUrl || '';
+  document.getElementById('spot-client-timeout-seconds').value = spotClient.timeoutSeconds ?? '';
+  document.getElementById('spot-client-max-retries').value = spotClient.maxRetries ?? '';
+  document.getElementById('spot-client-poll-interval-seconds').value = spotClient.pollIntervalSeconds ?? '';
+  document.getElementById('spot-client-idle-interval-seconds').value = spotClient.idleIntervalSeconds ?? '';
+  document.getElementById('spot-client-health-alert-minutes').value = spotClient.healthAlertMinutes ?? '';
+  renderSpotClientError();
+}
+
+/**
+ * スポットの取得設定の検証エラーを表示
+ */
+function renderSpotClientError() {
+  const errorDiv = document.getElementById('spot-client-error');
+  if (!errorDiv) return;
+  errorDiv.textContent = spotClientError || '';
+  errorDiv.style.display = spotClientError ? 'block' : 'none';
+}
+
+/**
+ * スポットの取得設定を更新
+ */
+function updateSpotClient(property, value) {
+  if (property === 'passiveCapture') {
+    currentConfig.spotClient.passiveCapture = value;
+  } else if (property === 'apiBaseUrl') {
+    // 空欄の場合はデフォルトのURLに戻す
+    currentConfig.spotClient.apiBaseUrl = value.trim() || defaultConfig.spotClient.apiBaseUrl;
+    document.getElementById('spot-client-api-base-url').value = currentConfig.spotClient.apiBaseUrl;
+  } else {
+    currentConfig.spotClient[property] = parseRangeValue(value);
+  }
+  validateConditions();
+}
+
+/**
+ * メインウィンドウにpota.appを表示するかどうかを更新
+ */
+function updateShowPotaWindow(value) {
+  currentConfig.showPotaWindow = value;
+}
+
+/**
+ * 取得元ごとの設定をレンダリング
+ */
+function renderSpotSources() {
+  const spotSources = currentConfig.spotSources;
+  document.getElementById('spot-source-pota-enabled').checked = spotSources.pota.enabled !== false;
+  document.getElementById('spot-source-sota-enabled').checked = spotSources.sota.enabled || false;
+  document.getElementById('spot-source-sota-api-base-url').value = spotSources.sota.apiBaseUrl || '';
+  document.getElementById('spot-source-wwff-enabled').checked = spotSources.wwff.enabled || false;
+  document.getElementById('spot-source-wwff-api-base-url').value = spotSources.wwff.apiBaseUrl || '';
+  document.getElementById('spot-source-dx-cluster-enabled').checked = spotSources.dxCluster.enabled || false;
+  document.getElementById('spot-source-dx-cluster-host').value = spotSources.dxCluster.host || '';
+  document.getElementById('spot-source-dx-cluster-port').value = spotSources.dxCluster.port ?? '';
+  document.getElementById('spot-source-dx-cluster-callsign').value = spotSources.dxCluster.callsign || '';
+  renderSpotSourcesError();
+}
+
+/**
+ * 取得元ごとの設定の検証エラーを表示
+ */
+function renderSpotSourcesError() {
+  const errorDiv = document.getElementById('spot-sources-error');
+  if (!errorDiv) return;
+  errorDiv.textContent = spotSourcesError || '';
+  errorDiv.style.display = spotSourcesError ? 'block' : 'none';
+}
+
+/**
+ * 取得元ごとの設定を更新
+ * @param {string} source - 取得元の設定のキー（pota・sota・wwff・dxCluster）
+ * @param {string} property - 項目名
+ * @param {*} value - 値
+ */
+function updateSpotSource(source, property, value) {
+  const settings = currentConfig.spotSources[source];
+  if (property === 'apiBaseUrl') {
+    // 空欄の場合はデフォルトのURLに戻す
+    settings.apiBaseUrl = value.trim() || defaultConfig.spotSources[source].apiBaseUrl;
+    renderSpotSources();
+  } else if (property === 'port') {
+    settings.port = parseRangeValue(value);
+  } else if (property === 'host') {
+    settings.host = value.trim();
+  } else if (property === 'callsign') {
+    settings.callsign = value.trim().toUpperCase();
+    document.getElementById('spot-source-dx-cluster-callsign').value = settings.callsign;
+  } else {
+    settings[property] = value;
+  }
+  validateConditions();
+}
+
+/**
+ * Webhookの設定をレンダリング
+ */
+function renderWebhook() {
+  const webhook = currentConfig.webhook;
+  document.getElementById('webhook-enabled').checked = webhook.enabled || false;
+  document.getElementById('webhook-urls').value = (webhook.urls || []).join('\n');
+  document.getElementById('webhook-headers').value = Object.entries(webhook.headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+  document.getElementById('webhook-body-template').value = webhook.bodyTemplate || '';
+  document.getElementById('webhook-secret').value = webhook.secret || '';
+  document.getElementById('webhook-timeout-seconds').value = webhook.timeoutSeconds ?? '';
+  document.getElementById('webhook-max-retries').value = webhook.maxRetries ?? '';
+  renderWebhookError();
+}
+
+/**
+ * Webhookの設定の検証エラーを表示
+ */
+function renderWebhookError() {
+  const errorDiv = document.getElementById('webhook-error');
+  if (!errorDiv) return;
+  errorDiv.textContent = webhookError || '';
+  errorDiv.style.display = webhookError ? 'block' : 'none';
+}
+
+/**
+ * ヘッダーの入力値（1行に「名前: 値」）をオブジェクトに変換
+ */
+function parseWebhookHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\n')) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Webhookの設定を更新
+ * @param {string} property - 項目名
+ * @param {*} value - 値
+ */
+function updateWebhook(property, value) {
+  const webhook = currentConfig.webhook;
+  if (property === 'urls') {
+    webhook.urls = value.split('\n').map(url => url.trim()).filter(url => url !== '');
+  } else if (property === 'headers') {
+    webhook.headers = parseWebhookHeaders(value);
+  } else if (property === 'timeoutSeconds' || property === 'maxRetries') {
+    webhook[property] = parseRangeValue(value);
+  } else {
+    webhook[property] = value;
+  }
+  validateConditions();
+}
 
 /**
- * ページ読み込み時に設定を読み込む
+ * Webhookの本文のテンプレートをデフォルトに戻す
  */
-window.addEventListener('DOMContentLoaded', async () => {
-  await loadSettings();
-  renderSettings();
-});
+function resetWebhookTemplate() {
+  currentConfig.webhook.bodyTemplate = defaultConfig.webhook.bodyTemplate;
+  document.getElementById('webhook-body-template').value = currentConfig.webhook.bodyTemplate;
+  validateConditions();
+}
 
 /**
- * 設定を読み込む
+ * 保存前のWebhookの設定でテスト送信
  */
-async function loadSettings() {
+async function testWebhook() {
+  const status = document.getElementById('webhook-test-status');
+  status.textContent = '送信中...';
   try {
-    currentConfig = await window.electronAPI.loadConfig();
-    if (!currentConfig) {
-    currentConfig = {
-      reference: { conditions: [], operator: 'or' },
-      comments: { conditions: [], operator: 'or' },
-      mode: { conditions: [], operator: 'or' },
-      frequency: { conditions: [], operator: 'or' },
-      ignoreOtherSpotters: false,
-      notificationSoundPath: null,
-      maxNotificationCount: 0,
-      maxPopupCount: 0
-    };
+    const result = await window.electronAPI.testWebhook(currentConfig.webhook);
+    if (result.results) {
+      const failedCount = result.results.filter(delivery => !delivery.success).length;
+      status.textContent = failedCount === 0
+        ? `${result.results.length}件の送信先に送信しました`
+        : `${result.results.length}件中${failedCount}件の送信に失敗しました`;
     } else {
-      // 既存の設定にignoreOtherSpottersがない場合はfalseを設定
-      if (currentConfig.ignoreOtherSpotters === undefined) {
-        currentConfig.ignoreOtherSpotters = false;
-      }
-      // 既存の設定にnotificationSoundPathがない場合はnullを設定
-      if (currentConfig.notificationSoundPath === undefined) {
-        currentConfig.notificationSoundPath = null;
-      }
-      // 既存の設定にmaxNotificationCountがない場合は0を設定
-      if (currentConfig.maxNotificationCount === undefined) {
-        currentConfig.maxNotificationCount = 0;
-      }
-      // 既存の設定にmaxPopupCountがない場合は0を設定
-      if (currentConfig.maxPopupCount === undefined) {
-        currentConfig.maxPopupCount = 0;
-      }
+      status.textContent = result.error;
     }
   } catch (error) {
-    console.error('設定の読み込みエラー:', error);
-    currentConfig = {
-      reference: { conditions: [], operator: 'or' },
-      comments: { conditions: [], operator: 'or' },
-      mode: { conditions: [], operator: 'or' },
-      frequency: { conditions: [], operator: 'or' },
-      ignoreOtherSpotters: false,
-      notificationSoundPath: null,
-      maxNotificationCount: 0,
-      maxPopupCount: 0
-    };
+    console.error('Webhookのテスト送信エラー:', error);
+    status.textContent = 'テスト送信に失敗しました: ' + error.message;
   }
+  refreshWebhookLog();
 }
 
 /**
- * 設定を画面に表示
+ * Webhookの送信履歴を読み込んで表示
  */
-function renderSettings() {
-  const fields = ['reference', 'comments', 'mode', 'frequency'];
-
-  fields.forEach(field => {
-    // 既存の条件にenabledプロパティがない場合はtrueを設定（互換性のため）
-    if (currentConfig[field] && currentConfig[field].conditions) {
-      currentConfig[field].conditions.forEach(condition => {
-        if (condition.enabled === undefined) {
-          condition.enabled = true;
-        }
-      });
-    }
-
-    // オペレーターの選択
-    const operatorRadios = document.querySelectorAll(`input[name="${field}-operator"]`);
-    operatorRadios.forEach(radio => {
-      if (radio.value === (currentConfig[field]?.operator || 'or')) {
-        radio.checked = true;
-      }
-    });
+async function refreshWebhookLog() {
+  const container = document.getElementById('webhook-log');
+  if (!container) return;
+  try {
+    const log = await window.electronAPI.getWebhookLog();
+    container.textContent = log.length === 0
+      ? '送信履歴はありません'
+      : log.map(entry => [
+        new Date(entry.time).toLocaleString(),
+        entry.service ? `[${entry.service}]` : '[Webhook]',
+        entry.event === 'test' ? '[テスト]' : `${entry.activator || ''} ${entry.reference || ''}`.trim(),
+        entry.url,
+        entry.success ? `成功 (HTTP ${entry.status})` : `失敗 (${entry.error})`,
+        `${entry.attempts}回`
+      ].join('  ')).join('\n');
+  } catch (error) {
+    console.error('Webhookの送信履歴の取得エラー:', error);
+  }
+}
 
-    // 条件リストをレンダリング
-    renderConditions(field);
+/**
+ * Discord・Slackへの通知の設定をレンダリング
+ */
+function renderChatAlerts() {
+  const chatAlerts = currentConfig.chatAlerts;
+  ['discord', 'slack'].forEach(service => {
+    document.getElementById(`chat-${service}-enabled`).checked = chatAlerts[service].enabled || false;
+    document.getElementById(`chat-${service}-url`).value = chatAlerts[service].url || '';
   });
+  document.getElementById('chat-alerts-timeout-seconds').value = chatAlerts.timeoutSeconds ?? '';
+  document.getElementById('chat-alerts-max-retries').value = chatAlerts.maxRetries ?? '';
+  renderChatAlertsError();
+}
 
-  // ignoreOtherSpottersチェックボックスを設定
-  const ignoreOtherSpottersCheckbox = document.getElementById('ignore-other-spotters');
-  if (ignoreOtherSpottersCheckbox) {
-    ignoreOtherSpottersCheckbox.checked = currentConfig.ignoreOtherSpotters || false;
+/**
+ * Discord・Slackへの通知の設定の検証エラーを表示
+ */
+function renderChatAlertsError() {
+  const errorDiv = document.getElementById('chat-alerts-error');
+  if (!errorDiv) return;
+  errorDiv.textContent = chatAlertsError || '';
+  errorDiv.style.display = chatAlertsError ? 'block' : 'none';
+}
+
+/**
+ * Discord・Slackへの通知の設定を更新
+ * @param {'discord'|'slack'} service - チャットサービス
+ * @param {'enabled'|'url'} property - 更新する項目
+ * @param {boolean|string} value - 値
+ */
+function updateChatAlert(service, property, value) {
+  currentConfig.chatAlerts[service][property] = property === 'url' ? value.trim() : value;
+  validateConditions();
+}
+
+/**
+ * Discord・Slackの送信のタイムアウト・再試行回数を更新
+ * @param {'timeoutSeconds'|'maxRetries'} property - 更新する項目
+ * @param {string} value - 入力値
+ */
+function updateChatAlertDelivery(property, value) {
+  currentConfig.chatAlerts[property] = parseRangeValue(value);
+  validateConditions();
+}
+
+/**
+ * 保存前の共通の送信先にテスト送信
+ * @param {'discord'|'slack'} service - チャットサービス
+ */
+async function testChatAlert(service) {
+  const status = document.getElementById('chat-alerts-test-status');
+  const url = currentConfig.chatAlerts[service].url;
+  if (!url) {
+    status.textContent = 'Webhook URLを指定してください';
+    return;
+  }
+  status.textContent = '送信中...';
+  try {
+    const result = await window.electronAPI.testChatAlert(service, currentConfig.chatAlerts);
+    status.textContent = result.success
+      ? '送信しました'
+      : `送信に失敗しました: ${result.error || result.results.find(delivery => !delivery.success)?.error}`;
+  } catch (error) {
+    console.error('Discord・Slackのテスト送信エラー:', error);
+    status.textContent = 'テスト送信に失敗しました: ' + error.message;
   }
+  refreshWebhookLog();
+}
 
-  // 通知音パスを設定
-  const notificationSoundPathInput = document.getElementById('notification-sound-path');
-  if (notificationSoundPathInput) {
-    notificationSoundPathInput.value = currentConfig.notificationSoundPath || '';
+/**
+ * パーク情報の取得設定をレンダリング
+ */
+function renderParkEnrichment() {
+  const parkEnrichment = currentConfig.parkEnrichment;
+  document.getElementById('park-enrichment-enabled').checked = parkEnrichment.enabled || false;
+  document.getElementById('park-enrichment-api-base-url').value = parkEnrichment.apiBaseUrl || '';
+  document.getElementById('park-enrichment-cache-hours').value = parkEnrichment.cacheHours ?? '';
+  renderParkEnrichmentError();
+}
+
+/**
+ * パーク情報の取得設定の検証エラーを表示
+ */
+function renderParkEnrichmentError() {
+  const errorDiv = document.getElementById('park-enrichment-error');
+  if (!errorDiv) return;
+  errorDiv.textContent = parkEnrichmentError || '';
+  errorDiv.style.display = parkEnrichmentError ? 'block' : 'none';
+}
+
+/**
+ * パーク情報の取得設定を更新
+ */
+function updateParkEnrichment(property, value) {
+  if (property === 'apiBaseUrl') {
+    // 空欄の場合はデフォルトのURLに戻す
+    currentConfig.parkEnrichment.apiBaseUrl = value.trim() || defaultConfig.parkEnrichment.apiBaseUrl;
+    document.getElementById('park-enrichment-api-base-url').value = currentConfig.parkEnrichment.apiBaseUrl;
+  } else if (property === 'cacheHours') {
+    currentConfig.parkEnrichment.cacheHours = parseRangeValue(value);
+  } else {
+    currentConfig.parkEnrichment[property] = value;
   }
+  validateConditions();
+}
 
-  // 通知数制限を設定
-  const maxNotificationCountInput = document.getElementById('max-notification-count');
-  if (maxNotificationCountInput) {
-    maxNotificationCountInput.value = currentConfig.maxNotificationCount !== undefined ? currentConfig.maxNotificationCount : 0;
+/**
+ * パーク情報のキャッシュを削除
+ */
+async function clearParkCache() {
+  try {
+    const result = await window.electronAPI.clearParkCache();
+    if (!result || !result.success) {
+      throw new Error(result?.error || '不明なエラーが発生しました。');
+    }
+    alert('パーク情報のキャッシュを削除しました');
+  } catch (error) {
+    console.error('キャッシュの削除エラー:', error);
+    alert('キャッシュの削除に失敗しました: ' + error.message);
   }
+}
 
-  const maxPopupCountInput = document.getElementById('max-popup-count');
-  if (maxPopupCountInput) {
-    maxPopupCountInput.value = currentConfig.maxPopupCount !== undefined ? currentConfig.maxPopupCount : 0;
+/**
+ * グループに条件を追加
+ */
+function addRuleCondition(path) {
+  const group = getRuleNode(path);
+  if (!group || group.type !== 'group') {
+    return;
   }
+
+  group.children.push({
+    type: 'condition',
+    field: 'reference',
+    condition: {
+      value: '',
+      type: 'contains',
+      enabled: true
+    }
+  });
+
+  renderRuleTree();
 }
 
 /**
- * 条件リストをレンダリング
+ * グループにサブグループを追加
  */
-function renderConditions(field) {
-  const container = document.getElementById(`${field}-conditions`);
-  container.innerHTML = '';
+function addRuleGroup(path) {
+  const group = getRuleNode(path);
+  if (!group || group.type !== 'group') {
+    return;
+  }
 
-  const conditions = currentConfig[field]?.conditions || [];
+  group.children.push({ type: 'group', operator: 'and', enabled: true, children: [] });
+  renderRuleTree();
+}
 
-  if (conditions.length === 0) {
-    container.innerHTML = '<div class="empty-message">条件が設定されていません</div>';
+/**
+ * グループを更新
+ */
+function updateRuleGroup(path, property, value) {
+  const group = getRuleNode(path);
+  if (!group || group.type !== 'group') {
     return;
   }
 
-  conditions.forEach((condition, index) => {
-    const conditionItem = createConditionElement(field, condition, index);
-    container.appendChild(conditionItem);
-  });
+  group[property] = value;
+  if (property === 'enabled') {
+    renderRuleTree();
+  }
+  validateConditions();
 }
 
 /**
- * 条件要素を作成
+ * 条件を更新
  */
-function createConditionElement(field, condition, index) {
-  const div = document.createElement('div');
-  div.className = 'condition-item';
-  div.dataset.index = index;
+function updateRuleCondition(path, property, value) {
+  const node = getRuleNode(path);
+  if (!node || node.type !== 'condition') {
+    return;
+  }
 
-  const id = `condition-${field}-${index}-${++conditionIdCounter}`;
+  const condition = node.condition;
+  if (property === 'field') {
+    node.field = value;
+    // 新しいフィールドで使えない条件タイプの場合は先頭のタイプに戻して値をクリア
+    const types = getConditionTypes(value);
+    if (!types.includes(condition.type)) {
+      condition.type = types[0];
+      condition.value = ['within', 'lessThan'].includes(types[0]) ? null : types[0] === 'flag' ? true : '';
+      delete condition.min;
+      delete condition.max;
+    }
+    renderRuleTree();
+  } else {
+    condition[property] = value;
+  }
 
-  div.innerHTML = `
-    <label style="display: flex; align-items: center;">
-      <input 
-        type="checkbox" 
-        id="${id}-enabled"
-        ${condition.enabled !== false ? 'checked' : ''}
-        onchange="updateCondition('${field}', ${index}, 'enabled', this.checked)"
-        style="margin-right: 5px;"
-      />
-    </label>
-    <input 
-      type="text" 
-      id="${id}-value"
-      placeholder="フィルタ値" 
-      value="${escapeHtml(condition.value || '')}"
-      onchange="updateCondition('${field}', ${index}, 'value', this.value)"
-      ${condition.enabled === false ? 'disabled' : ''}
-    />
-    <select 
-      id="${id}-type"
-      onchange="updateCondition('${field}', ${index}, 'type', this.value)"
-      ${condition.enabled === false ? 'disabled' : ''}
-    >
-      <option value="contains" ${condition.type === 'contains' ? 'selected' : ''}>含まれている</option>
-      <option value="exact" ${condition.type === 'exact' ? 'selected' : ''}>完全一致</option>
-    </select>
-    <label>
-      <input 
-        type="checkbox" 
-        id="${id}-exclude"
-        ${condition.exclude ? 'checked' : ''}
-        onchange="updateCondition('${field}', ${index}, 'exclude', this.checked)"
-        ${condition.enabled === false ? 'disabled' : ''}
-      />
-      除外
-    </label>
-    <button class="btn-remove" onclick="removeCondition('${field}', ${index})">削除</button>
-  `;
+  // タイプ・有効フラグが変更された場合は入力欄を切り替えるため再描画
+  if (property === 'type') {
+    // バンド指定に切り替えた場合、選択肢にない値は先頭のバンドに置き換える
+    if (value === 'band' && !availableBands.some(band => band.name === condition.value)) {
+      condition.value = availableBands.length > 0 ? availableBands[0].name : '';
+    }
+    // モードファミリー指定に切り替えた場合、選択肢にない値は先頭のファミリーに置き換える
+    if (value === 'family' && !MODE_FAMILY_LABELS[condition.value]) {
+      condition.value = Object.keys(MODE_FAMILY_LABELS)[0];
+    }
+    renderRuleTree();
+  } else if (property === 'enabled') {
+    renderRuleTree();
+  }
 
-  return div;
+  validateConditions();
 }
 
 /**
- * HTMLエスケープ
+ * ノードを削除
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function removeRuleNode(path) {
+  const indices = path.split('.');
+  const index = parseInt(indices.pop(), 10);
+  const parent = getRuleNode(indices.join('.'));
+  if (!parent || !parent.children || !parent.children[index]) {
+    return;
+  }
+
+  parent.children.splice(index, 1);
+  renderRuleTree();
+  // パスがずれるため検証し直す
+  validateConditions();
 }
 
 /**
- * 条件を追加
+ * 条件を検証してエラーを表示
+ * @returns {Promise<boolean>} エラーがない場合true
  */
-function addCondition(field) {
-  if (!currentConfig[field]) {
-    currentConfig[field] = { conditions: [], operator: 'or' };
+async function validateConditions() {
+  try {
+    const errors = await window.electronAPI.validateFilterConfig(currentConfig);
+    showConditionErrors(errors);
+    schedulePreview();
+    return errors.length === 0;
+  } catch (error) {
+    console.error('フィルタ設定の検証エラー:', error);
+    return true;
   }
+}
 
-  currentConfig[field].conditions.push({
-    value: '',
-    type: 'contains',
-    exclude: false,
-    enabled: true
+/**
+ * 検証エラーをノードに表示
+ * 編集中のルールのエラーはノードに、他のルールのエラーはルール一覧に表示する
+ * @param {Array<{ruleIndex: number, path: number[], message: string}>} errors - 検証エラー
+ */
+function showConditionErrors(errors) {
+  conditionErrors = {};
+  ruleErrorIndices = new Set();
+  watchlistErrors = {};
+  spotterListErrors = { allowList: {}, denyList: {} };
+  homeLocationError = null;
+  parkEnrichmentError = null;
+  spotClientError = null;
+  spotSourcesError = null;
+  webhookError = null;
+  chatAlertsError = null;
+  modeFamilyErrors = {};
+  (errors || []).forEach(error => {
+    if (error.spotClient) {
+      spotClientError = error.message;
+      return;
+    }
+    if (error.spotSources) {
+      spotSourcesError = error.message;
+      return;
+    }
+    if (error.webhook) {
+      webhookError = error.message;
+      return;
+    }
+    if (error.chatAlerts) {
+      chatAlertsError = error.message;
+      return;
+    }
+    if (error.parkEnrichment) {
+      parkEnrichmentError = error.message;
+      return;
+    }
+    if (error.modeFamilies) {
+      modeFamilyErrors[error.modeFamilyIndex ?? 'unknown'] = error.message;
+      return;
+    }
+    if (error.homeLocation) {
+      homeLocationError = error.message;
+      return;
+    }
+    if (error.watchlistIndex !== undefined) {
+      watchlistErrors[error.watchlistIndex] = error.message;
+      return;
+    }
+    if (error.spotterList !== undefined) {
+      spotterListErrors[error.spotterList][error.index] = error.message;
+      return;
+    }
+    ruleErrorIndices.add(error.ruleIndex);
+    if (error.ruleIndex === selectedRuleIndex) {
+      conditionErrors[(error.path || []).join('.')] = error.message;
+    }
   });
+  renderRuleList();
+  renderWatchlist();
+  renderSpotterList('allowList');
+  renderSpotterList('denyList');
+  renderHomeLocationError();
+  renderParkEnrichmentError();
+  renderSpotClientError();
+  renderSpotSourcesError();
+  renderWebhookError();
+  renderChatAlertsError();
+  renderModeFamilies();
 
-  renderConditions(field);
+  const container = document.getElementById('rule-tree');
+  if (!container) return;
+  container.querySelectorAll('[data-path]').forEach(element => {
+    const message = conditionErrors[element.dataset.path];
+    const errorDiv = element.querySelector(':scope > .condition-error');
+    element.classList.toggle('has-error', Boolean(message));
+    if (errorDiv) {
+      errorDiv.textContent = message || '';
+      errorDiv.style.display = message ? 'block' : 'none';
+    }
+  });
 }
 
 /**
- * 条件を更新
+ * プレビューの更新を予約（連続した変更をまとめて1回だけ実行する）
  */
-function updateCondition(field, index, property, value) {
-  if (!currentConfig[field] || !currentConfig[field].conditions[index]) {
-    return;
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(runFilterPreview, 300);
+}
+
+/**
+ * 保存前の設定でフィルタのプレビューを実行
+ */
+async function runFilterPreview() {
+  // 保存時に読み取る入力欄のうち、判定に影響するものを反映
+  const ruleMatchModeRadio = document.querySelector('input[name="rule-match-mode"]:checked');
+  const config = {
+    ...currentConfig,
+    ruleMatchMode: ruleMatchModeRadio ? ruleMatchModeRadio.value : currentConfig.ruleMatchMode
+  };
+  try {
+    previewResults = await window.electronAPI.previewFilter(config);
+  } catch (error) {
+    console.error('プレビューエラー:', error);
+    previewResults = [];
   }
+  renderFilterPreview();
+}
 
-  currentConfig[field].conditions[index][property] = value;
-  
-  // enabledが変更された場合、入力フィールドの有効/無効を切り替え
-  if (property === 'enabled') {
-    const container = document.getElementById(`${field}-conditions`);
-    const conditionItem = container.querySelector(`.condition-item[data-index="${index}"]`);
-    if (conditionItem) {
-      const valueInput = conditionItem.querySelector('input[type="text"]');
-      const typeSelect = conditionItem.querySelector('select');
-      const excludeCheckbox = conditionItem.querySelector('input[type="checkbox"][id$="-exclude"]');
-      
-      if (valueInput) valueInput.disabled = !value;
-      if (typeSelect) typeSelect.disabled = !value;
-      if (excludeCheckbox) excludeCheckbox.disabled = !value;
+/**
+ * 保存時に読み取る入力欄のうち、通知の件数に影響するものを反映した設定を取得（currentConfigは変更しない）
+ * @returns {Object}
+ */
+function getBacktestConfig() {
+  const config = { ...currentConfig };
+  const ruleMatchModeRadio = document.querySelector('input[name="rule-match-mode"]:checked');
+  if (ruleMatchModeRadio) {
+    config.ruleMatchMode = ruleMatchModeRadio.value;
+  }
+  const qsyActionSelect = document.getElementById('qsy-action');
+  const respotActionSelect = document.getElementById('respot-action');
+  if (qsyActionSelect && respotActionSelect) {
+    config.activationTracking = { qsyAction: qsyActionSelect.value, respotAction: respotActionSelect.value };
+  }
+  const cooldownMinutesInput = document.getElementById('cooldown-minutes');
+  const cooldownAlertOnChangeCheckbox = document.getElementById('cooldown-alert-on-change');
+  if (cooldownMinutesInput && cooldownAlertOnChangeCheckbox) {
+    const minutes = parseInt(cooldownMinutesInput.value, 10);
+    config.alertCooldown = {
+      minutes: isNaN(minutes) || minutes < 0 ? 0 : minutes,
+      alertOnChange: cooldownAlertOnChangeCheckbox.checked
+    };
+  }
+  for (const [id, key] of [['max-notification-count', 'maxNotificationCount'], ['max-popup-count', 'maxPopupCount']]) {
+    const input = document.getElementById(id);
+    if (input) {
+      const value = parseInt(input.value, 10);
+      config[key] = isNaN(value) || value < 0 ? 0 : value;
+    }
+  }
+  return config;
+}
+
+/**
+ * 保存前の設定でバックテストを実行
+ * @param {'history'|'file'} source - 再生するスポット（スポットの履歴・選択したファイル）
+ */
+async function runBacktest(source) {
+  try {
+    const response = await window.electronAPI.runBacktest(getBacktestConfig(), source);
+    if (!response) {
+      return;
     }
+    if (!response.success) {
+      alert('バックテストに失敗しました: ' + response.error);
+      return;
+    }
+    backtestResult = response.result;
+  } catch (error) {
+    console.error('バックテストエラー:', error);
+    alert('バックテストに失敗しました: ' + error.message);
+    return;
+  }
+  renderBacktestResult();
+}
+
+/**
+ * 1時間あたりの件数を表示用の文字列に変換
+ */
+function formatPerHour(count, hourCount) {
+  return `${count}件（1時間あたり${(count / hourCount).toFixed(1)}件）`;
+}
+
+/**
+ * バックテストの結果をレンダリング
+ */
+function renderBacktestResult() {
+  const summary = document.getElementById('backtest-summary');
+  const hoursContainer = document.getElementById('backtest-hours');
+  const matchesContainer = document.getElementById('backtest-matches');
+  if (!summary || !backtestResult) return;
+
+  const { totals, hourCount } = backtestResult;
+  const period = backtestResult.from !== null
+    ? `${new Date(backtestResult.from).toLocaleString()}〜${new Date(backtestResult.to).toLocaleString()}（${hourCount}時間）`
+    : '期間不明';
+  summary.innerHTML = [
+    `${escapeHtml(period)}のスポット${backtestResult.spotCount}件を再生しました。`,
+    `デスクトップ通知: ${formatPerHour(totals.notifications, hourCount)}`,
+    `ポップアップ: ${formatPerHour(totals.popups, hourCount)}`,
+    `読み上げ: ${formatPerHour(totals.voicevox, hourCount)}`,
+    `クールダウンで抑制: ${totals.suppressed}件`
+  ].join('<br>');
+
+  hoursContainer.innerHTML = backtestResult.hours.length === 0 ? '' : `
+    <table class="backtest-table">
+      <thead>
+        <tr><th>時間</th><th>通知</th><th>ポップアップ</th><th>読み上げ</th></tr>
+      </thead>
+      <tbody>
+        ${backtestResult.hours.map(hour => `
+          <tr>
+            <td>${escapeHtml(new Date(hour.hour).toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }))}〜</td>
+            <td>${hour.notifications}</td>
+            <td>${hour.popups}</td>
+            <td>${hour.voicevox}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  if (backtestResult.matches.length === 0) {
+    matchesContainer.innerHTML = '<div class="empty-message">ルールに一致したスポットはありません</div>';
+    return;
+  }
+  const shownNote = backtestResult.matchCount > backtestResult.matches.length
+    ? `（新しい順に${backtestResult.matches.length}件を表示）`
+    : '';
+  matchesContainer.innerHTML = `
+    <p style="font-size: 12px; color: #666; margin-bottom: 6px;">ルールに一致したスポット: ${backtestResult.matchCount}件${shownNote}</p>
+    ${backtestResult.matches.map(match => `
+      <div class="preview-item matched">
+        <div class="preview-header">
+          <span>${match.time !== null ? escapeHtml(new Date(match.time).toLocaleString()) : '-'}</span>
+          <span>${escapeHtml(match.spot.activator || '')}</span>
+          <span>${escapeHtml(match.spot.reference || '')}</span>
+          <span>${escapeHtml(String(match.spot.frequency || ''))} ${escapeHtml(match.spot.mode || '')}</span>
+          ${match.change !== 'new' ? `<span>(${escapeHtml({ qsy: 'QSY', respot: '再スポット', comment: 'コメントの変更' }[match.change] || match.change)})</span>` : ''}
+          <span class="preview-rules">${escapeHtml(match.rules.join(', '))}</span>
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * 判定の経過に表示する条件の内容
+ */
+function describeTraceCondition(condition) {
+  const label = CONDITION_TYPE_LABELS[condition.type] || condition.type;
+  if (condition.type === 'range') {
+    return `${label} ${condition.min ?? ''}〜${condition.max ?? ''}`;
+  }
+  if (condition.type === 'sector') {
+    return `${label} ${condition.min}〜${condition.max}`;
+  }
+  if (condition.type === 'within' || condition.type === 'beyond') {
+    return `${condition.value} km ${label}`;
+  }
+  if (condition.type === 'lessThan' || condition.type === 'atLeast') {
+    return `${condition.value} 回${label}`;
+  }
+  if (condition.type === 'flag') {
+    return condition.value ? 'はい' : 'いいえ';
+  }
+  if (condition.type === 'watchlist') {
+    return label;
   }
+  return `${label} "${condition.value}"`;
 }
 
 /**
- * 条件を削除
+ * 判定結果の表示
  */
-function removeCondition(field, index) {
-  if (!currentConfig[field] || !currentConfig[field].conditions[index]) {
+function formatTraceResult(result, trueLabel, falseLabel) {
+  if (result === null) {
+    return '<span>評価対象外</span>';
+  }
+  return result
+    ? `<span class="trace-true">${trueLabel}</span>`
+    : `<span class="trace-false">${falseLabel}</span>`;
+}
+
+/**
+ * 判定の経過を1行ずつのHTMLに変換
+ */
+function formatTraceEntry(entry) {
+  if (entry.kind === 'global') {
+    return `${formatTraceResult(entry.passed, '通過', '除外')}: ${escapeHtml(entry.message)}`;
+  }
+  if (entry.kind === 'rule') {
+    return `ルール「${escapeHtml(entry.name || '')}」: ${formatTraceResult(entry.matched, '一致', '不一致')}`;
+  }
+  const indent = '  '.repeat(entry.path.length + 1);
+  if (entry.operator) {
+    const operatorLabel = (GROUP_OPERATOR_LABELS[entry.operator] || entry.operator).split(' ')[0];
+    return `${indent}${operatorLabel} グループ: ${formatTraceResult(entry.result, '一致', '不一致')}`;
+  }
+  const fieldLabel = RULE_FIELD_LABELS[entry.field] || entry.field;
+  return `${indent}${escapeHtml(fieldLabel)} ${escapeHtml(describeTraceCondition(entry.condition))} ← "${escapeHtml(entry.value)}": ${formatTraceResult(entry.result, '一致', '不一致')}`;
+}
+
+/**
+ * プレビュー結果をレンダリング
+ */
+function renderFilterPreview() {
+  const container = document.getElementById('filter-preview');
+  const summary = document.getElementById('preview-summary');
+  if (!container) return;
+  container.innerHTML = '';
+
+  if (previewResults.length === 0) {
+    summary.textContent = '';
+    container.innerHTML = '<div class="empty-message">スポットがまだ取得されていません</div>';
     return;
   }
 
-  currentConfig[field].conditions.splice(index, 1);
-  renderConditions(field);
+  const matchedCount = previewResults.filter(result => result.matched).length;
+  const currentCount = previewResults.filter(result => result.current).length;
+  summary.textContent = `${previewResults.length}件（現在のスポット ${currentCount}件）中 ${matchedCount}件が通知対象`;
+
+  const matchedOnly = document.getElementById('preview-matched-only')?.checked;
+  previewResults.forEach((result, index) => {
+    if (matchedOnly && !result.matched) {
+      return;
+    }
+    const { spot } = result;
+    const expanded = expandedPreviewIds.has(spot.spotId);
+    const emptyTraceMessage = result.matched ? '有効な条件がないため通知対象' : '有効なアラートルールがありません';
+    const div = document.createElement('div');
+    div.className = `preview-item${result.matched ? ' matched' : ''}${result.current ? '' : ' past'}`;
+    div.innerHTML = `
+      <div class="preview-header">
+        <span class="preview-status">${result.matched ? '通知' : '除外'}</span>
+        <span>${escapeHtml(spot.activator || '')}</span>
+        <span>${escapeHtml(spot.reference || '')}</span>
+        <span>${escapeHtml(String(spot.frequency || ''))} ${escapeHtml(spot.mode || '')}</span>
+        ${result.current ? '' : '<span>(過去)</span>'}
+        <span class="preview-rules">${escapeHtml(result.matchedRules.join(', '))}</span>
+        <button class="btn-move" onclick="togglePreviewTrace(${index})">${expanded ? '閉じる' : '理由'}</button>
+      </div>
+      ${expanded ? `<div class="preview-trace">${result.trace.map(formatTraceEntry).join('\n') || emptyTraceMessage}</div>` : ''}
+    `;
+    container.appendChild(div);
+  });
+}
+
+/**
+ * スポットの判定の理由の表示を切り替え
+ */
+function togglePreviewTrace(index) {
+  const spotId = previewResults[index]?.spot.spotId;
+  if (expandedPreviewIds.has(spotId)) {
+    expandedPreviewIds.delete(spotId);
+  } else {
+    expandedPreviewIds.add(spotId);
+  }
+  renderFilterPreview();
 }
 
 /**
@@ -316,25 +2189,58 @@ async function testNotificationSound() {
  * 設定を保存
  */
 async function saveSettings() {
-  // オペレーターの値を取得
-  const fields = ['reference', 'comments', 'mode', 'frequency'];
-  fields.forEach(field => {
-    const operatorRadios = document.querySelectorAll(`input[name="${field}-operator"]:checked`);
-    if (operatorRadios.length > 0) {
-      if (!currentConfig[field]) {
-        currentConfig[field] = { conditions: [], operator: 'or' };
-      }
-      currentConfig[field].operator = operatorRadios[0].value;
+  // 名前のないルールには名前を付ける（空の値の条件は保存時にメインプロセスで取り除く）
+  currentConfig.alertRules.forEach((rule, index) => {
+    if (!rule.name || rule.name.trim() === '') {
+      rule.name = `ルール${index + 1}`;
     }
+  });
 
-    // 空の値をフィルタリング
-    if (currentConfig[field] && currentConfig[field].conditions) {
-      currentConfig[field].conditions = currentConfig[field].conditions.filter(
-        c => c.value && c.value.trim() !== ''
-      );
-    }
+  // コールサインが空のウォッチリストのエントリを取り除く
+  currentConfig.watchlist = currentConfig.watchlist.filter(
+    entry => entry.callsign && entry.callsign.trim() !== ''
+  );
+  renderWatchlist();
+
+  // モードが空のモードファミリーの対応表のエントリを取り除く
+  currentConfig.modeFamilies.mappings = currentConfig.modeFamilies.mappings.filter(
+    mapping => mapping.mode && mapping.mode.trim() !== ''
+  );
+  renderModeFamilies();
+
+  // コールサインが空のspotterリストのエントリを取り除く
+  ['allowList', 'denyList'].forEach(listName => {
+    currentConfig.spotterFilter[listName] = currentConfig.spotterFilter[listName].filter(
+      entry => entry.callsign && entry.callsign.trim() !== ''
+    );
+    renderSpotterList(listName);
   });
 
+  // ルールの一致方法を取得
+  const ruleMatchModeRadio = document.querySelector('input[name="rule-match-mode"]:checked');
+  if (ruleMatchModeRadio) {
+    currentConfig.ruleMatchMode = ruleMatchModeRadio.value;
+  }
+
+  // IARUリージョンを取得
+  const iaruRegionSelect = document.getElementById('iaru-region');
+  if (iaruRegionSelect) {
+    currentConfig.iaruRegion = parseInt(iaruRegionSelect.value, 10) || DEFAULT_IARU_REGION;
+  }
+
+  // ルール名を付けたので再描画してから検証
+  renderAlertRules();
+  if (!(await validateConditions())) {
+    // 編集中のルールにエラーがない場合はエラーのあるルールを表示
+    if (!ruleErrorIndices.has(selectedRuleIndex) && ruleErrorIndices.size > 0) {
+      selectedRuleIndex = Math.min(...ruleErrorIndices);
+      renderAlertRules();
+      await validateConditions();
+    }
+    alert('フィルタ条件に不正な値があります。エラーが表示されている条件を修正してください。');
+    return;
+  }
+
   // ignoreOtherSpottersオプションを取得
   const ignoreOtherSpottersCheckbox = document.getElementById('ignore-other-spotters');
   if (ignoreOtherSpottersCheckbox) {
@@ -347,6 +2253,57 @@ async function saveSettings() {
     currentConfig.notificationSoundPath = notificationSoundPathInput.value || null;
   }
 
+  // QSY・再スポットの通知設定を取得
+  const qsyActionSelect = document.getElementById('qsy-action');
+  const respotActionSelect = document.getElementById('respot-action');
+  if (qsyActionSelect && respotActionSelect) {
+    currentConfig.activationTracking = {
+      qsyAction: qsyActionSelect.value,
+      respotAction: respotActionSelect.value
+    };
+  }
+
+  // クールダウンの設定を取得
+  const cooldownMinutesInput = document.getElementById('cooldown-minutes');
+  const cooldownAlertOnChangeCheckbox = document.getElementById('cooldown-alert-on-change');
+  if (cooldownMinutesInput && cooldownAlertOnChangeCheckbox) {
+    const value = parseInt(cooldownMinutesInput.value, 10);
+    currentConfig.alertCooldown = {
+      minutes: isNaN(value) || value < 0 ? 0 : value,
+      alertOnChange: cooldownAlertOnChangeCheckbox.checked
+    };
+  }
+
+  // 起動時の通知の設定を取得
+  const startupPolicyModeSelect = document.getElementById('startup-policy-mode');
+  const startupPolicyRecentMinutesInput = document.getElementById('startup-policy-recent-minutes');
+  const startupPolicyRetentionHoursInput = document.getElementById('startup-policy-retention-hours');
+  if (startupPolicyModeSelect && startupPolicyRecentMinutesInput && startupPolicyRetentionHoursInput) {
+    const defaults = defaultConfig.startupPolicy;
+    const recentMinutes = parseInt(startupPolicyRecentMinutesInput.value, 10);
+    const retentionHours = parseInt(startupPolicyRetentionHoursInput.value, 10);
+    currentConfig.startupPolicy = {
+      mode: startupPolicyModeSelect.value,
+      recentMinutes: isNaN(recentMinutes) || recentMinutes < 0 ? defaults.recentMinutes : recentMinutes,
+      retentionHours: isNaN(retentionHours) || retentionHours < 0 ? defaults.retentionHours : retentionHours
+    };
+  }
+
+  // スポットの履歴の保存設定を取得
+  const historyEnabledCheckbox = document.getElementById('history-enabled');
+  const historyRetentionDaysInput = document.getElementById('history-retention-days');
+  const historyMaxEntriesInput = document.getElementById('history-max-entries');
+  if (historyEnabledCheckbox && historyRetentionDaysInput && historyMaxEntriesInput) {
+    const defaults = defaultConfig.history;
+    const retentionDays = parseInt(historyRetentionDaysInput.value, 10);
+    const maxEntries = parseInt(historyMaxEntriesInput.value, 10);
+    currentConfig.history = {
+      enabled: historyEnabledCheckbox.checked,
+      retentionDays: isNaN(retentionDays) || retentionDays < 1 ? defaults.retentionDays : retentionDays,
+      maxEntries: isNaN(maxEntries) || maxEntries < 1 ? defaults.maxEntries : maxEntries
+    };
+  }
+
   // 通知数制限を取得
   const maxNotificationCountInput = document.getElementById('max-notification-count');
   if (maxNotificationCountInput) {
@@ -366,6 +2323,9 @@ async function saveSettings() {
       alert('設定を保存しました');
       window.close();
     } else {
+      if (result.validationErrors) {
+        showConditionErrors(result.validationErrors);
+      }
       alert('設定の保存に失敗しました: ' + (result.error || '不明なエラー'));
     }
   } catch (error) {
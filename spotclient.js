@@ -0,0 +1,305 @@
+/**
+ * スポットの取得
+ * メインプロセスからスポットAPI（POTAの/v1/spotsなど）を呼び出し、レスポンスを検証する
+ */
+
+const { RETRY_BASE_DELAY_MS, fetchJson, isValidHttpUrl, sleep } = require('./httpclient');
+
+/**
+ * デフォルトのスポットAPIのベースURL
+ */
+const DEFAULT_SPOT_API_BASE_URL = 'https://api.pota.app';
+
+/**
+ * 起動後、最初にスポットを取得するまでの待ち時間（ミリ秒）
+ */
+const INITIAL_POLL_DELAY_MS = 3000;
+
+/**
+ * 取得間隔の下限（秒）
+ */
+const MIN_POLL_INTERVAL_SECONDS = 5;
+
+/**
+ * 取得に失敗し続けた場合の取得間隔の上限（秒）
+ */
+const MAX_ERROR_BACKOFF_SECONDS = 300;
+
+/**
+ * 操作がない状態をアイドルとみなすまでの時間（秒）
+ */
+const IDLE_THRESHOLD_SECONDS = 300;
+
+/**
+ * ページの通信から受け取ったスポットを最新とみなす時間（秒）
+ * この時間内にページがスポットを取得している場合は自分では取得しない
+ */
+const PASSIVE_CAPTURE_MAX_AGE_SECONDS = 90;
+
+/**
+ * スポットの取得設定
+ * @typedef {Object} SpotClientSettings
+ * @property {string} apiBaseUrl - スポットAPIのベースURL（ローカルの代替サーバーを指定可能）
+ * @property {number} timeoutSeconds - タイムアウト（秒）
+ * @property {number} maxRetries - 失敗時の再試行回数
+ * @property {number} pollIntervalSeconds - 取得間隔（秒）
+ * @property {number} idleIntervalSeconds - アイドル・画面ロック中の取得間隔（秒、0の場合は通常の間隔のまま）
+ * @property {boolean} passiveCapture - pota.appのページが取得したスポットを使用する
+ * @property {number} healthAlertMinutes - 取得の失敗がこの時間（分）続いた場合と復旧した場合に通知する（0の場合は通知しない）
+ */
+
+/**
+ * スポットの取得状況
+ * @typedef {Object} SpotClientStatus
+ * @property {number|null} lastSuccessAt - 最後に取得に成功した時刻（ミリ秒）
+ * @property {number|null} lastErrorAt - 最後に取得に失敗した時刻（ミリ秒）
+ * @property {string|null} lastError - 最後のエラーメッセージ
+ * @property {number} consecutiveErrors - 連続して取得に失敗した回数
+ * @property {number|null} failingSince - 取得に失敗し始めた時刻（ミリ秒、正常な場合はnull）
+ * @property {boolean} healthAlerted - 取得の失敗を通知済みか
+ */
+
+/**
+ * 条件付きリクエストに使用する前回のレスポンスの情報
+ * @typedef {Object} SpotValidators
+ * @property {string} [etag] - ETagヘッダー
+ * @property {string} [lastModified] - Last-Modifiedヘッダー
+ */
+
+/**
+ * スポットの取得結果
+ * @typedef {Object} FetchSpotsResult
+ * @property {Object[]|null} spots - スポットデータの配列（形式が不正なスポットは除く。notModifiedの場合はnull）
+ * @property {number} invalidCount - 形式が不正なため除いたスポットの数
+ * @property {number} attempts - リクエストした回数
+ * @property {boolean} notModified - 前回から変更がない（304 Not Modified）
+ * @property {SpotValidators} validators - 次回の条件付きリクエストに使用する情報
+ */
+
+/**
+ * デフォルトのスポットの取得設定を作成
+ * @returns {SpotClientSettings}
+ */
+function createDefaultSpotClientSettings() {
+  return {
+    apiBaseUrl: DEFAULT_SPOT_API_BASE_URL,
+    timeoutSeconds: 10,
+    maxRetries: 2,
+    pollIntervalSeconds: 10,
+    idleIntervalSeconds: 60,
+    passiveCapture: true,
+    healthAlertMinutes: 5
+  };
+}
+
+/**
+ * スポットの取得設定を検証
+ * @param {SpotClientSettings} spotClient - スポットの取得設定
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateSpotClientSettings(spotClient) {
+  if (!spotClient) {
+    return null;
+  }
+  if (spotClient.apiBaseUrl && !isValidHttpUrl(spotClient.apiBaseUrl)) {
+    return `スポットAPIのURLが不正です: ${spotClient.apiBaseUrl}`;
+  }
+  if (typeof spotClient.timeoutSeconds !== 'number' || isNaN(spotClient.timeoutSeconds) || spotClient.timeoutSeconds <= 0) {
+    return 'タイムアウトには0より大きい数値（秒）を指定してください';
+  }
+  if (!Number.isInteger(spotClient.maxRetries) || spotClient.maxRetries < 0) {
+    return '再試行回数には0以上の整数を指定してください';
+  }
+  if (typeof spotClient.pollIntervalSeconds !== 'number' || isNaN(spotClient.pollIntervalSeconds) ||
+      spotClient.pollIntervalSeconds < MIN_POLL_INTERVAL_SECONDS) {
+    return `取得間隔には${MIN_POLL_INTERVAL_SECONDS}以上の数値（秒）を指定してください`;
+  }
+  if (typeof spotClient.idleIntervalSeconds !== 'number' || isNaN(spotClient.idleIntervalSeconds) || spotClient.idleIntervalSeconds < 0) {
+    return 'アイドル時の取得間隔には0以上の数値（秒）を指定してください';
+  }
+  if (typeof spotClient.healthAlertMinutes !== 'number' || isNaN(spotClient.healthAlertMinutes) || spotClient.healthAlertMinutes < 0) {
+    return '取得の失敗を通知するまでの時間には0以上の数値（分）を指定してください';
+  }
+  return null;
+}
+
+/**
+ * スポットとして処理できる形式か
+ * spotIdとactivator・frequency、文字列のreference（リファレンスのないスポットは空文字）があるものを有効とする
+ * @param {*} spot - スポットデータ
+ * @returns {boolean}
+ */
+function isValidSpot(spot) {
+  if (!spot || typeof spot !== 'object' || Array.isArray(spot)) {
+    return false;
+  }
+  const hasSpotId = typeof spot.spotId === 'number' || (typeof spot.spotId === 'string' && spot.spotId !== '');
+  const hasText = value => typeof value === 'string' && value.trim() !== '';
+  return hasSpotId && hasText(spot.activator) && typeof spot.reference === 'string' &&
+    (hasText(spot.frequency) || typeof spot.frequency === 'number');
+}
+
+/**
+ * スポットAPIのレスポンスを検証し、スポットを共通の形式に変換
+ * @param {*} body - レスポンスボディ
+ * @param {function(Object): Object|null} [normalize] - 取得元の形式のスポットを共通の形式に変換する関数（変換できない場合はnull）
+ * @returns {{spots: Object[], invalidCount: number}}
+ * @throws {Error} レスポンスがスポットの配列でない場合
+ */
+function validateSpotsResponse(body, normalize = spot => spot) {
+  if (!Array.isArray(body)) {
+    throw new Error('スポット一覧の形式が不正です（配列ではありません）');
+  }
+  const spots = body
+    .map(spot => (spot && typeof spot === 'object' ? normalize(spot) : null))
+    .filter(isValidSpot);
+  return { spots, invalidCount: body.length - spots.length };
+}
+
+/**
+ * 再試行する価値のあるエラーか（通信エラー・タイムアウト・サーバーエラー・リクエスト過多）
+ * @param {Error} error - エラー
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (error.status === undefined) {
+    return !error.invalidResponse;
+  }
+  return error.status >= 500 || error.status === 429;
+}
+
+/**
+ * 前回のレスポンスの情報から条件付きリクエストのヘッダーを作成
+ * @param {SpotValidators} validators - 前回のレスポンスの情報
+ * @returns {Object<string, string>}
+ */
+function createConditionalHeaders(validators) {
+  const headers = {};
+  if (validators?.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators?.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * URLからスポット一覧を取得
+ * 通信エラー・タイムアウト・サーバーエラーの場合は指数バックオフで再試行する
+ * 前回のレスポンスにETag・Last-Modifiedがあった場合は条件付きリクエストにする
+ * @param {string} url - スポット一覧のURL
+ * @param {SpotClientSettings} [spotClient] - スポットの取得設定（タイムアウト・再試行回数を使用）
+ * @param {SpotValidators} [validators] - 前回のレスポンスの情報
+ * @param {function(Object): Object|null} [normalize] - 取得元の形式のスポットを共通の形式に変換する関数
+ * @returns {Promise<FetchSpotsResult>}
+ * @throws {Error} 再試行しても取得できない場合（statusにHTTPステータスコードを設定）
+ */
+async function fetchSpotList(url, spotClient = createDefaultSpotClientSettings(), validators = {}, normalize = undefined) {
+  const timeoutMs = (spotClient.timeoutSeconds || 10) * 1000;
+  const maxRetries = spotClient.maxRetries ?? 2;
+  const headers = createConditionalHeaders(validators);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetchJson(url, { timeoutMs, headers });
+      if (response.status === 304) {
+        return { spots: null, invalidCount: 0, attempts: attempt + 1, notModified: true, validators };
+      }
+      if (response.status !== 200) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      let result;
+      try {
+        result = validateSpotsResponse(response.body, normalize);
+      } catch (error) {
+        error.invalidResponse = true;
+        throw error;
+      }
+      return {
+        ...result,
+        attempts: attempt + 1,
+        notModified: false,
+        validators: {
+          etag: response.headers.etag,
+          lastModified: response.headers['last-modified']
+        }
+      };
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`スポットの取得に失敗しました（${delay}ms後に再試行）:`, error.message);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * 次にスポットを取得するまでの待ち時間を計算
+ * アイドル・画面ロック中はアイドル時の取得間隔にし、取得に失敗し続けている場合は失敗回数に応じて間隔を倍にする
+ * @param {SpotClientSettings} [spotClient] - スポットの取得設定
+ * @param {Object} [state]
+ * @param {number} [state.consecutiveErrors] - 連続して取得に失敗した回数
+ * @param {string} [state.idleState] - システムのアイドル状態（'active' | 'idle' | 'locked' | 'unknown'）
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function getPollDelayMs(spotClient, state = {}) {
+  let seconds = Math.max(spotClient?.pollIntervalSeconds || 10, MIN_POLL_INTERVAL_SECONDS);
+  const idleSeconds = spotClient?.idleIntervalSeconds || 0;
+  if ((state.idleState === 'idle' || state.idleState === 'locked') && idleSeconds > seconds) {
+    seconds = idleSeconds;
+  }
+  const consecutiveErrors = state.consecutiveErrors || 0;
+  if (consecutiveErrors > 0) {
+    seconds = Math.min(seconds * 2 ** consecutiveErrors, Math.max(MAX_ERROR_BACKOFF_SECONDS, seconds));
+  }
+  return seconds * 1000;
+}
+
+/**
+ * 取得の失敗を通知する時間になったか（通知済みの場合はfalse）
+ * @param {SpotClientStatus} status - スポットの取得状況
+ * @param {number} healthAlertMinutes - 通知するまでの時間（分、0の場合は通知しない）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {boolean}
+ */
+function isHealthAlertDue(status, healthAlertMinutes, now) {
+  return healthAlertMinutes > 0 && status.failingSince !== null && !status.healthAlerted &&
+    now - status.failingSince >= healthAlertMinutes * 60 * 1000;
+}
+
+/**
+ * 取得状況をウィンドウのタイトルに表示する文字列を作成
+ * 例: 「POTA Notification - 最終取得 12:34:56」「POTA Notification - 取得エラー（3回連続、12:30:00から）」
+ * @param {string} baseTitle - アプリ名
+ * @param {SpotClientStatus} status - スポットの取得状況
+ * @returns {string}
+ */
+function formatStatusTitle(baseTitle, status) {
+  const formatTime = time => new Date(time).toLocaleTimeString();
+  if (status.failingSince !== null && status.consecutiveErrors > 0) {
+    return `${baseTitle} - 取得エラー（${status.consecutiveErrors}回連続、${formatTime(status.failingSince)}から）`;
+  }
+  if (status.lastSuccessAt !== null) {
+    return `${baseTitle} - 最終取得 ${formatTime(status.lastSuccessAt)}`;
+  }
+  return baseTitle;
+}
+
+module.exports = {
+  DEFAULT_SPOT_API_BASE_URL,
+  INITIAL_POLL_DELAY_MS,
+  IDLE_THRESHOLD_SECONDS,
+  PASSIVE_CAPTURE_MAX_AGE_SECONDS,
+  createDefaultSpotClientSettings,
+  validateSpotClientSettings,
+  validateSpotsResponse,
+  fetchSpotList,
+  getPollDelayMs,
+  isHealthAlertDue,
+  formatStatusTitle
+};
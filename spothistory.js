@@ -0,0 +1,433 @@
+/**
+ * スポットの履歴
+ * 新規・QSY・再スポットとして処理したスポットと通知したかどうか（通知しなかった理由）をファイルに記録し、検索・CSV/ADIFへの書き出しを行う
+ */
+
+const fs = require('fs').promises;
+const { DEFAULT_IARU_REGION, parseFrequencyKhz, getBandForFrequency } = require('./bands');
+
+/**
+ * 検索結果の最大件数のデフォルト
+ */
+const DEFAULT_SEARCH_LIMIT = 1000;
+
+/**
+ * 履歴の保存設定
+ * @typedef {Object} HistorySettings
+ * @property {boolean} enabled - 履歴を記録する
+ * @property {number} retentionDays - 保存期間（日）
+ * @property {number} maxEntries - 保存する最大件数（古いものから削除）
+ */
+
+/**
+ * 履歴のエントリ
+ * @typedef {Object} HistoryEntry
+ * @property {*} spotId - スポットID
+ * @property {string} source - 取得元
+ * @property {string} activator - activator
+ * @property {string} reference - リファレンス
+ * @property {string} name - パーク名など
+ * @property {string} locationDesc - 所在地
+ * @property {string} frequency - 周波数（kHz）
+ * @property {string|null} band - バンド
+ * @property {string} mode - モード
+ * @property {string} spotter - spotter
+ * @property {string} comments - コメント
+ * @property {string} spotTime - スポットの投稿時刻
+ * @property {number} receivedAt - 受信した時刻（ミリ秒）
+ * @property {import('./activations').SpotChange} change - スポットの変化の種類
+ * @property {string[]} [matchedRules] - 一致したルール名（フィルタを通過したがクールダウンなどで通知しなかった場合も含む。以前の履歴にはない）
+ * @property {boolean} notified - 通知したかどうか
+ * @property {string} reason - 通知した・しなかった理由（一致したルール名など）
+ * @property {string} [origin] - POTAのスポットの投稿元（Web・RBNなど）
+ * @property {number} [latitude] - 緯度
+ * @property {number} [longitude] - 経度
+ * @property {string} [grid4] - グリッドロケーター（4桁）
+ * @property {string} [grid6] - グリッドロケーター（6桁）
+ */
+
+/**
+ * バックテストでフィルタを適用できるよう、ある場合のみ記録するスポットの項目
+ */
+const OPTIONAL_SPOT_FIELDS = ['origin', 'latitude', 'longitude', 'grid4', 'grid6'];
+
+/**
+ * 履歴の検索条件
+ * @typedef {Object} HistoryQuery
+ * @property {string} [activator] - activator（部分一致）
+ * @property {string} [reference] - リファレンス（部分一致）
+ * @property {string} [band] - バンド（例: 20m）
+ * @property {string} [mode] - モード（完全一致）
+ * @property {number|null} [from] - 受信した時刻の下限（ミリ秒）
+ * @property {number|null} [to] - 受信した時刻の上限（ミリ秒）
+ * @property {'all'|'notified'|'notNotified'} [notified] - 通知したかどうか
+ * @property {number} [limit] - 最大件数
+ */
+
+/**
+ * デフォルトの履歴の保存設定を作成
+ * @returns {HistorySettings}
+ */
+function createDefaultHistorySettings() {
+  return {
+    enabled: true,
+    retentionDays: 7,
+    maxEntries: 50000
+  };
+}
+
+/**
+ * 履歴の保存設定を検証
+ * @param {HistorySettings} history - 履歴の保存設定
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateHistorySettings(history) {
+  if (!history) {
+    return null;
+  }
+  if (typeof history.retentionDays !== 'number' || isNaN(history.retentionDays) || history.retentionDays <= 0) {
+    return '履歴の保存期間には0より大きい数値（日）を指定してください';
+  }
+  if (!Number.isInteger(history.maxEntries) || history.maxEntries < 1) {
+    return '履歴の最大件数には1以上の整数を指定してください';
+  }
+  return null;
+}
+
+/**
+ * スポットから履歴のエントリを作成
+ * @param {Object} spot - スポットデータ
+ * @param {Object} outcome
+ * @param {import('./activations').SpotChange} outcome.change - スポットの変化の種類
+ * @param {string[]} [outcome.matchedRules] - 一致したルール名
+ * @param {boolean} outcome.notified - 通知したかどうか
+ * @param {string} outcome.reason - 通知した・しなかった理由
+ * @param {number} now - 受信した時刻（ミリ秒）
+ * @param {number} [region] - バンド判定に使うIARUリージョン
+ * @returns {HistoryEntry}
+ */
+function createHistoryEntry(spot, outcome, now, region = DEFAULT_IARU_REGION) {
+  const text = value => (value === null || value === undefined ? '' : String(value));
+  const entry = {
+    spotId: spot.spotId,
+    source: spot.source || 'POTA',
+    activator: text(spot.activator),
+    reference: text(spot.reference),
+    name: text(spot.name || spot.parkName),
+    locationDesc: text(spot.locationDesc),
+    frequency: text(spot.frequency),
+    band: getBandForFrequency(spot.frequency, region),
+    mode: text(spot.mode),
+    spotter: text(spot.spotter),
+    comments: text(spot.comments),
+    spotTime: text(spot.spotTime),
+    receivedAt: now,
+    change: outcome.change,
+    matchedRules: outcome.matchedRules || [],
+    notified: outcome.notified,
+    reason: outcome.reason
+  };
+  for (const field of OPTIONAL_SPOT_FIELDS) {
+    if (spot[field] !== null && spot[field] !== undefined && spot[field] !== '') {
+      entry[field] = spot[field];
+    }
+  }
+  return entry;
+}
+
+/**
+ * エントリのスポットがフィルタを通過した（いずれかのルールに一致した）かどうか
+ * 一致したルールを記録していない以前の履歴は通知したかどうかで判定する
+ * @param {HistoryEntry} entry - 履歴のエントリ
+ * @returns {boolean}
+ */
+function isEntryMatched(entry) {
+  return Array.isArray(entry.matchedRules) ? entry.matchedRules.length > 0 : Boolean(entry.notified);
+}
+
+/**
+ * 保存期間・最大件数を超えた古いエントリを除く
+ * @param {HistoryEntry[]} entries - 履歴（古い順）
+ * @param {HistorySettings} [history] - 履歴の保存設定
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {HistoryEntry[]} 古い順の履歴
+ */
+function pruneHistory(entries, history, now = Date.now()) {
+  const settings = { ...createDefaultHistorySettings(), ...history };
+  const cutoff = now - settings.retentionDays * 24 * 60 * 60 * 1000;
+  const recent = entries.filter(entry => entry.receivedAt >= cutoff);
+  return recent.length > settings.maxEntries ? recent.slice(-settings.maxEntries) : recent;
+}
+
+/**
+ * 履歴を読み込み（1行に1エントリのJSON Lines形式。読み取れない行は無視する）
+ * @param {string} historyFilePath - 履歴ファイルのパス
+ * @returns {Promise<HistoryEntry[]>} 古い順の履歴（ファイルがない場合は空配列）
+ */
+async function loadHistory(historyFilePath) {
+  let data;
+  try {
+    data = await fs.readFile(historyFilePath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('履歴の読み込みエラー:', error);
+    }
+    return [];
+  }
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.receivedAt === 'number') {
+        entries.push(entry);
+      }
+    } catch (error) {
+      // 書き込み中に終了した場合などの壊れた行は無視
+    }
+  }
+  return entries;
+}
+
+/**
+ * 履歴にエントリを追加で書き込み
+ * @param {string} historyFilePath - 履歴ファイルのパス
+ * @param {HistoryEntry[]} entries - 追加するエントリ
+ */
+async function appendHistory(historyFilePath, entries) {
+  if (entries.length === 0) {
+    return { success: true };
+  }
+  try {
+    await fs.appendFile(historyFilePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf-8');
+    return { success: true };
+  } catch (error) {
+    console.error('履歴の書き込みエラー:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 履歴ファイルを書き直す（古いエントリを削除した後に使用）
+ * @param {string} historyFilePath - 履歴ファイルのパス
+ * @param {HistoryEntry[]} entries - 古い順の履歴
+ */
+async function saveHistory(historyFilePath, entries) {
+  try {
+    const data = entries.map(entry => JSON.stringify(entry)).join('\n');
+    await fs.writeFile(historyFilePath, data ? `${data}\n` : '', 'utf-8');
+    return { success: true };
+  } catch (error) {
+    console.error('履歴の保存エラー:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 大文字小文字を区別しない部分一致
+ */
+function includesText(value, search) {
+  return String(value || '').toUpperCase().includes(String(search).trim().toUpperCase());
+}
+
+/**
+ * 履歴を検索
+ * @param {HistoryEntry[]} entries - 古い順の履歴
+ * @param {HistoryQuery} [query] - 検索条件（未指定の項目は条件にしない）
+ * @returns {{entries: HistoryEntry[], total: number}} 新しい順の検索結果（最大件数まで）と一致した件数
+ */
+function searchHistory(entries, query = {}) {
+  const matches = entries.filter(entry => {
+    if (query.activator && !includesText(entry.activator, query.activator)) {
+      return false;
+    }
+    if (query.reference && !includesText(entry.reference, query.reference)) {
+      return false;
+    }
+    if (query.band && entry.band !== query.band) {
+      return false;
+    }
+    if (query.mode && String(entry.mode || '').toUpperCase() !== String(query.mode).trim().toUpperCase()) {
+      return false;
+    }
+    if (typeof query.from === 'number' && entry.receivedAt < query.from) {
+      return false;
+    }
+    if (typeof query.to === 'number' && entry.receivedAt > query.to) {
+      return false;
+    }
+    if (query.notified === 'notified' && !entry.notified) {
+      return false;
+    }
+    if (query.notified === 'notNotified' && entry.notified) {
+      return false;
+    }
+    return true;
+  });
+  const limit = query.limit > 0 ? query.limit : DEFAULT_SEARCH_LIMIT;
+  return { entries: matches.slice(-limit).reverse(), total: matches.length };
+}
+
+/**
+ * CSVの列（見出しと値の取得方法）
+ */
+const CSV_COLUMNS = [
+  ['received_at', entry => new Date(entry.receivedAt).toISOString()],
+  ['spot_time', entry => entry.spotTime],
+  ['source', entry => entry.source],
+  ['activator', entry => entry.activator],
+  ['reference', entry => entry.reference],
+  ['name', entry => entry.name],
+  ['location', entry => entry.locationDesc],
+  ['frequency', entry => entry.frequency],
+  ['band', entry => entry.band || ''],
+  ['mode', entry => entry.mode],
+  ['spotter', entry => entry.spotter],
+  ['comments', entry => entry.comments],
+  ['change', entry => entry.change],
+  ['matched_rules', entry => (entry.matchedRules || []).join('; ')],
+  ['notified', entry => (entry.notified ? 'yes' : 'no')],
+  ['reason', entry => entry.reason]
+];
+
+/**
+ * CSVの値をエスケープ
+ */
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 履歴をCSVに変換
+ * @param {HistoryEntry[]} entries - 履歴
+ * @returns {string}
+ */
+function formatHistoryCsv(entries) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(([, getValue]) => escapeCsvValue(getValue(entry))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * ADIFのフィールドを作成（長さはUTF-8のバイト数）
+ */
+function adifField(name, value) {
+  const text = String(value ?? '');
+  return text ? `<${name}:${Buffer.byteLength(text, 'utf-8')}>${text}` : '';
+}
+
+/**
+ * 取得元ごとのリファレンスのADIFフィールド名
+ */
+const ADIF_REFERENCE_FIELDS = {
+  POTA: 'POTA_REF',
+  SOTA: 'SOTA_REF',
+  WWFF: 'WWFF_REF'
+};
+
+/**
+ * ADIF（3.1.4）のMODEとして使用できる値
+ */
+const ADIF_MODES = new Set([
+  'AM', 'ARDOP', 'ATV', 'CHIP', 'CLO', 'CONTESTI', 'CW', 'DIGITALVOICE', 'DOMINO', 'DYNAMIC', 'FAX', 'FM',
+  'FSK441', 'FT8', 'HELL', 'ISCAT', 'JT4', 'JT9', 'JT44', 'JT65', 'MFSK', 'MSK144', 'MT63', 'OLIVIA', 'OPERA',
+  'PAC', 'PAX', 'PKT', 'PSK', 'PSK2K', 'Q15', 'QRA64', 'ROS', 'RTTY', 'RTTYM', 'SSB', 'SSTV', 'T10', 'THOR',
+  'THRB', 'TOR', 'V4', 'VOICE', 'WINMOR', 'WSPR'
+]);
+
+/**
+ * ADIFのSUBMODEとして記録するモードと、そのMODE
+ */
+const ADIF_SUBMODES = {
+  USB: 'SSB',
+  LSB: 'SSB',
+  FT4: 'MFSK',
+  FST4: 'MFSK',
+  FST4W: 'MFSK',
+  JS8: 'MFSK',
+  Q65: 'MFSK',
+  PSK31: 'PSK',
+  PSK63: 'PSK',
+  PSK125: 'PSK',
+  BPSK31: 'PSK',
+  QPSK31: 'PSK',
+  C4FM: 'DIGITALVOICE',
+  DMR: 'DIGITALVOICE',
+  DSTAR: 'DIGITALVOICE',
+  FREEDV: 'DIGITALVOICE'
+};
+
+/**
+ * スポットのモードをADIFのMODE・SUBMODEに変換
+ * @param {string} mode - スポットのモード
+ * @returns {{mode: string, submode: string}|null} ADIFにないモード（PHONE・DATAなど）の場合はnull
+ */
+function getAdifMode(mode) {
+  const name = String(mode || '').trim().toUpperCase();
+  if (ADIF_SUBMODES[name]) {
+    return { mode: ADIF_SUBMODES[name], submode: name };
+  }
+  return ADIF_MODES.has(name) ? { mode: name, submode: '' } : null;
+}
+
+/**
+ * 履歴をADIFに変換
+ * スポットの投稿時刻（わからない場合は受信した時刻）をQSO_DATE・TIME_ONにする
+ * モードはADIFのMODE・SUBMODEに変換し、ADIFにないモードはMODEを省略してCOMMENTに記録する
+ * @param {HistoryEntry[]} entries - 履歴
+ * @param {number} [now] - 作成時刻（ミリ秒）
+ * @returns {string}
+ */
+function formatHistoryAdif(entries, now = Date.now()) {
+  const header = [
+    'POTA Notification spot history',
+    adifField('ADIF_VER', '3.1.4'),
+    adifField('PROGRAMID', 'POTA Notification'),
+    adifField('CREATED_TIMESTAMP', new Date(now).toISOString().replace(/[-:]/g, '').replace('T', ' ').slice(0, 15)),
+    '<EOH>'
+  ].join('\n');
+
+  const records = entries.map(entry => {
+    const spotTime = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/i.test(entry.spotTime) ? entry.spotTime : `${entry.spotTime}Z`);
+    const time = new Date(isNaN(spotTime) ? entry.receivedAt : spotTime).toISOString();
+    const frequencyKhz = parseFrequencyKhz(entry.frequency);
+    const adifMode = getAdifMode(entry.mode);
+    const fields = [
+      adifField('CALL', entry.activator),
+      adifField('QSO_DATE', time.slice(0, 10).replace(/-/g, '')),
+      adifField('TIME_ON', time.slice(11, 19).replace(/:/g, '')),
+      adifField('FREQ', frequencyKhz !== null ? String(frequencyKhz / 1000) : ''),
+      adifField('BAND', entry.band ? entry.band.toUpperCase() : ''),
+      adifField('MODE', adifMode?.mode),
+      adifField('SUBMODE', adifMode?.submode),
+      ADIF_REFERENCE_FIELDS[entry.source] ? adifField(ADIF_REFERENCE_FIELDS[entry.source], entry.reference) : '',
+      adifField('COMMENT', [
+        entry.comments,
+        entry.spotter ? `spotter: ${entry.spotter}` : '',
+        !adifMode && entry.mode ? `mode: ${entry.mode}` : ''
+      ].filter(Boolean).join(' / '))
+    ];
+    return `${fields.filter(Boolean).join(' ')} <EOR>`;
+  });
+
+  return `${header}\n${records.join('\n')}\n`;
+}
+
+module.exports = {
+  createDefaultHistorySettings,
+  validateHistorySettings,
+  createHistoryEntry,
+  isEntryMatched,
+  pruneHistory,
+  loadHistory,
+  appendHistory,
+  saveHistory,
+  searchHistory,
+  formatHistoryCsv,
+  formatHistoryAdif
+};
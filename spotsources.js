@@ -0,0 +1,274 @@
+/**
+ * スポットの取得元
+ * POTA・SOTA・WWFF・DXクラスターのスポットを共通の形式（POTAの/v1/spotsの形式にsourceを加えたもの）に変換する
+ */
+
+const { isValidHttpUrl } = require('./httpclient');
+const { DEFAULT_SPOT_API_BASE_URL, fetchSpotList } = require('./spotclient');
+const { getActivationKey } = require('./activations');
+
+/**
+ * スポットの取得元（スポットのsourceフィールドの値）
+ */
+const SPOT_SOURCES = ['POTA', 'SOTA', 'WWFF', 'DXC'];
+
+/**
+ * デフォルトのSOTAのスポットAPIのベースURL
+ */
+const DEFAULT_SOTA_API_BASE_URL = 'https://api2.sota.org.uk';
+
+/**
+ * デフォルトのWWFFのスポット一覧のベースURL
+ */
+const DEFAULT_WWFF_API_BASE_URL = 'https://spots.wwff.co';
+
+/**
+ * デフォルトのDXクラスターのポート番号
+ */
+const DEFAULT_DX_CLUSTER_PORT = 7300;
+
+/**
+ * SOTAのスポットAPIから取得する件数
+ */
+const SOTA_SPOT_COUNT = 50;
+
+/**
+ * HTTPで取得する取得元の設定
+ * @typedef {Object} HttpSourceSettings
+ * @property {boolean} enabled - この取得元からスポットを取得する
+ * @property {string} [apiBaseUrl] - APIのベースURL（POTAの場合はスポットの取得設定のURLを使用）
+ */
+
+/**
+ * DXクラスターの設定
+ * @typedef {Object} DxClusterSettings
+ * @property {boolean} enabled - DXクラスターに接続する
+ * @property {string} host - ホスト名
+ * @property {number} port - ポート番号
+ * @property {string} callsign - ログインに使用するコールサイン
+ */
+
+/**
+ * 取得元ごとの設定
+ * @typedef {Object} SpotSourceSettings
+ * @property {HttpSourceSettings} pota - POTA
+ * @property {HttpSourceSettings} sota - SOTA
+ * @property {HttpSourceSettings} wwff - WWFF
+ * @property {DxClusterSettings} dxCluster - DXクラスター
+ */
+
+/**
+ * デフォルトの取得元ごとの設定を作成（POTAのみ有効）
+ * @returns {SpotSourceSettings}
+ */
+function createDefaultSpotSources() {
+  return {
+    pota: { enabled: true },
+    sota: { enabled: false, apiBaseUrl: DEFAULT_SOTA_API_BASE_URL },
+    wwff: { enabled: false, apiBaseUrl: DEFAULT_WWFF_API_BASE_URL },
+    dxCluster: { enabled: false, host: '', port: DEFAULT_DX_CLUSTER_PORT, callsign: '' }
+  };
+}
+
+/**
+ * 取得元ごとの設定を検証
+ * @param {SpotSourceSettings} spotSources - 取得元ごとの設定
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateSpotSources(spotSources) {
+  if (!spotSources) {
+    return null;
+  }
+  for (const [key, label] of [['sota', 'SOTA'], ['wwff', 'WWFF']]) {
+    const apiBaseUrl = spotSources[key]?.apiBaseUrl;
+    if (apiBaseUrl && !isValidHttpUrl(apiBaseUrl)) {
+      return `${label}のURLが不正です: ${apiBaseUrl}`;
+    }
+  }
+  const dxCluster = spotSources.dxCluster;
+  if (dxCluster?.enabled) {
+    if (typeof dxCluster.host !== 'string' || !/^[A-Za-z0-9.-]+$/.test(dxCluster.host.trim())) {
+      return 'DXクラスターのホスト名を指定してください';
+    }
+    if (!Number.isInteger(dxCluster.port) || dxCluster.port < 1 || dxCluster.port > 65535) {
+      return 'DXクラスターのポート番号には1〜65535の整数を指定してください';
+    }
+    if (typeof dxCluster.callsign !== 'string' || !/^[A-Z0-9/]+$/i.test(dxCluster.callsign.trim())) {
+      return 'DXクラスターにログインするコールサインを指定してください';
+    }
+  }
+  return null;
+}
+
+/**
+ * スポットの取得元を取得（sourceがない場合はPOTA）
+ * @param {Object} spot - スポットデータ
+ * @returns {string}
+ */
+function getSpotSource(spot) {
+  return spot?.source || 'POTA';
+}
+
+/**
+ * 文字列に変換（null・undefinedは空文字）
+ */
+function toText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * POTAのスポットを共通の形式に変換
+ * POTAのsource（Web・RBNなどの投稿元）はoriginに移す
+ * @param {Object} spot - /v1/spotsのスポット
+ * @returns {Object}
+ */
+function normalizePotaSpot(spot) {
+  return { ...spot, origin: spot.source, source: 'POTA' };
+}
+
+/**
+ * SOTAのスポットを共通の形式に変換
+ * 周波数はMHzのためkHzに変換し、referenceは「アソシエーション/サミット」の形式にする
+ * @param {Object} spot - /api/spots/{件数}/allのスポット
+ * @returns {Object|null} 変換できない場合はnull
+ */
+function normalizeSotaSpot(spot) {
+  if (spot.id === undefined || spot.id === null) {
+    return null;
+  }
+  const frequencyMHz = parseFloat(spot.frequency);
+  const associationCode = toText(spot.associationCode);
+  const summitCode = toText(spot.summitCode);
+  return {
+    spotId: `SOTA-${spot.id}`,
+    source: 'SOTA',
+    activator: toText(spot.activatorCallsign),
+    reference: associationCode && summitCode ? `${associationCode}/${summitCode}` : '',
+    name: toText(spot.summitDetails),
+    frequency: isNaN(frequencyMHz) ? '' : String(Math.round(frequencyMHz * 1000 * 10) / 10),
+    mode: toText(spot.mode).toUpperCase(),
+    spotter: toText(spot.callsign),
+    comments: toText(spot.comments),
+    spotTime: toText(spot.timeStamp)
+  };
+}
+
+/**
+ * WWFFのスポットを共通の形式に変換
+ * @param {Object} spot - /static/spots.jsonのスポット
+ * @returns {Object|null} 変換できない場合はnull
+ */
+function normalizeWwffSpot(spot) {
+  if (spot.id === undefined || spot.id === null) {
+    return null;
+  }
+  const spotTime = Number(spot.spot_time);
+  const normalized = {
+    spotId: `WWFF-${spot.id}`,
+    source: 'WWFF',
+    activator: toText(spot.activator),
+    reference: toText(spot.reference),
+    name: toText(spot.reference_name),
+    frequency: toText(spot.frequency_khz),
+    mode: toText(spot.mode).toUpperCase(),
+    spotter: toText(spot.spotter),
+    comments: toText(spot.remarks),
+    spotTime: spotTime > 0 ? new Date(spotTime * 1000).toISOString().slice(0, 19) : ''
+  };
+  if (typeof spot.latitude === 'number' && typeof spot.longitude === 'number') {
+    normalized.latitude = spot.latitude;
+    normalized.longitude = spot.longitude;
+  }
+  return normalized;
+}
+
+/**
+ * ベースURLの末尾のスラッシュを除く
+ */
+function trimBaseUrl(baseUrl, defaultBaseUrl) {
+  return (baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+}
+
+/**
+ * HTTPで取得する取得元（取得元 → URLの作成・スポットの変換）
+ * POTAのURLはスポットの取得設定のapiBaseUrlから作成する
+ */
+const HTTP_SOURCE_ADAPTERS = {
+  POTA: {
+    key: 'pota',
+    getUrl: (settings, spotClient) => `${trimBaseUrl(spotClient?.apiBaseUrl, DEFAULT_SPOT_API_BASE_URL)}/v1/spots`,
+    normalize: normalizePotaSpot
+  },
+  SOTA: {
+    key: 'sota',
+    getUrl: settings => `${trimBaseUrl(settings?.apiBaseUrl, DEFAULT_SOTA_API_BASE_URL)}/api/spots/${SOTA_SPOT_COUNT}/all`,
+    normalize: normalizeSotaSpot
+  },
+  WWFF: {
+    key: 'wwff',
+    getUrl: settings => `${trimBaseUrl(settings?.apiBaseUrl, DEFAULT_WWFF_API_BASE_URL)}/static/spots.json`,
+    normalize: normalizeWwffSpot
+  }
+};
+
+/**
+ * 有効なHTTPの取得元を取得
+ * @param {SpotSourceSettings} [spotSources] - 取得元ごとの設定（未設定の場合はPOTAのみ）
+ * @returns {string[]} 取得元の配列（例: ['POTA', 'SOTA']）
+ */
+function getEnabledHttpSources(spotSources) {
+  const settings = spotSources || createDefaultSpotSources();
+  return Object.keys(HTTP_SOURCE_ADAPTERS)
+    .filter(source => settings[HTTP_SOURCE_ADAPTERS[source].key]?.enabled);
+}
+
+/**
+ * 取得元のスポット一覧を取得し、共通の形式に変換
+ * @param {string} source - 取得元（HTTPで取得する取得元のいずれか）
+ * @param {SpotSourceSettings} spotSources - 取得元ごとの設定
+ * @param {import('./spotclient').SpotClientSettings} spotClient - スポットの取得設定（タイムアウト・再試行回数、POTAのURL）
+ * @param {import('./spotclient').SpotValidators} [validators] - 前回のレスポンスの情報
+ * @returns {Promise<import('./spotclient').FetchSpotsResult>}
+ */
+async function fetchSourceSpots(source, spotSources, spotClient, validators = {}) {
+  const adapter = HTTP_SOURCE_ADAPTERS[source];
+  if (!adapter) {
+    throw new Error(`不明なスポットの取得元です: ${source}`);
+  }
+  const url = adapter.getUrl(spotSources?.[adapter.key], spotClient);
+  return fetchSpotList(url, spotClient, validators, adapter.normalize);
+}
+
+/**
+ * 取得元ごとのスポット一覧を1つにまとめる
+ * SOTAなど同じアクティベーションの過去のスポットを含む取得元があるため、
+ * activator + referenceごとにspotTimeが最も新しいスポットだけを残す（同じ時刻の場合は先に現れたもの）
+ * @param {Object[][]} spotLists - 取得元ごとのスポットデータの配列
+ * @returns {Object[]}
+ */
+function mergeSourceSpots(spotLists) {
+  const latestSpots = new Map();
+  for (const spots of spotLists) {
+    for (const spot of spots) {
+      const key = `${getSpotSource(spot)}|${getActivationKey(spot)}`;
+      const existing = latestSpots.get(key);
+      if (!existing || String(spot.spotTime || '') > String(existing.spotTime || '')) {
+        latestSpots.set(key, spot);
+      }
+    }
+  }
+  return Array.from(latestSpots.values());
+}
+
+module.exports = {
+  SPOT_SOURCES,
+  createDefaultSpotSources,
+  validateSpotSources,
+  getSpotSource,
+  normalizePotaSpot,
+  normalizeSotaSpot,
+  normalizeWwffSpot,
+  getEnabledHttpSources,
+  fetchSourceSpots,
+  mergeSourceSpots
+};
@@ -0,0 +1,166 @@
+/**
+ * スポットの統計
+ * 記録したスポットの履歴をバンド・モード・時間帯・activator・プログラムごとに集計する（APIへの問い合わせは行わない）
+ */
+
+const { POTA_PROGRAMS, getProgramFromReference } = require('./regions');
+const { isEntryMatched } = require('./spothistory');
+
+/**
+ * activator・プログラムの上位の件数のデフォルト
+ */
+const DEFAULT_TOP_COUNT = 20;
+
+/**
+ * 項目ごとの件数
+ * @typedef {Object} StatisticsCount
+ * @property {string} key - 項目（バンド・モード・コールサインなど）
+ * @property {number} count - スポットの件数
+ * @property {number} matched - そのうちフィルタを通過した（いずれかのルールに一致した）件数
+ */
+
+/**
+ * スポットの統計
+ * @typedef {Object} SpotStatistics
+ * @property {number} total - スポットの件数
+ * @property {number} matched - フィルタを通過した（いずれかのルールに一致した）件数（クールダウン・起動時の通知の設定などで通知しなかったものを含む）
+ * @property {number} notified - 通知した件数
+ * @property {number|null} from - 最初のスポットの受信時刻（ミリ秒）
+ * @property {number|null} to - 最後のスポットの受信時刻（ミリ秒）
+ * @property {StatisticsCount[]} sources - 取得元ごとの件数（多い順）
+ * @property {StatisticsCount[]} bands - バンドごとの件数（多い順）
+ * @property {StatisticsCount[]} modes - モードごとの件数（多い順）
+ * @property {number[]} hoursUtc - UTCの時（0〜23）ごとの件数
+ * @property {number[]} hoursLocal - ローカル時刻の時（0〜23）ごとの件数
+ * @property {StatisticsCount[]} activators - activatorごとの件数（上位）
+ * @property {StatisticsCount[]} programs - プログラム・エンティティごとの件数（上位）
+ */
+
+/**
+ * POTAのプレフィックスからエンティティ名への対応表
+ */
+const POTA_ENTITIES = new Map(POTA_PROGRAMS.map(program => [program.prefix, program.entity]));
+
+/**
+ * 履歴のエントリのプログラム・エンティティを取得
+ * POTAはプログラム（エンティティ名）、SOTAはアソシエーション、WWFFはプログラムのプレフィックスで分類する
+ * @param {import('./spothistory').HistoryEntry} entry - 履歴のエントリ
+ * @returns {string|null} 分類できない場合（DXクラスターなど）はnull
+ */
+function getEntryProgram(entry) {
+  const source = entry.source || 'POTA';
+  const reference = String(entry.reference || '').trim().toUpperCase();
+  if (!reference) {
+    return null;
+  }
+  if (source === 'POTA') {
+    const prefix = getProgramFromReference(reference);
+    if (!prefix) {
+      return null;
+    }
+    const entity = POTA_ENTITIES.get(prefix);
+    return entity ? `POTA ${prefix}（${entity}）` : `POTA ${prefix}`;
+  }
+  if (source === 'SOTA') {
+    const association = reference.split('/')[0];
+    return association ? `SOTA ${association}` : null;
+  }
+  const prefix = reference.split('-')[0];
+  return prefix ? `${source} ${prefix}` : null;
+}
+
+/**
+ * 項目ごとの件数を数える
+ */
+function createCounter() {
+  const counts = new Map();
+  return {
+    add(key, matched) {
+      if (!key) {
+        return;
+      }
+      const current = counts.get(key) || { key, count: 0, matched: 0 };
+      current.count++;
+      if (matched) {
+        current.matched++;
+      }
+      counts.set(key, current);
+    },
+    // 件数の多い順（同じ件数の場合は項目名の順）
+    list(limit = Infinity) {
+      return Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+        .slice(0, limit);
+    }
+  };
+}
+
+/**
+ * スポットの履歴を集計
+ * @param {import('./spothistory').HistoryEntry[]} entries - 履歴
+ * @param {Object} [options]
+ * @param {number|null} [options.from] - 集計する受信時刻の下限（ミリ秒）
+ * @param {number} [options.topCount] - activator・プログラムの上位の件数
+ * @returns {SpotStatistics}
+ */
+function computeStatistics(entries, options = {}) {
+  const topCount = options.topCount > 0 ? options.topCount : DEFAULT_TOP_COUNT;
+  const sources = createCounter();
+  const bands = createCounter();
+  const modes = createCounter();
+  const activators = createCounter();
+  const programs = createCounter();
+  const hoursUtc = new Array(24).fill(0);
+  const hoursLocal = new Array(24).fill(0);
+  let total = 0;
+  let matched = 0;
+  let notified = 0;
+  let from = null;
+  let to = null;
+
+  for (const entry of entries) {
+    if (typeof options.from === 'number' && entry.receivedAt < options.from) {
+      continue;
+    }
+    total++;
+    const entryMatched = isEntryMatched(entry);
+    if (entryMatched) {
+      matched++;
+    }
+    if (entry.notified) {
+      notified++;
+    }
+    from = from === null ? entry.receivedAt : Math.min(from, entry.receivedAt);
+    to = to === null ? entry.receivedAt : Math.max(to, entry.receivedAt);
+
+    sources.add(entry.source || 'POTA', entryMatched);
+    bands.add(entry.band || '不明', entryMatched);
+    modes.add(String(entry.mode || '').trim().toUpperCase() || '不明', entryMatched);
+    activators.add(String(entry.activator || '').trim().toUpperCase(), entryMatched);
+    programs.add(getEntryProgram(entry), entryMatched);
+
+    const time = new Date(entry.receivedAt);
+    hoursUtc[time.getUTCHours()]++;
+    hoursLocal[time.getHours()]++;
+  }
+
+  return {
+    total,
+    matched,
+    notified,
+    from,
+    to,
+    sources: sources.list(),
+    bands: bands.list(),
+    modes: modes.list(),
+    hoursUtc,
+    hoursLocal,
+    activators: activators.list(topCount),
+    programs: programs.list(topCount)
+  };
+}
+
+module.exports = {
+  getEntryProgram,
+  computeStatistics
+};
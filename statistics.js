@@ -0,0 +1,101 @@
+/**
+ * スポットの統計画面のロジック
+ * 記録したスポットの履歴の集計結果を棒グラフで表示する
+ */
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * 割合を表示用の文字列に変換
+ */
+function formatRatio(count, total) {
+  return total > 0 ? `${Math.round(count / total * 1000) / 10}%` : '-';
+}
+
+/**
+ * 項目ごとの件数を横棒グラフで表示
+ * @param {string} id - 表示先の要素のID
+ * @param {Array<{key: string, count: number, matched: number}>} counts - 項目ごとの件数
+ */
+function renderBarChart(id, counts) {
+  const container = document.getElementById(id);
+  if (counts.length === 0) {
+    container.innerHTML = '<div class="empty-message">スポットがありません</div>';
+    return;
+  }
+  const max = Math.max(...counts.map(item => item.count));
+  container.innerHTML = counts.map(item => `
+    <div class="bar-row" title="${escapeHtml(item.key)}: ${item.count}件（フィルタを通過 ${item.matched}件）">
+      <span class="bar-label">${escapeHtml(item.key)}</span>
+      <span class="bar-track">
+        <span class="bar-fill" style="width: ${item.count / max * 100}%"></span>
+        <span class="bar-fill matched" style="width: ${item.matched / max * 100}%"></span>
+      </span>
+      <span class="bar-value">${item.count}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * 時（0〜23）ごとの件数を縦棒グラフで表示
+ * @param {string} id - 表示先の要素のID
+ * @param {number[]} hours - 時ごとの件数
+ */
+function renderHourChart(id, hours) {
+  const container = document.getElementById(id);
+  const max = Math.max(...hours, 1);
+  container.innerHTML = `
+    <div class="hour-chart">
+      ${hours.map((count, hour) => `
+        <div class="hour-bar" style="height: ${count / max * 100}%" title="${hour}時台: ${count}件"></div>
+      `).join('')}
+    </div>
+    <div class="hour-labels">
+      ${hours.map((count, hour) => `<span>${hour}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * 選択した期間の統計を読み込んで表示
+ */
+async function loadStatistics() {
+  const periodHours = parseInt(document.getElementById('period').value, 10) || 0;
+  let statistics;
+  try {
+    statistics = await window.electronAPI.getStatistics(periodHours);
+  } catch (error) {
+    console.error('統計の読み込みエラー:', error);
+    document.getElementById('summary').textContent = '統計の読み込みに失敗しました: ' + error.message;
+    return;
+  }
+
+  const summary = document.getElementById('summary');
+  if (statistics.total === 0) {
+    summary.textContent = 'この期間のスポットの履歴はありません（「通知設定」の「スポットの履歴」で記録を有効にしてください）。';
+  } else {
+    summary.innerHTML = [
+      `${escapeHtml(new Date(statistics.from).toLocaleString())}〜${escapeHtml(new Date(statistics.to).toLocaleString())}`,
+      `スポット: ${statistics.total}件 / フィルタを通過: ${statistics.matched}件（${formatRatio(statistics.matched, statistics.total)}） / 通知: ${statistics.notified}件（${formatRatio(statistics.notified, statistics.total)}）`
+    ].join('<br>');
+  }
+
+  renderBarChart('chart-bands', statistics.bands);
+  renderBarChart('chart-modes', statistics.modes);
+  renderHourChart('chart-hours-utc', statistics.hoursUtc);
+  renderHourChart('chart-hours-local', statistics.hoursLocal);
+  renderBarChart('chart-activators', statistics.activators);
+  renderBarChart('chart-programs', statistics.programs);
+  renderBarChart('chart-sources', statistics.sources);
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  loadStatistics();
+});
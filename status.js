@@ -0,0 +1,60 @@
+/**
+ * 取得状況画面のロジック
+ * pota.appを表示しない設定の場合にメインウィンドウに表示する
+ */
+
+/**
+ * 時刻を表示用の文字列に変換
+ */
+function formatTime(time) {
+  return time ? new Date(time).toLocaleString() : '-';
+}
+
+/**
+ * 取得元ごとの状況を表示用の文字列に変換（例: POTA 52件 / DXC 切断中）
+ */
+function formatSources(sources) {
+  const entries = Object.entries(sources || {});
+  if (entries.length === 0) {
+    return '-';
+  }
+  return entries.map(([source, status]) => {
+    if (status.error) {
+      return `${source} エラー`;
+    }
+    if (status.spotCount === undefined) {
+      return `${source} ${status.connected ? '接続中' : '-'}`;
+    }
+    return `${source} ${status.spotCount}件`;
+  }).join(' / ');
+}
+
+/**
+ * スポットの取得状況を読み込んで表示
+ */
+async function refreshStatus() {
+  try {
+    const status = await window.electronAPI.getSpotClientStatus();
+    const health = document.getElementById('health');
+    health.textContent = status.failingSince !== null
+      ? `取得エラー（${formatTime(status.failingSince)}から）`
+      : (status.lastSuccessAt ? '正常' : '取得待ち');
+    health.classList.toggle('error-value', status.failingSince !== null);
+    document.getElementById('last-success').textContent = formatTime(status.lastSuccessAt);
+    document.getElementById('spot-count').textContent = status.lastSuccessAt ? `${status.spotCount}件` : '-';
+    document.getElementById('sources').textContent = formatSources(status.sources);
+    document.getElementById('next-poll').textContent = formatTime(status.nextPollAt) +
+      (status.consecutiveErrors > 0 ? `（${status.consecutiveErrors}回連続で失敗）` : '');
+    document.getElementById('last-error').textContent = status.lastError
+      ? `${formatTime(status.lastErrorAt)} ${status.lastError}`
+      : '-';
+  } catch (error) {
+    console.error('取得状況の読み込みエラー:', error);
+  }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  refreshStatus();
+  // 5秒ごとに表示を更新
+  setInterval(refreshStatus, 5000);
+});
@@ -319,14 +319,22 @@ async function testVoicevox() {
       activator: 'JK1AZT/8',
       frequency: '7144',
       mode: 'SSB',
+      modeFamily: 'PHONE',
       reference: 'JP-1001',
       parkName: null,
       spotTime: '2025-11-19T17:38:21',
       spotter: 'JK1AZT/8',
       comments: 'ssb',
-      source: 'Web',
+      source: 'POTA',
+      origin: 'Web',
       name: 'Akkeshi-Kiritappu-Konbumori Quasi-National Park',
-      locationDesc: 'JP-HK'
+      locationDesc: 'JP-HK',
+      distance: 880.4,
+      bearing: 28,
+      parkType: 'Quasi-National Park',
+      entity: 'Japan',
+      parkActivations: 12,
+      firstActivation: false
     };
 
     // 現在の設定からvoicevoxSettingsオブジェクトを作成
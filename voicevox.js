@@ -296,6 +296,9 @@ function generateVoicevoxText(spot, voicevoxSettings) {
   // modeを置換
   template = template.replace(/\[mode\]/g, spot.mode || '');
   
+  // modeFamilyを置換（CW / PHONE / DATA）
+  template = template.replace(/\[modeFamily\]/g, spot.modeFamily || '');
+  
   // activatorを置換（設定に応じて/をポータブルに置換、数字を英語読みに変換）
   let activator = spot.activator || '';
   if (voicevoxSettings.portableEnabled) {
@@ -315,6 +318,22 @@ function generateVoicevoxText(spot, voicevoxSettings) {
   // locationDescを置換
   template = template.replace(/\[locationDesc\]/g, spot.locationDesc || '');
   
+  // distance・bearingを置換（自局の位置が未設定などで計算できない場合は空）
+  template = template.replace(/\[distance\]/g, spot.distance !== undefined ? `${Math.round(spot.distance)}キロ` : '');
+  template = template.replace(/\[bearing\]/g, spot.bearing !== undefined ? `${spot.bearing}度` : '');
+  
+  // パークの詳細を置換（パーク情報を取得していない場合は空）
+  template = template.replace(/\[parkType\]/g, spot.parkType || '');
+  template = template.replace(/\[entity\]/g, spot.entity || '');
+  template = template.replace(/\[parkActivations\]/g, spot.parkActivations !== undefined ? `${spot.parkActivations}回` : '');
+  template = template.replace(/\[firstActivation\]/g, spot.firstActivation ? '初アクティベーション' : '');
+  
+  // sourceを置換（スポットの取得元: POTA・SOTA・WWFF・DXC）
+  template = template.replace(/\[source\]/g, spot.source || '');
+  
+  // qsyを置換（QSYとして通知するスポットのみ「QSY」、それ以外は空）
+  template = template.replace(/\[qsy\]/g, spot.qsyText ? 'QSY' : '');
+  
   // 連続する空白を1つに統一して、先頭・末尾の空白を削除
   template = template.replace(/\s+/g, ' ').trim();
   
@@ -0,0 +1,240 @@
+/**
+ * Webhook
+ * アラートルールに一致したスポットをJSONで任意のURLにPOSTする（本文のテンプレート・カスタムヘッダー・HMAC署名・再試行）
+ */
+
+const crypto = require('crypto');
+const { RETRY_BASE_DELAY_MS, postData, isValidHttpUrl, sleep } = require('./httpclient');
+
+/**
+ * HMAC署名を設定するヘッダー名（値は "sha256=" + 本文のHMAC-SHA256の16進数）
+ */
+const SIGNATURE_HEADER = 'X-Signature-256';
+
+/**
+ * Retry-Afterヘッダーに従って待つ時間の上限（ミリ秒）
+ */
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * デフォルトの本文のテンプレート
+ */
+const DEFAULT_BODY_TEMPLATE = `{
+  "event": "{{event}}",
+  "activator": "{{activator}}",
+  "reference": "{{reference}}",
+  "name": "{{name}}",
+  "frequency": "{{frequency}}",
+  "mode": "{{mode}}",
+  "comments": "{{comments}}",
+  "rules": {{rules}},
+  "spot": {{spot}},
+  "sentAt": "{{sentAt}}"
+}`;
+
+/**
+ * テンプレートの確認・テスト送信（Webhook・Discord・Slack）に使用するスポット
+ */
+const TEST_SPOT = {
+  spotId: 0,
+  source: 'POTA',
+  activator: 'JA1ABC',
+  reference: 'JA-0001',
+  name: 'Test Park',
+  locationDesc: 'JP-13',
+  frequency: '7025',
+  mode: 'CW',
+  spotter: 'JA1XYZ',
+  comments: 'POTA Notification test',
+  spotTime: '2024-01-01T00:00:00'
+};
+
+/**
+ * Webhookの設定
+ * @typedef {Object} WebhookSettings
+ * @property {boolean} enabled - Webhookに送信する
+ * @property {string[]} urls - 送信先のURL
+ * @property {Object<string, string>} headers - 追加するリクエストヘッダー
+ * @property {string} bodyTemplate - 本文のテンプレート
+ * @property {string} secret - HMAC署名の鍵（空の場合は署名しない）
+ * @property {number} timeoutSeconds - タイムアウト（秒）
+ * @property {number} maxRetries - 失敗時の再試行回数
+ */
+
+/**
+ * 送信結果
+ * @typedef {Object} WebhookDeliveryResult
+ * @property {string} url - 送信先のURL
+ * @property {boolean} success - 2xxのレスポンスを受け取ったかどうか
+ * @property {number|null} status - 最後のレスポンスのステータスコード（通信エラーの場合はnull）
+ * @property {number} attempts - 送信した回数
+ * @property {string|null} error - エラーメッセージ
+ */
+
+/**
+ * デフォルトのWebhookの設定を作成（無効）
+ * @returns {WebhookSettings}
+ */
+function createDefaultWebhookSettings() {
+  return {
+    enabled: false,
+    urls: [],
+    headers: {},
+    bodyTemplate: DEFAULT_BODY_TEMPLATE,
+    secret: '',
+    timeoutSeconds: 10,
+    maxRetries: 2
+  };
+}
+
+/**
+ * テンプレートに値を埋め込む
+ * {{spot}}はスポット全体、{{rules}}は一致したルール名の配列をJSONの値として埋め込み、
+ * それ以外の{{項目名}}はスポットの項目（event・ruleNames・sentAtを含む）をJSONの文字列の中身としてエスケープして埋め込む
+ * @param {string} template - 本文のテンプレート
+ * @param {Object} spot - スポットデータ
+ * @param {string[]} ruleNames - 一致したルール名
+ * @param {Object} [context]
+ * @param {string} [context.event] - イベントの種類（spot・test）
+ * @param {number} [context.now] - 送信する時刻（ミリ秒）
+ * @returns {string}
+ */
+function renderBodyTemplate(template, spot, ruleNames, context = {}) {
+  const values = {
+    ...spot,
+    name: spot.name || spot.parkName || '',
+    event: context.event || 'spot',
+    ruleNames: ruleNames.join(', '),
+    sentAt: new Date(context.now ?? Date.now()).toISOString()
+  };
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+    if (key === 'spot') {
+      return JSON.stringify(spot);
+    }
+    if (key === 'rules') {
+      return JSON.stringify(ruleNames);
+    }
+    const value = values[key];
+    return JSON.stringify(value === null || value === undefined ? '' : String(value)).slice(1, -1);
+  });
+}
+
+/**
+ * 本文のHMAC-SHA256署名を作成
+ * @param {string} secret - 鍵
+ * @param {string} body - 本文
+ * @returns {string} "sha256=" + 16進数
+ */
+function createSignature(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body, 'utf-8').digest('hex')}`;
+}
+
+/**
+ * Webhookの設定を検証
+ * @param {WebhookSettings} webhook - Webhookの設定
+ * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+ */
+function validateWebhookSettings(webhook) {
+  if (!webhook) {
+    return null;
+  }
+  const urls = Array.isArray(webhook.urls) ? webhook.urls : [];
+  const invalidUrl = urls.find(url => !isValidHttpUrl(url));
+  if (invalidUrl !== undefined) {
+    return `WebhookのURLが不正です: ${invalidUrl}`;
+  }
+  if (webhook.enabled && urls.length === 0) {
+    return 'WebhookのURLを指定してください';
+  }
+  const invalidHeader = Object.keys(webhook.headers || {}).find(name => !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name));
+  if (invalidHeader !== undefined) {
+    return `Webhookのヘッダー名が不正です: ${invalidHeader}`;
+  }
+  try {
+    JSON.parse(renderBodyTemplate(webhook.bodyTemplate, TEST_SPOT, ['Test']));
+  } catch (error) {
+    return `Webhookの本文のテンプレートがJSONになりません: ${error.message}`;
+  }
+  if (typeof webhook.timeoutSeconds !== 'number' || isNaN(webhook.timeoutSeconds) || webhook.timeoutSeconds <= 0) {
+    return 'Webhookのタイムアウトには0より大きい数値（秒）を指定してください';
+  }
+  if (!Number.isInteger(webhook.maxRetries) || webhook.maxRetries < 0) {
+    return 'Webhookの再試行回数には0以上の整数を指定してください';
+  }
+  return null;
+}
+
+/**
+ * 1つのURLに送信
+ * 通信エラー・タイムアウト・サーバーエラー・リクエスト過多の場合は指数バックオフで再試行する
+ * （リクエスト過多でRetry-Afterヘッダーがある場合は指定された時間（最大60秒）待つ）
+ * @param {string} url - 送信先のURL
+ * @param {string} body - 本文
+ * @param {Pick<WebhookSettings, 'headers'|'secret'|'timeoutSeconds'|'maxRetries'>} webhook - Webhookの設定（送信先・テンプレート以外）
+ * @returns {Promise<WebhookDeliveryResult>}
+ */
+async function deliverWebhook(url, body, webhook) {
+  const headers = { ...(webhook.headers || {}) };
+  if (webhook.secret) {
+    headers[SIGNATURE_HEADER] = createSignature(webhook.secret, body);
+  }
+  const timeoutMs = (webhook.timeoutSeconds || 10) * 1000;
+  const maxRetries = webhook.maxRetries ?? 2;
+
+  let status = null;
+  let error = null;
+  for (let attempt = 0; ; attempt++) {
+    let retryable;
+    let retryAfterMs = 0;
+    try {
+      const response = await postData(url, body, { timeoutMs, headers });
+      status = response.status;
+      if (status >= 200 && status < 300) {
+        return { url, success: true, status, attempts: attempt + 1, error: null };
+      }
+      error = `HTTP ${status}`;
+      retryable = status >= 500 || status === 429;
+      const retryAfterSeconds = parseFloat(response.headers['retry-after']);
+      if (status === 429 && retryAfterSeconds > 0) {
+        retryAfterMs = Math.min(retryAfterSeconds * 1000, MAX_RETRY_AFTER_MS);
+      }
+    } catch (requestError) {
+      status = null;
+      error = requestError.message;
+      retryable = true;
+    }
+    if (attempt >= maxRetries || !retryable) {
+      return { url, success: false, status, attempts: attempt + 1, error };
+    }
+    const delay = Math.max(RETRY_BASE_DELAY_MS * 2 ** attempt, retryAfterMs);
+    console.warn(`Webhookの送信に失敗しました（${delay}ms後に再試行）: ${url}`, error);
+    await sleep(delay);
+  }
+}
+
+/**
+ * スポットを全ての送信先に送信
+ * @param {Object} spot - スポットデータ
+ * @param {string[]} ruleNames - 一致したルール名
+ * @param {WebhookSettings} webhook - Webhookの設定
+ * @param {Object} [context]
+ * @param {string} [context.event] - イベントの種類（spot・test）
+ * @param {number} [context.now] - 送信する時刻（ミリ秒）
+ * @returns {Promise<WebhookDeliveryResult[]>} 送信先ごとの結果
+ */
+async function sendWebhooks(spot, ruleNames, webhook, context = {}) {
+  const body = renderBodyTemplate(webhook.bodyTemplate, spot, ruleNames, context);
+  return Promise.all((webhook.urls || []).map(url => deliverWebhook(url, body, webhook)));
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DEFAULT_BODY_TEMPLATE,
+  TEST_SPOT,
+  createDefaultWebhookSettings,
+  renderBodyTemplate,
+  createSignature,
+  validateWebhookSettings,
+  deliverWebhook,
+  sendWebhooks
+};